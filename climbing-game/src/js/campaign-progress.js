@@ -0,0 +1,133 @@
+//@ts-check
+
+/**
+ * Campaign progress
+ *
+ * Works out stars and unlocks of the campaign in campaign.js from the level
+ * progress kept by progress.js, so sends outside the campaign count as well.
+ */
+
+/**
+ * @typedef {Object} CampaignLevel
+ * @property {string} level - Id of the level in levels.js
+ * @property {number} par - Most moves for three stars
+ * @property {boolean} [bestKnown] - The par is the fewest moves the solver found, not proven the fewest
+ *
+ * @typedef {Object} CampaignChapter
+ * @property {string} name
+ * @property {number} requiredStars - Stars needed in total to open the chapter
+ * @property {CampaignLevel[]} levels
+ *
+ * @typedef {Object} Campaign
+ * @property {number} twoStarFactor - Most moves for two stars, as a multiple of par
+ * @property {CampaignChapter[]} chapters
+ */
+
+/**
+ * Find a level in the campaign
+ * @param {string} levelKey
+ * @returns {{ chapterIndex: number, levelIndex: number, entry: CampaignLevel } | null}
+ */
+function findCampaignLevel(levelKey) {
+  for (const [chapterIndex, chapter] of gameCampaign.chapters.entries()) {
+    const levelIndex = chapter.levels.findIndex(
+      (entry) => entry.level === levelKey
+    );
+    if (levelIndex !== -1) {
+      return { chapterIndex, levelIndex, entry: chapter.levels[levelIndex] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Stars for a number of moves, 0 when the level wasn't sent
+ * @param {CampaignLevel} entry
+ * @param {number | null} moves
+ * @returns {number}
+ */
+function getStarsForMoves(entry, moves) {
+  if (moves === null) return 0;
+  if (moves <= entry.par) return 3;
+  if (moves <= Math.floor(entry.par * gameCampaign.twoStarFactor)) return 2;
+  return 1;
+}
+
+/**
+ * Stars earned on a campaign level with the fewest moves so far
+ * @param {CampaignLevel} entry
+ * @returns {number}
+ */
+function getCampaignLevelStars(entry) {
+  return getStarsForMoves(entry, getLevelProgress(entry.level).fewestMoves);
+}
+
+/**
+ * @returns {number} Stars earned on all campaign levels
+ */
+function getCampaignStars() {
+  let stars = 0;
+  for (const chapter of gameCampaign.chapters) {
+    for (const entry of chapter.levels) stars += getCampaignLevelStars(entry);
+  }
+  return stars;
+}
+
+/**
+ * @returns {number} Stars there are to earn in the campaign
+ */
+function getMaxCampaignStars() {
+  let levelCount = 0;
+  for (const chapter of gameCampaign.chapters) {
+    levelCount += chapter.levels.length;
+  }
+  return levelCount * 3;
+}
+
+/**
+ * A chapter is open when enough stars were earned and the chapter before it
+ * was climbed to its end
+ * @param {number} chapterIndex
+ * @returns {boolean}
+ */
+function isCampaignChapterUnlocked(chapterIndex) {
+  const chapter = gameCampaign.chapters[chapterIndex];
+  if (getCampaignStars() < chapter.requiredStars) return false;
+  if (chapterIndex === 0) return true;
+
+  const previousLevels = gameCampaign.chapters[chapterIndex - 1].levels;
+  const lastLevel = previousLevels[previousLevels.length - 1];
+  return getLevelProgress(lastLevel.level).sends > 0;
+}
+
+/**
+ * A level is open when its chapter is and the level before it was sent
+ * @param {number} chapterIndex
+ * @param {number} levelIndex
+ * @returns {boolean}
+ */
+function isCampaignLevelUnlocked(chapterIndex, levelIndex) {
+  if (!isCampaignChapterUnlocked(chapterIndex)) return false;
+  if (levelIndex === 0) return true;
+
+  const previous = gameCampaign.chapters[chapterIndex].levels[levelIndex - 1];
+  return getLevelProgress(previous.level).sends > 0;
+}
+
+/**
+ * Describe the par of a campaign level, e.g. "par 18"
+ * @param {CampaignLevel} entry
+ * @returns {string}
+ */
+function formatCampaignPar(entry) {
+  return `${entry.bestKnown ? "best known" : "par"} ${entry.par}`;
+}
+
+/**
+ * Show stars as "★★☆"
+ * @param {number} stars
+ * @returns {string}
+ */
+function formatStars(stars) {
+  return "★".repeat(stars) + "☆".repeat(3 - stars);
+}
@@ -0,0 +1,54 @@
+//@ts-check
+
+/**
+ * Campaign for the climbing game
+ *
+ * Chapters of levels from levels.js, climbed in order: a level unlocks once
+ * the level before it was sent, and a chapter only opens when the player has
+ * earned its `requiredStars` in total. Each level is worth up to three stars,
+ * compared against its `par`:
+ *
+ * - ★★★ for a send in `par` moves or fewer
+ * - ★★ for a send within `par * twoStarFactor` moves
+ * - ★ for any other send
+ *
+ * The pars come from `npm run solve`. Levels whose solver result isn't proven
+ * optimal use the best solution it found and are marked `bestKnown`, so the
+ * game doesn't call it par. `npm run solve` reports pars and `bestKnown` flags
+ * that no longer match what the solver finds.
+ *
+ * @type {Campaign}
+ */
+const gameCampaign = {
+  twoStarFactor: 1.25,
+  chapters: [
+    {
+      name: "First Moves",
+      requiredStars: 0,
+      levels: [
+        { level: "default", par: 18 },
+        { level: "zigZag", par: 33 },
+        { level: "miguel", par: 30, bestKnown: true },
+      ],
+    },
+    {
+      name: "Getting Pumped",
+      requiredStars: 5,
+      levels: [
+        { level: "esSibni", par: 26, bestKnown: true },
+        { level: "keiAhnig", par: 33, bestKnown: true },
+        { level: "hangInThere", par: 35, bestKnown: true },
+      ],
+    },
+    {
+      name: "Big Walls",
+      requiredStars: 12,
+      levels: [
+        { level: "neunC", par: 61, bestKnown: true },
+        { level: "v17", par: 66 },
+        { level: "davos", par: 72, bestKnown: true },
+        { level: "touchingTheSky", par: 74, bestKnown: true },
+      ],
+    },
+  ],
+};
@@ -0,0 +1,852 @@
+//@ts-check
+
+/**
+ * Climbing rules engine
+ *
+ * All move legality lives here as pure functions: they take the level holds and
+ * a climb state and return a new state, or null when the move is not allowed.
+ * Nothing in this file touches p5 or the DOM, so the game, the level editor and
+ * Node scripts (see tools/load-game-scripts.js) share the exact same rules.
+ */
+
+/**
+ * @typedef {'leftArm' | 'rightArm' | 'leftLeg' | 'rightLeg'} LimbName
+ */
+
+/**
+ * @typedef {'jug' | 'crimp' | 'sloper' | 'pocket' | 'pinch' | 'footChip'} HoldType
+ */
+
+/**
+ * @typedef {Object} Hold
+ * @property {number} x - X position of the hold
+ * @property {number} y - Y position of the hold
+ * @property {boolean} [top] - Whether this hold is the top hold
+ * @property {HoldType} [type] - How the hold can be used, jug when missing
+ */
+
+/**
+ * @typedef {Object} Point
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * @typedef {Object} ClimbState
+ * @property {Point} torso - Resting torso position (where the torso animates to)
+ * @property {Record<LimbName, number | null>} limbs - Index into the level holds for each limb
+ * @property {boolean} torsoPushed - Whether the torso was pushed or strafed away from its natural position
+ * @property {number} moves - Number of moves made so far
+ */
+
+/** @type {LimbName[]} */
+const LIMB_NAMES = ["leftArm", "rightArm", "leftLeg", "rightLeg"];
+
+/** @type {Record<LimbName, number>} */
+const LIMB_REACH = {
+  leftArm: 80,
+  rightArm: 80,
+  leftLeg: 120,
+  rightLeg: 120,
+};
+
+const TORSO_WIDTH = 36;
+const TORSO_HEIGHT = 74;
+const GRAB_INSET = 9; // Attachment inset used for grabbing (same as drawing)
+const TORSO_MOVE_INSET = 5; // Attachment inset used for push, strafe and relax
+const PUSH_BACK_OFF = 10; // Pixels a push stops below the highest torso position
+const STRAFE_BACK_OFF = 5; // Pixels a strafe stops short of the furthest torso position
+const WALL_WIDTH = 400;
+
+/**
+ * @typedef {Object} HoldTypeRules
+ * @property {string} label - Name shown in the level editor
+ * @property {string} description - Short explanation of the rules
+ * @property {boolean} arms - Whether hands can grab it
+ * @property {boolean} legs - Whether feet can stand on it
+ * @property {number} maxLimbs - How many limbs fit on it at once
+ * @property {number} reach - Share of a limb's reach within which it can be grabbed
+ * @property {boolean} torsoBelow - Only gives grip while the torso is lower than the hold
+ */
+
+/**
+ * Grip rules of every hold type. Shared links store the position of a type in
+ * this list, so new types must be added at the end.
+ * @type {Record<HoldType, HoldTypeRules>}
+ */
+const HOLD_TYPES = {
+  jug: {
+    label: "Jug",
+    description: "Big and positive, anything goes",
+    arms: true,
+    legs: true,
+    maxLimbs: 2,
+    reach: 1,
+    torsoBelow: false,
+  },
+  crimp: {
+    label: "Crimp",
+    description: "Thin edge, can't be grabbed at full stretch",
+    arms: true,
+    legs: true,
+    maxLimbs: 2,
+    reach: 0.75,
+    torsoBelow: false,
+  },
+  sloper: {
+    label: "Sloper",
+    description: "Only holds while the body hangs below it",
+    arms: true,
+    legs: true,
+    maxLimbs: 2,
+    reach: 1,
+    torsoBelow: true,
+  },
+  pocket: {
+    label: "Pocket",
+    description: "A hole with room for one limb",
+    arms: true,
+    legs: true,
+    maxLimbs: 1,
+    reach: 1,
+    torsoBelow: false,
+  },
+  pinch: {
+    label: "Pinch",
+    description: "Squeezed with the hands, no feet",
+    arms: true,
+    legs: false,
+    maxLimbs: 2,
+    reach: 1,
+    torsoBelow: false,
+  },
+  footChip: {
+    label: "Foot chip",
+    description: "Tiny foothold for one foot",
+    arms: false,
+    legs: true,
+    maxLimbs: 1,
+    reach: 1,
+    torsoBelow: false,
+  },
+};
+
+/** @type {HoldType[]} */
+const HOLD_TYPE_NAMES = /** @type {HoldType[]} */ (Object.keys(HOLD_TYPES));
+
+/**
+ * Whether a value names a hold type. Checks the list of names rather than
+ * `in HOLD_TYPES`, which would also accept keys like "constructor" from the
+ * object prototype.
+ * @param {unknown} type
+ * @returns {type is HoldType}
+ */
+function isHoldType(type) {
+  return HOLD_TYPE_NAMES.includes(/** @type {HoldType} */ (type));
+}
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number}
+ */
+function distanceBetween(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * @param {LimbName} limb
+ * @returns {boolean}
+ */
+function isLeg(limb) {
+  return limb === "leftLeg" || limb === "rightLeg";
+}
+
+/**
+ * Get the point where a limb attaches to the torso
+ * @param {Point} torso
+ * @param {LimbName} limb
+ * @param {number} [inset] - How far the attachment is moved towards the torso center
+ * @returns {Point}
+ */
+function getLimbAttachment(torso, limb, inset = GRAB_INSET) {
+  const offsetX = TORSO_WIDTH / 2 - inset;
+  const offsetY = TORSO_HEIGHT / 2 - inset;
+  return {
+    x:
+      limb === "leftArm" || limb === "leftLeg"
+        ? torso.x - offsetX
+        : torso.x + offsetX,
+    y: isLeg(limb) ? torso.y + offsetY : torso.y - offsetY,
+  };
+}
+
+/**
+ * Get the grip rules of a hold. The top hold is always a jug,
+ * so both arms can match on it.
+ * @param {Hold} hold
+ * @returns {HoldTypeRules}
+ */
+function getHoldRules(hold) {
+  return !hold.top && isHoldType(hold.type)
+    ? HOLD_TYPES[hold.type]
+    : HOLD_TYPES.jug;
+}
+
+/**
+ * Check whether a hold gives grip with the torso at a position
+ * @param {Hold} hold
+ * @param {Point} torso
+ * @returns {boolean}
+ */
+function hasGripFrom(hold, torso) {
+  return !getHoldRules(hold).torsoBelow || torso.y > hold.y;
+}
+
+/**
+ * Get the index of the top hold, or -1 if the level has none
+ * @param {Hold[]} holds
+ * @returns {number}
+ */
+function getTopHoldIndex(holds) {
+  return holds.findIndex((hold) => hold.top);
+}
+
+/**
+ * Get the indices of the starting holds: the first 4 non-top holds,
+ * in limb order (left arm, right arm, left leg, right leg)
+ * @param {Hold[]} holds
+ * @returns {number[]}
+ */
+function getStartingHoldIndices(holds) {
+  const indices = [];
+  for (let i = 0; i < holds.length && indices.length < 4; i++) {
+    if (!holds[i].top) {
+      indices.push(i);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Average position of all occupied holds, which is where a relaxed torso rests
+ * @param {Hold[]} holds
+ * @param {ClimbState["limbs"]} limbs
+ * @returns {Point | null}
+ */
+function getHoldCentroid(holds, limbs) {
+  let sumX = 0,
+    sumY = 0,
+    count = 0;
+  for (const limb of LIMB_NAMES) {
+    const holdIndex = limbs[limb];
+    if (holdIndex !== null) {
+      sumX += holds[holdIndex].x;
+      sumY += holds[holdIndex].y;
+      count++;
+    }
+  }
+  return count > 0 ? { x: sumX / count, y: sumY / count } : null;
+}
+
+/**
+ * Check whether every occupied hold is within reach from a torso position
+ * and still gives grip from there
+ * @param {Hold[]} holds
+ * @param {ClimbState["limbs"]} limbs
+ * @param {Point} torso
+ * @param {number} inset
+ * @returns {boolean}
+ */
+function canTorsoHoldAll(holds, limbs, torso, inset) {
+  for (const limb of LIMB_NAMES) {
+    const holdIndex = limbs[limb];
+    if (holdIndex === null) continue;
+    const attachment = getLimbAttachment(torso, limb, inset);
+    if (distanceBetween(attachment, holds[holdIndex]) > LIMB_REACH[limb]) {
+      return false;
+    }
+    if (!hasGripFrom(holds[holdIndex], torso)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Create the state of a climber standing on the starting holds of a level
+ * @param {Hold[]} holds
+ * @returns {ClimbState}
+ */
+function createClimbState(holds) {
+  const start = getStartingHoldIndices(holds);
+  /** @type {ClimbState["limbs"]} */
+  const limbs = {
+    leftArm: start[0] ?? null,
+    rightArm: start[1] ?? null,
+    leftLeg: start[2] ?? null,
+    rightLeg: start[3] ?? null,
+  };
+  return {
+    torso: getHoldCentroid(holds, limbs) || { x: 0, y: 0 },
+    limbs,
+    torsoPushed: false,
+    moves: 0,
+  };
+}
+
+/**
+ * Check if a limb can reach and grab a hold
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {LimbName} limb - The limb trying to grab the hold
+ * @param {number} holdIndex - Index of the hold to grab
+ * @returns {boolean}
+ */
+function canLimbReach(holds, state, limb, holdIndex) {
+  const hold = holds[holdIndex];
+  if (!hold) return false;
+
+  // Some holds are for hands or feet only
+  const rules = getHoldRules(hold);
+  if (!(isLeg(limb) ? rules.legs : rules.arms)) return false;
+
+  // Check if the limb can physically reach the hold from its attachment point
+  if (
+    distanceBetween(getLimbAttachment(state.torso, limb), hold) >
+    LIMB_REACH[limb] * rules.reach
+  ) {
+    return false;
+  }
+
+  const nextLimbs = { ...state.limbs, [limb]: holdIndex };
+
+  // A pushed torso stays where it is, otherwise it settles on the new centroid
+  const newTorso = state.torsoPushed
+    ? state.torso
+    : getHoldCentroid(holds, nextLimbs);
+  if (!newTorso) return false;
+
+  // This move must not stretch any limb beyond its reach
+  if (!canTorsoHoldAll(holds, nextLimbs, newTorso, GRAB_INSET)) {
+    return false;
+  }
+
+  if (isLeg(limb)) {
+    // Legs may not reach higher than the topmost arm (lower Y is higher)
+    let topmostArmY = Infinity;
+    for (const arm of /** @type {LimbName[]} */ (["leftArm", "rightArm"])) {
+      const armHold = state.limbs[arm];
+      if (armHold !== null) {
+        topmostArmY = Math.min(topmostArmY, holds[armHold].y);
+      }
+    }
+    if (topmostArmY !== Infinity && hold.y < topmostArmY) {
+      return false;
+    }
+
+    // Prevent excessive leg crossing - at most two torso-widths across the torso
+    const maxCrossDistance = TORSO_WIDTH * 2;
+    if (limb === "leftLeg" && hold.x > state.torso.x + maxCrossDistance) {
+      return false;
+    }
+    if (limb === "rightLeg" && hold.x < state.torso.x - maxCrossDistance) {
+      return false;
+    }
+  }
+
+  // Ensure at least 3 different holds are occupied at any time,
+  // unless the limb is re-grabbing the hold it is already on
+  const currentIndex = state.limbs[limb];
+  const currentHold = currentIndex === null ? null : holds[currentIndex];
+  const isMovingToNewHold =
+    !currentHold || currentHold.x !== hold.x || currentHold.y !== hold.y;
+
+  if (isMovingToNewHold) {
+    const occupiedHolds = new Set();
+    for (const name of LIMB_NAMES) {
+      const index = nextLimbs[name];
+      if (index !== null) {
+        occupiedHolds.add(`${holds[index].x},${holds[index].y}`);
+      }
+    }
+    if (occupiedHolds.size < 3) {
+      return false;
+    }
+  }
+
+  // A limb may stay on its own hold; otherwise the hold must have room left
+  if (currentIndex === holdIndex) {
+    return true;
+  }
+  const limbsOnHold = LIMB_NAMES.filter(
+    (name) => state.limbs[name] === holdIndex
+  ).length;
+  return limbsOnHold < rules.maxLimbs;
+}
+
+/**
+ * Move a limb to a hold
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {LimbName} limb
+ * @param {number} holdIndex
+ * @returns {ClimbState | null} The new state, or null if the hold can't be grabbed
+ */
+function applyGrab(holds, state, limb, holdIndex) {
+  if (!canLimbReach(holds, state, limb, holdIndex)) return null;
+
+  const limbs = { ...state.limbs, [limb]: holdIndex };
+  const centroid = getHoldCentroid(holds, limbs);
+  let torso = state.torso;
+  let torsoPushed = state.torsoPushed;
+
+  if (centroid) {
+    // A pushed torso only drops back to its natural position
+    // if every limb stays in reach of the centroid
+    const relaxedFits = LIMB_NAMES.every((name) => {
+      const index = limbs[name];
+      return (
+        index === null ||
+        (distanceBetween(centroid, holds[index]) <= LIMB_REACH[name] &&
+          hasGripFrom(holds[index], centroid))
+      );
+    });
+    if (!torsoPushed || relaxedFits) {
+      torso = centroid;
+      torsoPushed = false;
+    }
+  }
+
+  return {
+    torso: { x: torso.x, y: torso.y },
+    limbs,
+    torsoPushed,
+    moves: state.moves + (state.limbs[limb] !== holdIndex ? 1 : 0),
+  };
+}
+
+/**
+ * Push the torso to maximum height while keeping all limbs connected
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @returns {ClimbState | null} The new state, or null if the torso can't go higher
+ */
+function applyPush(holds, state) {
+  const centroid = getHoldCentroid(holds, state.limbs);
+  if (!centroid) return null;
+
+  // Try moving up in 1px steps to find the highest position where all limbs still reach
+  let bestY = state.torso.y;
+  for (let testY = state.torso.y - 1; testY >= 0; testY -= 1) {
+    if (
+      !canTorsoHoldAll(
+        holds,
+        state.limbs,
+        { x: centroid.x, y: testY },
+        TORSO_MOVE_INSET
+      )
+    ) {
+      break;
+    }
+    bestY = testY;
+  }
+
+  // Back off a little so legs aren't fully straight
+  const finalY = bestY + PUSH_BACK_OFF;
+  if (finalY >= state.torso.y) return null;
+
+  return {
+    torso: { x: centroid.x, y: finalY },
+    limbs: { ...state.limbs },
+    torsoPushed: true,
+    moves: state.moves + 1,
+  };
+}
+
+/**
+ * Strafe the torso sideways as far as possible while keeping all limbs connected
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {"left" | "right"} direction
+ * @returns {ClimbState | null} The new state, or null if the torso can't go further
+ */
+function applyStrafe(holds, state, direction) {
+  const centroid = getHoldCentroid(holds, state.limbs);
+  if (!centroid) return null;
+
+  const step = direction === "left" ? -1 : 1;
+
+  // Try moving sideways in 1px steps to find the furthest position where all limbs still reach
+  let bestX = state.torso.x;
+  for (
+    let testX = state.torso.x + step;
+    testX >= 0 && testX <= WALL_WIDTH;
+    testX += step
+  ) {
+    if (
+      !canTorsoHoldAll(
+        holds,
+        state.limbs,
+        { x: testX, y: centroid.y },
+        TORSO_MOVE_INSET
+      )
+    ) {
+      break;
+    }
+    bestX = testX;
+  }
+
+  // Back off a little so limbs aren't fully extended
+  const finalX = bestX - step * STRAFE_BACK_OFF;
+  if ((finalX - state.torso.x) * step <= 0) return null;
+
+  return {
+    torso: { x: finalX, y: centroid.y },
+    limbs: { ...state.limbs },
+    torsoPushed: true,
+    moves: state.moves + 1,
+  };
+}
+
+/**
+ * Relax the torso to its natural position based on limb holds,
+ * removing all pushes and strafes
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @returns {ClimbState | null} The new state, or null if the torso is already relaxed or can't relax
+ */
+function applyRelax(holds, state) {
+  if (!state.torsoPushed) return null;
+
+  const centroid = getHoldCentroid(holds, state.limbs);
+  if (!centroid) return null;
+
+  if (!canTorsoHoldAll(holds, state.limbs, centroid, TORSO_MOVE_INSET)) {
+    return null;
+  }
+
+  return {
+    torso: centroid,
+    limbs: { ...state.limbs },
+    torsoPushed: false,
+    moves: state.moves + 1,
+  };
+}
+
+const CLIMB_STATE_TOLERANCE = 0.1; // Pixels, shared positions are rounded
+
+/**
+ * Check whether the moves could have led to a state, e.g. one read from a
+ * link: every limb is on a hold it may use, a relaxed torso rests on the
+ * centroid of the holds, and a pushed one is where a push, strafe or grab
+ * can leave it with every limb in reach
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @returns {boolean}
+ */
+function isPossibleClimbState(holds, state) {
+  const { limbs, torso } = state;
+  if (!Number.isInteger(state.moves) || state.moves < 0) return false;
+
+  for (const limb of LIMB_NAMES) {
+    const index = limbs[limb];
+    if (index === null) continue;
+    if (!Number.isInteger(index) || !holds[index]) return false;
+
+    const rules = getHoldRules(holds[index]);
+    if (!(isLeg(limb) ? rules.legs : rules.arms)) return false;
+    const sharing = LIMB_NAMES.filter((name) => limbs[name] === index).length;
+    if (sharing > rules.maxLimbs) return false;
+  }
+
+  const centroid = getHoldCentroid(holds, limbs);
+  if (!state.torsoPushed) {
+    return (
+      !centroid || distanceBetween(torso, centroid) <= CLIMB_STATE_TOLERANCE
+    );
+  }
+
+  /**
+   * @param {Point} point
+   * @param {number} inset
+   * @returns {boolean}
+   */
+  const holdsAllFrom = (point, inset) =>
+    LIMB_NAMES.every((limb) => {
+      const index = limbs[limb];
+      if (index === null) return true;
+      const attachment = getLimbAttachment(point, limb, inset);
+      return (
+        distanceBetween(attachment, holds[index]) <=
+          LIMB_REACH[limb] + CLIMB_STATE_TOLERANCE &&
+        hasGripFrom(holds[index], point)
+      );
+    });
+
+  // Pushes and strafes back off from where every limb just reaches, grabs
+  // keep a pushed torso where every limb reaches
+  return (
+    holdsAllFrom(torso, GRAB_INSET) ||
+    holdsAllFrom(
+      { x: torso.x, y: torso.y - PUSH_BACK_OFF },
+      TORSO_MOVE_INSET
+    ) ||
+    holdsAllFrom(
+      { x: torso.x - STRAFE_BACK_OFF, y: torso.y },
+      TORSO_MOVE_INSET
+    ) ||
+    holdsAllFrom({ x: torso.x + STRAFE_BACK_OFF, y: torso.y }, TORSO_MOVE_INSET)
+  );
+}
+
+/**
+ * Check if both arms are on the top hold (legs don't count)
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @returns {boolean}
+ */
+function isVictory(holds, state) {
+  const topIndex = getTopHoldIndex(holds);
+  return (
+    topIndex !== -1 &&
+    state.limbs.leftArm === topIndex &&
+    state.limbs.rightArm === topIndex
+  );
+}
+
+const STAMINA_MAX = 100;
+const STAMINA_RECOVERY = 10; // Per second while resting with all four limbs on holds
+const STAMINA_LOCKOFF_DRAIN = 3; // Per second while the torso is pushed or strafed
+const STAMINA_STRETCH_START = 0.7; // Share of its reach at which a limb starts to strain
+const STAMINA_STRETCH_DRAIN = 3; // Per second for each fully extended limb
+
+/**
+ * How fast stamina changes in a climb state, in points per second.
+ * Locking off and limbs near full extension drain it. It only recovers while
+ * the climber rests: after relaxing (applyRelax, or the relax action on an
+ * already relaxed torso) with all four limbs on holds, until the next move.
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {boolean} resting - Whether the climber relaxed since the last move
+ * @returns {number} Positive while recovering, negative while draining
+ */
+function getStaminaRate(holds, state, resting) {
+  let strain = 0;
+  for (const limb of LIMB_NAMES) {
+    const holdIndex = state.limbs[limb];
+    if (holdIndex === null) continue;
+
+    const extension =
+      distanceBetween(getLimbAttachment(state.torso, limb), holds[holdIndex]) /
+      LIMB_REACH[limb];
+    if (extension > STAMINA_STRETCH_START) {
+      strain +=
+        ((Math.min(extension, 1) - STAMINA_STRETCH_START) /
+          (1 - STAMINA_STRETCH_START)) *
+        STAMINA_STRETCH_DRAIN;
+    }
+  }
+
+  if (state.torsoPushed) return -(STAMINA_LOCKOFF_DRAIN + strain);
+
+  const onAllHolds = LIMB_NAMES.every((limb) => state.limbs[limb] !== null);
+  return resting && onAllHolds ? STAMINA_RECOVERY - strain : -strain;
+}
+
+/**
+ * Arms that jump in a dyno
+ * @typedef {"leftArm" | "rightArm" | "bothArms"} DynoArms
+ */
+
+const DYNO_REACH = 1.6; // A dyno reaches this many times an arm's static reach
+const DYNO_MIN_CHANCE = 0.3; // Success chance of a perfect dyno at full distance
+const DYNO_BOTH_ARMS_CHANCE = 0.75; // Catching with both hands is harder
+const DYNO_POWER_TOLERANCE = 0.35; // How far the charge may be off before a dyno always fails
+const STAMINA_DYNO_COST = 15; // Stamina spent on every dyno, caught or not
+
+/**
+ * @param {DynoArms} arms
+ * @returns {LimbName[]}
+ */
+function getDynoLimbs(arms) {
+  return arms === "bothArms" ? ["leftArm", "rightArm"] : [arms];
+}
+
+/**
+ * Distance the farthest jumping arm has to cover to a hold
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {DynoArms} arms
+ * @param {number} holdIndex
+ * @returns {number}
+ */
+function getDynoDistance(holds, state, arms, holdIndex) {
+  return Math.max(
+    ...getDynoLimbs(arms).map((arm) =>
+      distanceBetween(getLimbAttachment(state.torso, arm), holds[holdIndex])
+    )
+  );
+}
+
+/**
+ * Jump one or both arms to a hold above the torso, possibly beyond their
+ * static reach. Both feet must be on holds to push off. The climber lands
+ * relaxed, so every limb must reach its hold from the new centroid.
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {DynoArms} arms
+ * @param {number} holdIndex
+ * @returns {ClimbState | null} The state after a caught dyno, or null if the dyno isn't possible
+ */
+function applyDyno(holds, state, arms, holdIndex) {
+  const hold = holds[holdIndex];
+  if (!hold || hold.y >= state.torso.y) return null;
+  if (state.limbs.leftLeg === null || state.limbs.rightLeg === null) {
+    return null;
+  }
+
+  const jumping = getDynoLimbs(arms);
+  const rules = getHoldRules(hold);
+  if (!rules.arms) return null;
+  if (jumping.some((arm) => state.limbs[arm] === holdIndex)) return null;
+
+  const limbsOnHold = LIMB_NAMES.filter(
+    (limb) => !jumping.includes(limb) && state.limbs[limb] === holdIndex
+  ).length;
+  if (limbsOnHold + jumping.length > rules.maxLimbs) return null;
+
+  if (
+    getDynoDistance(holds, state, arms, holdIndex) >
+    LIMB_REACH.leftArm * DYNO_REACH
+  ) {
+    return null;
+  }
+
+  /** @type {ClimbState["limbs"]} */
+  const limbs = { ...state.limbs };
+  for (const arm of jumping) limbs[arm] = holdIndex;
+
+  // Same as grabbing: at least 3 different holds must stay in use
+  const spots = new Set();
+  for (const limb of LIMB_NAMES) {
+    const index = limbs[limb];
+    if (index !== null) spots.add(`${holds[index].x},${holds[index].y}`);
+  }
+  if (spots.size < 3) return null;
+
+  const torso = getHoldCentroid(holds, limbs);
+  if (!torso || !canTorsoHoldAll(holds, limbs, torso, GRAB_INSET)) {
+    return null;
+  }
+
+  return { torso, limbs, torsoPushed: false, moves: state.moves + 1 };
+}
+
+/**
+ * The charge, from 0 to 1, that sends the arms exactly to a hold
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {DynoArms} arms
+ * @param {number} holdIndex
+ * @returns {number}
+ */
+function getDynoPower(holds, state, arms, holdIndex) {
+  return Math.min(
+    1,
+    getDynoDistance(holds, state, arms, holdIndex) /
+      (LIMB_REACH.leftArm * DYNO_REACH)
+  );
+}
+
+/**
+ * Chance that a dyno with a given charge catches the hold. Jumps within
+ * static reach always work with the right charge; beyond it the chance drops
+ * towards DYNO_MIN_CHANCE at full dyno reach. Too little or too much charge
+ * lowers it further.
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {DynoArms} arms
+ * @param {number} holdIndex
+ * @param {number} charge - From 0 to 1
+ * @returns {number} From 0 to 1, 0 if the dyno isn't possible
+ */
+function getDynoChance(holds, state, arms, holdIndex, charge) {
+  if (!applyDyno(holds, state, arms, holdIndex)) return 0;
+
+  const reach = LIMB_REACH.leftArm;
+  const beyondReach = Math.min(
+    1,
+    Math.max(
+      0,
+      (getDynoDistance(holds, state, arms, holdIndex) - reach) /
+        (reach * (DYNO_REACH - 1))
+    )
+  );
+  const distanceChance = 1 - beyondReach * (1 - DYNO_MIN_CHANCE);
+
+  const aim = Math.max(
+    0,
+    1 -
+      Math.abs(charge - getDynoPower(holds, state, arms, holdIndex)) /
+        DYNO_POWER_TOLERANCE
+  );
+
+  return (
+    distanceChance * aim * (arms === "bothArms" ? DYNO_BOTH_ARMS_CHANCE : 1)
+  );
+}
+
+/**
+ * A move of the climber, made by the player, a replay or the solver
+ * @typedef {Object} ClimbMove
+ * @property {"grab" | "push" | "strafeLeft" | "strafeRight" | "relax" | "dyno"} type
+ * @property {LimbName} [limb] - The limb that grabs (grab moves)
+ * @property {number} [hold] - Index of the hold (grab and dyno moves)
+ * @property {DynoArms} [arms] - The arms that jump (dyno moves)
+ * @property {boolean} [caught] - Whether the dyno catches the hold (dyno moves), true when missing
+ */
+
+/**
+ * Apply any move to a state, so every caller follows the same rules. A missed
+ * dyno counts as a move but leaves the climber where they were.
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {ClimbMove} move
+ * @returns {ClimbState | null} The new state, or null if the move isn't allowed
+ */
+function applyClimbMove(holds, state, move) {
+  const hold = /** @type {number} */ (move.hold);
+  switch (move.type) {
+    case "grab":
+      return applyGrab(holds, state, /** @type {LimbName} */ (move.limb), hold);
+    case "push":
+      return applyPush(holds, state);
+    case "strafeLeft":
+      return applyStrafe(holds, state, "left");
+    case "strafeRight":
+      return applyStrafe(holds, state, "right");
+    case "relax":
+      return applyRelax(holds, state);
+    case "dyno": {
+      const landing = applyDyno(
+        holds,
+        state,
+        /** @type {DynoArms} */ (move.arms),
+        hold
+      );
+      if (!landing || move.caught !== false) return landing;
+      return { ...state, moves: state.moves + 1 };
+    }
+  }
+}
+
+/**
+ * Drop the climber back onto the starting holds, keeping the move count
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @returns {ClimbState}
+ */
+function applyFall(holds, state) {
+  return { ...createClimbState(holds), moves: state.moves };
+}
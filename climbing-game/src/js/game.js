@@ -5,17 +5,6 @@
  * @type {import("p5")}
  */
 
-/**
- * @typedef {'leftArm' | 'rightArm' | 'leftLeg' | 'rightLeg'} LimbName
- */
-
-/**
- * @typedef {Object} Hold
- * @property {number} x - X position of the hold
- * @property {number} y - Y position of the hold
- * @property {boolean} [top] - Whether this hold is the top hold
- */
-
 /**
  * @type {Hold[]}
  */
@@ -35,13 +24,18 @@ let gameScrollBarStartY = 0;
 let gameScrollBarStartCameraY = 0;
 let manualCameraControl = false; // Track if player is manually controlling camera
 
+/** @type {LimbName} */
 let selectedLimb = "leftArm";
-let totalMoves = 0;
 let startingHeight = 0;
 let currentHeight = 0;
 /** @type {any | null} */
 let currentCustomLevelData = null; // Store current custom level data for editing
-let torsoPushed = false; // Track if torso has been manually pushed
+
+/**
+ * The climber's position on the wall, as seen by the rules engine
+ * @type {ClimbState}
+ */
+let climbState = createClimbState([]);
 
 // Animation variables
 let animationSpeed = 0.22; // How fast animations complete (0.1 = slower, 0.3 = faster)
@@ -61,16 +55,155 @@ let limbButtons = {};
  */
 let pushButton = null;
 
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {ClimbState} state - The climb state before or after a move
+ * @property {number} cameraOffsetY - Camera position at that time
+ */
+
+/** @type {HistoryEntry[]} */
+let undoStack = [];
+/** @type {HistoryEntry[]} */
+let redoStack = [];
+
+/** @type {HTMLButtonElement | null} */
+let undoButton = null;
+/** @type {HTMLButtonElement | null} */
+let redoButton = null;
+
+// Replay recording and playback
+/** @type {ReplayAction[]} */
+let recordedActions = []; // Everything the player did since the level was loaded
+let recordingStartTime = 0;
+/** @type {ReplayAction[] | null} */
+let replayActions = null; // Actions being played back, null when not replaying
+let replayIndex = 0; // Next action to play
+let replayTime = 0; // Playback position in milliseconds
+let replayPlaying = false;
+let replaySpeed = 1;
+
+// Separate solvers so a hint doesn't have to wait for the par of a big level
+const parSolver = createSolverWorker();
+const hintSolver = createSolverWorker();
+const wallGenerator = createSolverWorker();
+const levelGrader = createSolverWorker();
+
+/** @type {SolverResult | null} */
+let levelPar = null; // Solver result for the current level, null while solving
+/** @type {LevelGrade | null} */
+let levelGrade = null; // Grade of the current level, null until it's solved
+/** @type {Set<string>} */
+const gradedLevelKeys = new Set(); // Dropdown levels graded in the background so far
+let gradingLevels = false;
+
+// Hints
+const HINT_MAX_STATES = 50000; // Keep hint searches short so the player isn't kept waiting
+let hintsAllowed = true; // Levels can turn hints off with `hints: false`
+/** @type {SolverMove | null} */
+let currentHint = null; // Recommended next move, shown until the climb changes
+let hintMessage = ""; // Explains the current hint
+let hintPending = false;
+let hintsUsed = 0;
+/** @type {HTMLButtonElement | null} */
+let hintButton = null;
+
+// Stamina
+let staminaEnabled = false; // Levels turn stamina on with `stamina: true`
+let stamina = STAMINA_MAX;
+let staminaResting = false; // Relaxed since the last move, stamina recovers
+let lastFallTime = -Infinity; // When the climber last ran out of stamina
+
+// Dynos
+const DYNO_CHARGE_TIME = 1000; // Milliseconds for the charge to go from empty to full
+const DYNO_LAUNCH_TIME = 250; // Milliseconds the climber flies towards the hold
+/** @type {"off" | "oneArm" | "bothArms"} */
+let dynoMode = "off"; // Clicking a hold jumps to it instead of reaching for it
+let dynoTarget = -1; // Hold being charged for, -1 when not charging
+let dynoChargeStart = 0;
+let lastMissTime = -Infinity; // When the last dyno missed its hold
+/** @type {HTMLButtonElement | null} */
+let dynoButton = null;
+
+/**
+ * @typedef {Object} DynoAnimation
+ * @property {LimbName[]} arms - The jumping arms, drawn reaching for the hold
+ * @property {number} hold - Index of the hold jumped to
+ * @property {Point} from - Torso position at take-off
+ * @property {Point} peak - Torso position when the hands are at the hold
+ * @property {number} start - millis() at take-off
+ */
+
+/** @type {DynoAnimation | null} */
+let dynoAnimation = null; // The launch of the current dyno, null otherwise
+
+let currentLevelKey = ""; // Identifies the level for progress and personal bests
+let levelSeed = ""; // Seed of the generated wall, empty for other levels
+/** @type {Map<string, GeneratedWall>} */
+const generatedWalls = new Map(); // By level key, generating takes seconds
+let pendingWallKey = ""; // Level key of the wall being generated, if any
+/** @type {LevelPack[]} */
+let levelPacks = []; // Imported packs
+/** @type {Map<string, any>} */
+const packLevels = new Map(); // Levels of the imported packs, by getPackLevelKey
+let currentPackId = ""; // Pack of the current level, empty for other levels
+/** @type {GeneratorOptions} */
+let generatorOptions = GENERATOR_PRESETS.medium; // Shape of the "Challenge" wall
+
+/**
+ * Names of the generator options in links. Only options that differ from the
+ * medium preset are added.
+ * @type {Record<keyof GeneratorOptions, string>}
+ */
+const GENERATOR_URL_PARAMS = {
+  wallHeight: "height",
+  holdsPerLayer: "density",
+  spread: "spread",
+  maxGap: "gap",
+};
+
+/**
+ * Slider of every option in the generator options panel
+ * @type {Record<keyof GeneratorOptions, string>}
+ */
+const GENERATOR_OPTION_INPUTS = {
+  wallHeight: "generatorHeight",
+  holdsPerLayer: "generatorDensity",
+  spread: "generatorSpread",
+  maxGap: "generatorGap",
+};
+let attemptRecorded = false; // Whether this climb was counted as an attempt yet
+// Climbs from a shared position don't count for progress, bests or replays
+let startedFromPosition = false;
+
+// Speed runs
+let speedMode = false; // Time runs and compare them with the personal best
+let runStartTime = -1; // millis() of the first move, -1 before it
+/** @type {number[]} */
+let runSplits = []; // Milliseconds at which each height milestone was reached
+let runTime = 0; // Final time, once the top is reached
+/** @type {SpeedRun | null} */
+let personalBest = null; // Fastest earlier run of the current level
+let isNewPersonalBest = false;
+
+// Ghost racing
+/** @type {"off" | GhostSource} */
+let ghostMode = "off"; // Which recorded run the ghost replays
+/** @type {Ghost | null} */
+let ghost = null; // The ghost racing the current climb, null when there is none
+let ghostStartTime = -1; // millis() of the player's first move, -1 before it
+
+// Campaign
+/**
+ * @typedef {Object} CampaignResult
+ * @property {string} stars - Stars of the send and the par, e.g. "★★☆  par 18"
+ * @property {string} nextLevel - Name of the next campaign level if it is open, else ""
+ */
+/** @type {CampaignResult | null} */
+let campaignResult = null; // Worked out once when a campaign level is sent
+
 /**
  * @typedef {Object} Climber
- * @property {Object} torso - The climber's torso position
- * @property {number} torso.x - X position of the torso
- * @property {number} torso.y - Y position of the torso
- * @property {Object} torsoTarget - Target position for torso animation
- * @property {number} torsoTarget.x - Target X position of the torso
- * @property {number} torsoTarget.y - Target Y position of the torso
- * @property {Record<LimbName, { hold: Hold | null, reach: number, targetHold: Hold | null }>} limbs - The climber's limbs
- *
+ * @property {Point} torso - The drawn torso position, eased towards climbState.torso
  */
 
 /**
@@ -78,13 +211,6 @@ let pushButton = null;
  */
 const climber = {
   torso: { x: 0, y: 0 },
-  torsoTarget: { x: 0, y: 0 },
-  limbs: {
-    leftArm: { hold: null, reach: 80, targetHold: null },
-    rightArm: { hold: null, reach: 80, targetHold: null },
-    leftLeg: { hold: null, reach: 120, targetHold: null },
-    rightLeg: { hold: null, reach: 120, targetHold: null },
-  },
 };
 
 /**
@@ -94,6 +220,9 @@ const climber = {
  * @property {number} wallHeight - The height of the climbing wall
  * @property {Hold[]} holds - The holds available in the level
  * @property {number} order - The order of the level (for sorting)
+ * @property {boolean} [hints] - Set to false to turn off hints
+ * @property {boolean} [stamina] - Set to true to let the climber get pumped
+ * @property {string} [grade] - Difficulty grade worked out by `npm run solve`
  * @typedef {Record<string, Level>} Levels
  *
  * @type {Levels}
@@ -102,237 +231,23 @@ const climber = {
 const levels = gameLevels;
 
 /**
- * Generate holds for the generated level
- * @returns {Hold[]}
+ * @param {string} key - Key of a built-in level or from getPackLevelKey
+ * @returns {any} The level, undefined for unknown keys
  */
-function generateLevel() {
-  let h = [];
-  const holdSize = 20; // Size of each hold
-  const minDistance = holdSize * 1.5; // Minimum distance between holds (1.5x hold size)
-  const maxReach = 160; // Maximum reach of any limb
-  const wallWidth = 400;
-  const wallHeight = 3000;
-
-  // Starting holds - manually placed to ensure good starting position
-  // Moved up from bottom to give more space below (was 2830, 2850, 2920, 2950)
-  h.push({ x: 150, y: 2330 }); // left arm
-  h.push({ x: 240, y: 2350 }); // right arm
-  h.push({ x: 130, y: 2420 }); // left leg
-  h.push({ x: 200, y: 2450 }); // right leg
-
-  // Function to check if a new hold position is valid
-  /**
-   * @param {number} newX
-   * @param {number} newY
-   * @param {Hold[]} existingHolds
-   * @returns {boolean}
-   */
-  function isValidPosition(newX, newY, existingHolds) {
-    // Check boundaries
-    if (newX < holdSize || newX > wallWidth - holdSize) return false;
-    if (newY < holdSize || newY > wallHeight - holdSize) return false;
-
-    // Check distance from existing holds
-    for (let existingHold of existingHolds) {
-      let distance = Math.sqrt(
-        (newX - existingHold.x) ** 2 + (newY - existingHold.y) ** 2
-      );
-      if (distance < minDistance) return false;
-    }
-
-    return true;
-  }
-
-  // Function to check if a hold is climbable (reachable from nearby holds)
-  /**
-   * @param {number} newX
-   * @param {number} newY
-   * @param {Hold[]} existingHolds
-   * @returns {boolean}
-   */
-  function isClimbable(newX, newY, existingHolds) {
-    if (existingHolds.length === 0) return true;
-
-    // Use the same reach values as the actual climber
-    const armReach = climber.limbs.leftArm.reach;
-    const legReach = climber.limbs.leftLeg.reach;
-    const maxReach = Math.max(armReach, legReach);
-
-    // Simple but effective approach: ensure the new hold is reachable from existing holds
-    // and that there are enough support holds nearby
-
-    let reachableSupports = 0;
-    let closestDistance = Infinity;
-
-    for (let hold of existingHolds) {
-      const distance = Math.sqrt((newX - hold.x) ** 2 + (newY - hold.y) ** 2);
-
-      if (distance < closestDistance) {
-        closestDistance = distance;
-      }
-
-      // Count holds that are within reasonable reach
-      if (distance <= maxReach * 1.2) {
-        // Allow for 20% stretch
-        reachableSupports++;
-      }
-    }
-
-    // A hold is climbable if:
-    // 1. The closest existing hold is within maximum stretch reach
-    // 2. There are at least 2 holds nearby for support (or 1 if very close)
-    const withinReach = closestDistance <= maxReach * 1.4; // 40% stretch for closest hold
-    const hasSupport =
-      reachableSupports >= 2 ||
-      (reachableSupports >= 1 && closestDistance <= maxReach * 0.8);
-
-    return withinReach && hasSupport;
-  }
-
-  // Generate holds layer by layer from bottom to top
-  const layerHeight = 80; // Reduced layer height for more layers (was 100)
-  const holdsPerLayer = 4; // Increased back to 4 holds per layer for better climbability
-  const scrollbarAreaWidth = 30; // Area to avoid on the right side for scrollbar
-  const availableWidth = wallWidth - scrollbarAreaWidth - 2 * holdSize; // Define outside the loop
-
-  for (
-    let layer = 0;
-    layer < Math.floor((wallHeight - 700) / layerHeight); // Changed from 200 to 700 to account for more bottom space
-    layer++
-  ) {
-    let layerY = wallHeight - 700 - layer * layerHeight; // Changed from 200 to 700
-    let attemptsForLayer = 0;
-    let holdsInLayer = 0;
-
-    while (holdsInLayer < holdsPerLayer && attemptsForLayer < 100) {
-      // Increased attempts
-      // Avoid scrollbar area by reducing available width
-      let newX = Math.random() * availableWidth + holdSize;
-      let newY = layerY + (Math.random() - 0.5) * layerHeight * 0.6; // Reduced variation for more consistent layers
-
-      if (isValidPosition(newX, newY, h) && isClimbable(newX, newY, h)) {
-        h.push({ x: newX, y: newY });
-        holdsInLayer++;
-      }
-      attemptsForLayer++;
-    }
-
-    // If we couldn't place enough holds in this layer, try to place at least one
-    if (holdsInLayer === 0 && attemptsForLayer >= 100) {
-      // Force place at least one hold per layer to ensure progression
-      let fallbackX = 100 + Math.random() * (availableWidth - 100);
-      let fallbackY = layerY;
-
-      if (isValidPosition(fallbackX, fallbackY, h)) {
-        h.push({ x: fallbackX, y: fallbackY });
-      }
-    }
-  }
-
-  // Add some additional random holds to fill gaps and ensure climbability
-  let additionalAttempts = 0;
-  while (h.length < 90 && additionalAttempts < 200) {
-    // Increased from 70 to 90 holds, attempts from 150 to 200
-    // Avoid scrollbar area by reducing available width
-    let newX = Math.random() * availableWidth + holdSize;
-    let newY = Math.random() * (wallHeight - 800) + 100; // Changed from 300 to 800 to account for more bottom space
-
-    if (isValidPosition(newX, newY, h) && isClimbable(newX, newY, h)) {
-      h.push({ x: newX, y: newY });
-    }
-    additionalAttempts++;
-  }
-
-  // Top hold - ensure it's climbable and well-positioned
-  let topHoldPlaced = false;
-  let topAttempts = 0;
-  while (!topHoldPlaced && topAttempts < 30) {
-    // Increased attempts
-    let topX = 120 + Math.random() * 160; // Wider range for better positioning
-    let topY = 30 + Math.random() * 20; // Small Y variation
-
-    if (isValidPosition(topX, topY, h) && isClimbable(topX, topY, h)) {
-      h.push({ x: topX, y: topY, top: true });
-      topHoldPlaced = true;
-    }
-    topAttempts++;
-  }
-
-  // Fallback top hold if placement failed - try multiple positions
-  if (!topHoldPlaced) {
-    const fallbackPositions = [
-      { x: 200, y: 40 },
-      { x: 150, y: 50 },
-      { x: 250, y: 45 },
-      { x: 180, y: 35 },
-    ];
-
-    for (let pos of fallbackPositions) {
-      if (isValidPosition(pos.x, pos.y, h) && isClimbable(pos.x, pos.y, h)) {
-        h.push({ x: pos.x, y: pos.y, top: true });
-        topHoldPlaced = true;
-        break;
-      }
-    }
-
-    // Ultimate fallback - place without climbability check
-    if (!topHoldPlaced) {
-      h.push({ x: 200, y: 40, top: true });
-    }
-  }
-
-  return h;
+function findLevel(key) {
+  return Object.hasOwn(levels, key) ? levels[key] : packLevels.get(key);
 }
 
 /**
- * Compress level data for URL sharing
+ * Open a level in the editor in a new tab
  * @param {any} levelData
- * @returns {string}
- */
-function compressLevelData(levelData) {
-  // Create a compressed format with shorter property names
-  const compressed = {
-    n: levelData.name || "Custom Level",
-    a: levelData.author || "Anonymous",
-    h: levelData.wallHeight || 1400,
-    d: levelData.holds.map(
-      /** @param {any} hold */ (hold) => [
-        Math.round(hold.x),
-        Math.round(hold.y),
-        hold.top ? 1 : 0,
-      ]
-    ),
-  };
-
-  return JSON.stringify(compressed);
-}
-
-/**
- * Decompress level data from URL
- * @param {string} compressedData
- * @returns {any}
  */
-function decompressLevelData(compressedData) {
-  try {
-    const compressed = JSON.parse(compressedData);
-
-    // Convert back to full format
-    return {
-      name: compressed.n || "Custom Level",
-      author: compressed.a || "Anonymous",
-      wallHeight: compressed.h || 1400,
-      holds: compressed.d.map(
-        /** @param {any} holdArray */ (holdArray) => ({
-          x: holdArray[0],
-          y: holdArray[1],
-          top: holdArray[2] === 1,
-        })
-      ),
-    };
-  } catch (error) {
-    console.error("Failed to decompress level data:", error);
-    return null;
-  }
+function openInEditor(levelData) {
+  // Compress the level data for the editor URL
+  const compressedLevel = compressLevelData(levelData);
+  const encodedLevel = encodeURIComponent(compressedLevel);
+  const editorUrl = `./level-editor.html?data=${encodedLevel}`;
+  window.open(editorUrl, "_blank");
 }
 
 async function setup() {
@@ -340,10 +255,16 @@ async function setup() {
   let canvas = createCanvas(400, 700);
   canvas.parent("gameContainer");
 
-  // Generate the procedural level now that p5.js is initialized
-  levels.generated.holds = generateLevel();
-
   createLimbButtons();
+  createReplayControls();
+  createResumeControls();
+  createSpeedModeToggle();
+  createGhostControls();
+  createSeedControls();
+  createCampaignMap();
+  createLevelPackControls();
+  createLevelLibraryControls();
+  createTopoControls();
   populateLevelSelect();
 
   // Set up edit level link
@@ -351,64 +272,104 @@ async function setup() {
   if (editLevelLink) {
     editLevelLink.addEventListener("click", (e) => {
       e.preventDefault();
-      if (currentCustomLevelData) {
-        // Compress the level data for the editor URL
-        const compressedLevel = compressLevelData(currentCustomLevelData);
-        const encodedLevel = encodeURIComponent(compressedLevel);
-        const editorUrl = `./level-editor.html?data=${encodedLevel}`;
-        window.open(editorUrl, "_blank");
-      }
+      // Generated walls can be edited too, to keep a good one as a level
+      const levelData =
+        currentCustomLevelData || (levelSeed ? getGeneratedLevelData() : null);
+      if (levelData) openInEditor(levelData);
     });
   }
 
-  // Check for custom level parameter in URL
+  // Check for level parameters in URL
   const urlParams = new URLSearchParams(window.location.search);
+  // Generated walls only have their holds once they're built
+  loadLevelFromUrl(urlParams, () => startSharedClimb(urlParams));
+}
+
+/**
+ * Play back a shared climb or put the climber at a shared position, if the
+ * link has one. Both need the holds of the level from the link.
+ * @param {URLSearchParams} urlParams
+ */
+function startSharedClimb(urlParams) {
+  // Play back a shared climb if the link contains one
+  const replayParam = urlParams.get("replay");
+  if (replayParam) {
+    const actions = parseReplay(replayParam);
+    if (actions) {
+      startReplay(actions);
+    }
+  }
+
+  // Or put the climber where a shared position link says
+  const positionParam = urlParams.get("position");
+  if (positionParam && !replayParam) {
+    const position = parsePosition(positionParam, holds);
+    if (position) {
+      startedFromPosition = true;
+      attemptRecorded = true;
+      ghost = null; // There is nothing to race from halfway up
+      restorePosition(position, position.state.torso);
+      updateReplayControls();
+    }
+  }
+}
+
+/**
+ * Load the level named in the URL parameters, or the default level
+ * @param {URLSearchParams} urlParams
+ * @param {() => void} [onLoaded] - Called once the level is loaded, which can take a while for generated walls
+ */
+function loadLevelFromUrl(urlParams, onLoaded) {
   const customLevel = urlParams.get("level");
 
+  // A pack link starts the pack's first level once it's downloaded
+  const packUrl = urlParams.get("pack");
+  if (packUrl) fetchLevelPack(packUrl);
+
   if (customLevel === "custom") {
     // Try to load custom level data from URL parameter
     const customLevelData = urlParams.get("data");
     if (customLevelData) {
       try {
-        // Try decompressing first (new format), fallback to old format
-        let levelData;
-        try {
-          levelData = decompressLevelData(decodeURIComponent(customLevelData));
-        } catch (error) {
-          // Fallback to old uncompressed format
-          levelData = JSON.parse(decodeURIComponent(customLevelData));
-        }
-
+        const levelData = parseLevelData(decodeURIComponent(customLevelData));
         if (levelData) {
-          loadCustomLevel(levelData);
+          loadCustomLevel(levelData, !urlParams.has("test"));
+          onLoaded?.();
           return;
         } else {
-          throw new Error("Failed to decompress level data");
+          throw new Error("Failed to read level data");
         }
       } catch (error) {
         console.error("Failed to load custom level from URL:", error);
+        showLevelProblems(
+          "This level link can't be read",
+          ["The level data in the link is damaged or cut off."],
+          null
+        );
       }
     }
 
-    // Fallback: try to load from localStorage for backward compatibility
-    const storedLevelData = localStorage.getItem("customLevel");
-    if (storedLevelData) {
-      try {
-        const levelData = JSON.parse(storedLevelData);
-        loadCustomLevel(levelData);
-        return;
-      } catch (error) {
-        console.error("Failed to load custom level from localStorage:", error);
-      }
+    // Without level data, open the custom level played last
+    const lastPlayed = getLastPlayedLibraryLevel();
+    if (lastPlayed) {
+      loadCustomLevel(lastPlayed.level);
+      onLoaded?.();
+      return;
     }
-  } else if (customLevel && levels[customLevel]) {
+  } else if (customLevel === "generated") {
+    // Keep the seed in the URL, so a reload or a shared link shows the same wall
+    const seed = urlParams.get("seed");
+    generatorOptions = readGeneratorOptions(urlParams);
+    loadLevel(customLevel, !seed, true, seed || undefined, onLoaded);
+    return;
+  } else if (customLevel && findLevel(customLevel)) {
     // Load regular level from URL parameter
-    loadLevel(customLevel);
+    loadLevel(customLevel, false, false, undefined, onLoaded);
     return;
   }
 
   // Load default level and update URL
-  loadLevel("default", true, true); // updateUrl=true, replaceHistory=true
+  loadLevel("default", true, true, undefined, onLoaded); // updateUrl=true, replaceHistory=true
 }
 
 function draw() {
@@ -458,24 +419,27 @@ function draw() {
   }
 
   // Draw holds
-  for (let h of holds) {
+  for (let i = 0; i < holds.length; i++) {
+    const h = holds[i];
     if (h === topHold) {
       fill("gold");
-    } else if (
-      canReach(
-        climber.torso,
-        h,
-        climber.limbs[/** @type {LimbName} */ (selectedLimb)].reach,
-        /** @type {LimbName} */ (selectedLimb)
-      )
-    ) {
+    } else if (dynoMode !== "off") {
+      // Dyno targets in orange, static reach doesn't matter
+      fill(
+        applyDyno(holds, climbState, getDynoArms(), i) ? "#FF9800" : "#8B4513"
+      );
+    } else if (canLimbReach(holds, climbState, selectedLimb, i)) {
       fill("#4CAF50");
     } else {
       fill("#8B4513");
     }
-    ellipse(h.x, h.y, 20, 20);
+    drawHoldShape(h);
   }
 
+  drawHint();
+  drawDynoPreview();
+  drawGhost();
+
   // Calculate dance offsets for victory animation (moved before limb drawing)
   let torsoXOffset = 0;
   let torsoYOffset = 0;
@@ -501,55 +465,187 @@ function draw() {
     dancingTorsoY = climber.torso.y + pushRelaxOffset;
   }
 
-  // Draw limbs
-  for (let limb in climber.limbs) {
-    let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-    let targetHold = climber.limbs[/** @type {LimbName} */ (limb)].targetHold;
+  // Draw limbs, torso and head, using the dancing torso position if the game is won
+  /** @type {Partial<Record<LimbName, Hold | null>>} */
+  const limbHolds = {};
+  for (const limb of LIMB_NAMES) {
+    // Arms in the middle of a dyno reach for the hold they jump to
+    const holdIndex = dynoAnimation?.arms.includes(limb)
+      ? dynoAnimation.hold
+      : climbState.limbs[limb];
+    limbHolds[limb] = holdIndex === null ? null : holds[holdIndex];
+  }
+  const drawnTorso = {
+    x: climber.torso.x + torsoXOffset,
+    y: dancingTorsoY + torsoYOffset,
+  };
+  drawClimber(drawnTorso, limbHolds, 255, {
+    x: headXOffset - torsoXOffset,
+    y: headYOffset,
+  });
+
+  // Draw green dot indicator for selected limb attachment point (hidden during victory)
+  if (selectedLimb && !gameWon) {
+    fill("#6CBF6C"); // Light green matching reachable holds
+    noStroke();
+
+    const dot = getLimbAttachment(drawnTorso, selectedLimb);
+    ellipse(dot.x, dot.y, 8, 8);
+  }
+
+  pop();
+
+  // Draw scroll bar (after pop so it's not affected by camera transform)
+  drawScrollBar();
+
+  updateReplay();
+  updateStamina();
+  updateAnimations();
+  updateGhost();
+  updateCamera();
+
+  const heightInMeters = Math.round(currentHeight / 10) / 10;
+  // Make room for the run timer, the ghost gap and the stamina bar
+  let statsHeight = 45;
+  const timerY = statsHeight + 5;
+  if (speedMode) statsHeight += 20;
+  const ghostY = statsHeight + 5;
+  if (ghost) statsHeight += 20;
+  const staminaY = statsHeight + 7;
+  if (staminaEnabled) statsHeight += 27;
+  let victoryHeight = speedMode && runTime ? 180 : 100;
+  if (campaignResult) victoryHeight += 45;
+
+  if (gameWon) {
+    // Draw semi-transparent background for victory message
+    fill(0, 0, 0, 180); // Darker background for victory
+    noStroke();
+    rect(width / 2 - 180, 40, 360, victoryHeight, 10); // Wider centered rounded rectangle background
+
+    fill(0, 180, 0, 255);
+    textSize(24);
+    textAlign(CENTER, CENTER);
+    text("Victory!", width / 2, 60);
+    textSize(20);
+    const hintsText = hintsUsed
+      ? ` (${hintsUsed} hint${hintsUsed === 1 ? "" : "s"})`
+      : "";
+    text(
+      `${climbState.moves} moves${hintsText}, ${heightInMeters}m climbed!`,
+      width / 2,
+      95
+    );
+
+    fill(255);
+    textSize(14);
+    text(getParText(), width / 2, 125);
+    if (speedMode && runTime) drawRunSummary(150);
+    if (campaignResult) {
+      drawCampaignResult(campaignResult, speedMode && runTime ? 215 : 150);
+    }
+    // Note: noLoop() removed to allow dancing animation
+  } else {
+    // Only show game stats when not in victory state
+    // Draw semi-transparent background for stats
+    fill(0, 0, 0, 150); // Black with 150/255 opacity
+    noStroke();
+    rect(5, 5, 140, statsHeight, 5); // Rounded rectangle background
+
+    // Display stats (moves and height)
+    fill(255); // White text for better contrast
+    textSize(16);
+    textAlign(LEFT, TOP);
+    text(`Moves: ${climbState.moves}`, 10, 10);
+    text(`Height: ${heightInMeters}m`, 10, 30);
+    if (speedMode) drawRunTimer(10, timerY);
+    if (ghost) drawGhostGap(10, ghostY);
+    if (staminaEnabled) drawStaminaBar(10, staminaY, 130);
+
+    if (hintMessage) {
+      // Show the hint next to the stats
+      fill(0, 0, 0, 150);
+      rect(150, 5, 245, 45, 5);
+      fill(255, 230, 120);
+      textSize(13);
+      text(hintMessage, 155, 10, 235, 40);
+    }
+
+    if (levelPar?.status === "impossible") {
+      // Warn about broken levels instead of letting the player try forever
+      fill(0, 0, 0, 150);
+      rect(5, statsHeight + 10, 200, 25, 5);
+      fill(255, 180, 0);
+      textSize(14);
+      text("⚠️ No way to the top hold", 10, statsHeight + 15);
+    }
+
+    // Tell the player why the climber dropped
+    let dropMessage = "";
+    if (millis() - lastFallTime < 2500) dropMessage = "Pumped out! You fell.";
+    else if (millis() - lastMissTime < 1500) dropMessage = "Missed the dyno!";
+    if (dropMessage) {
+      fill(0, 0, 0, 180);
+      rect(width / 2 - 130, height / 2 - 30, 260, 60, 10);
+      fill(255, 120, 80);
+      textSize(20);
+      textAlign(CENTER, CENTER);
+      text(dropMessage, width / 2, height / 2);
+    }
+  }
+
+  if (replayActions) {
+    // Show replay progress below the stats
+    let replayY = statsHeight + 10;
+    if (gameWon) replayY = 50 + victoryHeight;
+    else if (levelPar?.status === "impossible") replayY += 30;
+
+    fill(0, 0, 0, 150);
+    noStroke();
+    rect(5, replayY, 140, 25, 5);
+    fill(255);
+    textSize(14);
+    textAlign(LEFT, TOP);
+    text(
+      `${replayPlaying ? "▶" : "⏸"} Replay ${replayIndex}/${
+        replayActions.length
+      }`,
+      10,
+      replayY + 5
+    );
+  }
+}
 
-    // Use target hold for drawing if it exists (during animation)
-    let currentHold = targetHold || hold;
+/**
+ * Draw a climber's limbs, torso and head, for the player as well as the ghost
+ * @param {Point} torso - Where to draw the torso
+ * @param {Partial<Record<LimbName, Hold | null>>} limbHolds - The hold each limb reaches for
+ * @param {number} [alpha] - Opacity from 0 to 255
+ * @param {Point} [headOffset] - How far the head sways from its place above the torso
+ */
+function drawClimber(
+  torso,
+  limbHolds,
+  alpha = 255,
+  headOffset = { x: 0, y: 0 }
+) {
+  for (let limb of LIMB_NAMES) {
+    let currentHold = limbHolds[limb];
 
     if (currentHold) {
       // Set color based on limb type
       if (limb === "leftArm" || limb === "rightArm") {
-        stroke("#3264C8");
+        stroke(50, 100, 200, alpha); // #3264C8
       } else {
-        stroke("#444");
+        stroke(68, 68, 68, alpha); // #444
       }
 
       // Calculate limb attachment point based on limb type
-      // Use dancing torso position if game is won
-      let baseTorsoX = climber.torso.x;
-      let baseTorsoY = climber.torso.y;
-
-      if (gameWon) {
-        // Apply dance animation to torso position for limb calculations
-        baseTorsoX += torsoXOffset;
-        baseTorsoY = dancingTorsoY + torsoYOffset;
-      }
-
-      let attachmentX = baseTorsoX;
-      let attachmentY = baseTorsoY;
-      const torsoWidth = 36;
-      const torsoHeight = 74;
-      const inset = 9; // Move attachment points 9px towards center
-
-      if (limb === "leftArm") {
-        attachmentX = baseTorsoX - torsoWidth / 2 + inset;
-        attachmentY = baseTorsoY - torsoHeight / 2 + inset;
-      } else if (limb === "rightArm") {
-        attachmentX = baseTorsoX + torsoWidth / 2 - inset;
-        attachmentY = baseTorsoY - torsoHeight / 2 + inset;
-      } else if (limb === "leftLeg") {
-        attachmentX = baseTorsoX - torsoWidth / 2 + inset;
-        attachmentY = baseTorsoY + torsoHeight / 2 - inset;
-      } else if (limb === "rightLeg") {
-        attachmentX = baseTorsoX + torsoWidth / 2 - inset;
-        attachmentY = baseTorsoY + torsoHeight / 2 - inset;
-      }
+      const attachment = getLimbAttachment(torso, limb);
+      let attachmentX = attachment.x;
+      let attachmentY = attachment.y;
 
       // Calculate limb length and direction
-      let limbLength = climber.limbs[/** @type {LimbName} */ (limb)].reach;
+      let limbLength = LIMB_REACH[limb];
       let segmentLength = limbLength / 2; // Each segment is half of total reach
 
       // Calculate distance from attachment point to hold
@@ -651,185 +747,1028 @@ function draw() {
     }
   }
 
-  // Draw torso as rounded rectangle with dance animation
-  fill(50, 100, 200, 255); // #3264C8
+  // Draw torso as rounded rectangle
+  fill(50, 100, 200, alpha); // #3264C8
   noStroke();
   rectMode(CENTER);
   // rect(x, y, width, height, topLeftRadius, topRightRadius, bottomRightRadius, bottomLeftRadius)
-  rect(
-    climber.torso.x + torsoXOffset,
-    dancingTorsoY + torsoYOffset,
-    36,
-    74,
-    18,
-    18,
-    18,
-    18
-  );
-
-  // Draw green dot indicator for selected limb attachment point (hidden during victory)
-  if (selectedLimb && !gameWon) {
-    fill("#6CBF6C"); // Light green matching reachable holds
-    noStroke();
-
-    // Calculate attachment point for the selected limb
-    let baseTorsoX = climber.torso.x;
-    let baseTorsoY = dancingTorsoY;
-
-    if (gameWon) {
-      baseTorsoX += torsoXOffset;
-      baseTorsoY += torsoYOffset;
-    }
-
-    const torsoWidth = 36;
-    const torsoHeight = 74;
-    const inset = 9; // Same inset as used in limb attachment calculation
-
-    let dotX = baseTorsoX;
-    let dotY = baseTorsoY;
-
-    if (selectedLimb === "leftArm") {
-      dotX = baseTorsoX - torsoWidth / 2 + inset;
-      dotY = baseTorsoY - torsoHeight / 2 + inset;
-    } else if (selectedLimb === "rightArm") {
-      dotX = baseTorsoX + torsoWidth / 2 - inset;
-      dotY = baseTorsoY - torsoHeight / 2 + inset;
-    } else if (selectedLimb === "leftLeg") {
-      dotX = baseTorsoX - torsoWidth / 2 + inset;
-      dotY = baseTorsoY + torsoHeight / 2 - inset;
-    } else if (selectedLimb === "rightLeg") {
-      dotX = baseTorsoX + torsoWidth / 2 - inset;
-      dotY = baseTorsoY + torsoHeight / 2 - inset;
-    }
-
-    // Draw the green dot
-    ellipse(dotX, dotY, 8, 8);
-  }
+  rect(torso.x, torso.y, 36, 74, 18, 18, 18, 18);
 
-  // Draw head as a circle above the torso with dance animation
-  fill(220, 180, 140, 255); // Skin tone color
+  // Draw head as a circle above the torso
+  fill(220, 180, 140, alpha); // Skin tone color
   noStroke();
   const torsoHeight = 74;
   const headRadius = 14;
-  const headY = dancingTorsoY - torsoHeight / 2 - headRadius - 2; // 2px gap between torso and head
+  const headY = torso.y - torsoHeight / 2 - headRadius - 2; // 2px gap between torso and head
   ellipse(
-    climber.torso.x + headXOffset,
-    headY + headYOffset + torsoYOffset,
+    torso.x + headOffset.x,
+    headY + headOffset.y,
     headRadius * 2,
     headRadius * 2
   );
+}
 
-  pop();
-
-  // Draw scroll bar (after pop so it's not affected by camera transform)
-  drawScrollBar();
-
-  updateAnimations();
-  updateTorso();
-  updateCamera();
-
-  const heightInMeters = Math.round(currentHeight / 10) / 10;
-
-  if (gameWon) {
-    // Draw semi-transparent background for victory message
-    fill(0, 0, 0, 180); // Darker background for victory
-    noStroke();
-    rect(width / 2 - 180, 40, 360, 80, 10); // Wider centered rounded rectangle background
-
-    fill(0, 180, 0, 255);
-    textSize(24);
-    textAlign(CENTER, CENTER);
-    text("Victory!", width / 2, 60);
-    text(`${totalMoves} moves, ${heightInMeters}m climbed!`, width / 2, 100);
-    // Note: noLoop() removed to allow dancing animation
-  } else {
-    // Only show game stats when not in victory state
-    // Draw semi-transparent background for stats
-    fill(0, 0, 0, 150); // Black with 150/255 opacity
-    noStroke();
-    rect(5, 5, 140, 45, 5); // Rounded rectangle background
-
-    // Display stats (moves and height)
-    fill(255); // White text for better contrast
-    textSize(16);
+/**
+ * Draw the running time and how the last split compares with the personal best
+ * @param {number} x
+ * @param {number} y
+ */
+function drawRunTimer(x, y) {
+  const elapsed = runStartTime === -1 ? 0 : millis() - runStartTime;
+  text(`⏱ ${formatRunTime(elapsed)}`, x, y);
+
+  const last = runSplits.length - 1;
+  const bestSplit = personalBest?.splits[last];
+  if (last >= 0 && bestSplit !== undefined) {
+    const delta = runSplits[last] - bestSplit;
+    fill(delta <= 0 ? color(120, 230, 120) : color(255, 120, 120));
+    textSize(12);
+    textAlign(RIGHT, TOP);
+    text(formatTimeDelta(delta), x + 130, y + 3);
     textAlign(LEFT, TOP);
-    text(`Moves: ${totalMoves}`, 10, 10);
-    text(`Height: ${heightInMeters}m`, 10, 30);
+    fill(255);
   }
 }
 
-function updateAnimations() {
-  // Update torso animation
-  climber.torso.x = lerp(
-    climber.torso.x,
-    climber.torsoTarget.x,
-    animationSpeed
-  );
-  climber.torso.y = lerp(
-    climber.torso.y,
-    climber.torsoTarget.y,
-    animationSpeed
-  );
-
-  // Check if animations are complete
-  let animationComplete = true;
-  const threshold = 0.5; // Distance threshold to consider animation complete
+/**
+ * Show the final time, the splits and how the run compares with the personal best
+ * @param {number} y - Top of the summary in the victory box
+ */
+function drawRunSummary(y) {
+  let result = "";
+  if (isNewPersonalBest) {
+    result = personalBest
+      ? `🏆 New personal best! (${formatTimeDelta(
+          runTime - personalBest.time
+        )})`
+      : "🏆 New personal best!";
+  } else if (personalBest) {
+    result = `PB ${formatRunTime(personalBest.time)} (${formatTimeDelta(
+      runTime - personalBest.time
+    )})`;
+  }
+
+  fill(255, 215, 0);
+  textSize(16);
+  text(`⏱ ${formatRunTime(runTime)}  ${result}`, width / 2, y);
+
+  const splits = runSplits
+    .map((time, i) => `${getSplitMeters(i)}m ${formatRunTime(time)}`)
+    .join("  ");
+  fill(220);
+  textSize(11);
+  text(splits, width / 2 - 170, y + 12, 340, 45);
+}
 
-  // Check torso animation
-  if (
-    dist(
-      climber.torso.x,
-      climber.torso.y,
-      climber.torsoTarget.x,
-      climber.torsoTarget.y
-    ) > threshold
-  ) {
-    animationComplete = false;
-  }
+/**
+ * Draw the stamina left as a bar that turns from green to red
+ * @param {number} x
+ * @param {number} y
+ * @param {number} barWidth
+ */
+function drawStaminaBar(x, y, barWidth) {
+  const fraction = stamina / STAMINA_MAX;
+
+  textSize(11);
+  text(staminaResting ? "Resting" : "Stamina", x, y - 2);
+  fill(255, 255, 255, 60);
+  rect(x + 45, y, barWidth - 45, 9, 3);
+  fill(lerpColor(color(220, 50, 50), color(80, 200, 80), fraction));
+  rect(x + 45, y, (barWidth - 45) * fraction, 9, 3);
+}
 
-  // Check limb animations
-  for (let limb in climber.limbs) {
-    let limbData = climber.limbs[/** @type {LimbName} */ (limb)];
-    if (limbData.targetHold && limbData.hold !== limbData.targetHold) {
-      animationComplete = false;
-    }
-  }
+/**
+ * Highlight the hinted hold and the limb that should grab it
+ */
+function drawHint() {
+  if (currentHint?.hold === undefined) return; // Torso moves have no hold
 
-  // If all animations are complete, finalize the moves
-  if (animationComplete && isAnimating) {
-    isAnimating = false;
+  const pulse = 4 * sin(frameCount * 0.15);
+  const target = holds[currentHint.hold];
+  const limb =
+    currentHint.type === "dyno"
+      ? getDynoLimbs(/** @type {DynoArms} */ (currentHint.arms))[0]
+      : /** @type {LimbName} */ (currentHint.limb);
+  const fromIndex = climbState.limbs[limb];
 
-    // Finalize limb positions
-    for (let limb in climber.limbs) {
-      let limbData = climber.limbs[/** @type {LimbName} */ (limb)];
-      if (limbData.targetHold) {
-        limbData.hold = limbData.targetHold;
-        limbData.targetHold = null;
-      }
-    }
+  push();
+  noFill();
+  strokeWeight(3);
+  stroke(255, 220, 0);
+  ellipse(target.x, target.y, 32 + pulse, 32 + pulse);
+  if (fromIndex !== null) {
+    // Mark the hold the limb comes from as well
+    stroke(255, 220, 0, 150);
+    strokeWeight(2);
+    ellipse(holds[fromIndex].x, holds[fromIndex].y, 26, 26);
   }
+  pop();
 }
 
-function updateTorso() {
-  // Only update torso target position automatically if it hasn't been manually pushed
-  // or if we need to recalculate due to a limb move
-  if (!torsoPushed) {
-    let sumX = 0,
-      sumY = 0,
-      count = 0;
-    for (let limb in climber.limbs) {
-      let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-      if (hold) {
-        sumX += hold.x;
-        sumY += hold.y;
-        count++;
+/**
+ * Describe the par of the current level for the victory message
+ * @returns {string}
+ */
+function getParText() {
+  if (!levelPar) return "Working out par...";
+  if (levelPar.status === "solved") {
+    return levelPar.optimal
+      ? `Par: ${levelPar.moves} moves`
+      : `Best known: ${levelPar.moves} moves`;
+  }
+  return "Par unknown";
+}
+
+/**
+ * Find the next recommended move and show it to the player
+ */
+function requestHint() {
+  if (!hintsAllowed || gameWon || isAnimating || replayActions) return;
+  if (hintPending || currentHint) return;
+
+  // While the player follows the par solution, its next move is the hint
+  const parMove = getParPathMove();
+  if (parMove) {
+    showHint(parMove);
+    return;
+  }
+
+  hintPending = true;
+  hintMessage = "Looking for a way up...";
+  updateHintButton();
+
+  const requestedState = climbState;
+  hintSolver
+    .solve(holds, requestedState, HINT_MAX_STATES)
+    .then((result) => {
+      if (climbState !== requestedState) return; // The climber moved on
+
+      hintPending = false;
+      if (result.status === "solved" && result.path.length) {
+        showHint(result.path[0]);
+      } else if (result.status === "impossible") {
+        hintMessage = "There's no way up from here. Undo (Z) a few moves!";
+      } else {
+        hintMessage = "No hint found, you're on your own here.";
+      }
+      updateHintButton();
+    })
+    .catch((error) => {
+      // Hint searches are stopped when another level is loaded
+      if (climbState === requestedState) {
+        console.error("Failed to find a hint:", error);
+        hintPending = false;
+        hintMessage = "";
+        updateHintButton();
       }
+    });
+}
+
+/**
+ * Get the next move of the par solution if the climber is still on it
+ * @returns {SolverMove | null}
+ */
+function getParPathMove() {
+  if (levelPar?.status !== "solved") return null;
+
+  const currentKey = getClimbStateKey(climbState);
+  let state = createClimbState(holds);
+  for (const move of levelPar.path) {
+    if (getClimbStateKey(state) === currentKey) return move;
+    const next = applyClimbMove(holds, state, move);
+    if (!next) return null;
+    state = next;
+  }
+  return null;
+}
+
+/**
+ * @param {SolverMove} move
+ */
+function showHint(move) {
+  currentHint = move;
+  hintsUsed++;
+
+  const limbLabels = {
+    leftArm: "left arm (1)",
+    rightArm: "right arm (2)",
+    leftLeg: "left leg (3)",
+    rightLeg: "right leg (4)",
+  };
+  if (move.type === "grab") {
+    const limb = /** @type {LimbName} */ (move.limb);
+    hintMessage = `Hint: move your ${limbLabels[limb]} to the glowing hold`;
+    limbButtons[limb]?.classList.add("hinted");
+  } else if (move.type === "dyno") {
+    const armLabels = {
+      leftArm: "left arm",
+      rightArm: "right arm",
+      bothArms: "both arms",
+    };
+    const arms = /** @type {DynoArms} */ (move.arms);
+    hintMessage = `Hint: dyno (D) with ${armLabels[arms]} to the glowing hold`;
+    dynoButton?.classList.add("hinted");
+  } else {
+    const torsoLabels = {
+      push: "Push up (5)",
+      strafeLeft: "Strafe left (6)",
+      strafeRight: "Strafe right (7)",
+      relax: "Relax (8)",
+    };
+    hintMessage = `Hint: ${torsoLabels[move.type]}`;
+    document.getElementById(move.type)?.classList.add("hinted");
+  }
+}
+
+/**
+ * Remove the current hint, e.g. because the climber moved
+ */
+function clearHint() {
+  // A search for the old state would only hold up the next hint request
+  if (hintPending) hintSolver.stop();
+  hintPending = false;
+  currentHint = null;
+  hintMessage = "";
+  document
+    .querySelectorAll(".hinted")
+    .forEach((element) => element.classList.remove("hinted"));
+  updateHintButton();
+}
+
+function updateHintButton() {
+  if (!hintButton) return;
+  hintButton.disabled =
+    !hintsAllowed || gameWon || hintPending || !!replayActions;
+  hintButton.title = hintsAllowed ? "" : "Hints are turned off for this level";
+}
+
+/**
+ * Take a split for every height milestone reached for the first time
+ */
+function recordSplits() {
+  if (runStartTime === -1) return;
+
+  while (currentHeight >= (runSplits.length + 1) * SPEED_SPLIT_HEIGHT) {
+    runSplits.push(millis() - runStartTime);
+  }
+}
+
+/**
+ * Stop the timer at the top and keep the run if it is a personal best
+ */
+function finishRun() {
+  if (runStartTime === -1) return;
+
+  runTime = millis() - runStartTime;
+  isNewPersonalBest = savePersonalBest(currentLevelKey, {
+    time: runTime,
+    splits: runSplits,
+  });
+}
+
+/**
+ * Restore speed mode from the last visit and let the player switch it
+ */
+function createSpeedModeToggle() {
+  speedMode = localStorage.getItem("speedMode") === "1";
+
+  const toggle = document.getElementById("speedMode");
+  if (!(toggle instanceof HTMLInputElement)) {
+    console.error("Speed mode checkbox with ID 'speedMode' not found");
+    return;
+  }
+  toggle.checked = speedMode;
+  toggle.addEventListener("change", () => {
+    setSpeedMode(toggle.checked);
+  });
+}
+
+/**
+ * Turn speed mode on or off, starting the level over for a fresh run
+ * @param {boolean} enabled
+ */
+function setSpeedMode(enabled) {
+  speedMode = enabled;
+  localStorage.setItem("speedMode", enabled ? "1" : "0");
+  if (!replayActions) resetClimb();
+}
+
+/**
+ * Restore the ghost choice from the last visit and wire up its controls
+ */
+function createGhostControls() {
+  const stored = localStorage.getItem("ghostMode");
+  ghostMode = stored === "best" || stored === "imported" ? stored : "off";
+
+  const ghostSelect = document.getElementById("ghostSelect");
+  if (!(ghostSelect instanceof HTMLSelectElement)) {
+    console.error("Ghost select with ID 'ghostSelect' not found");
+    return;
+  }
+  ghostSelect.value = ghostMode;
+  ghostSelect.addEventListener("change", () => {
+    const mode = ghostSelect.value;
+    setGhostMode(mode === "best" || mode === "imported" ? mode : "off");
+  });
+
+  document.getElementById("importGhost")?.addEventListener("click", () => {
+    importGhost();
+  });
+}
+
+/**
+ * Race another ghost, starting the level over so both set off together
+ * @param {"off" | GhostSource} mode
+ */
+function setGhostMode(mode) {
+  ghostMode = mode;
+  localStorage.setItem("ghostMode", mode);
+  const ghostSelect = document.getElementById("ghostSelect");
+  if (ghostSelect instanceof HTMLSelectElement) ghostSelect.value = mode;
+  if (!replayActions) resetClimb();
+}
+
+/**
+ * Put the ghost of the chosen run back at the start
+ */
+function resetGhost() {
+  ghostStartTime = -1;
+  const runs = loadGhostRuns(currentLevelKey);
+  const run = ghostMode === "off" ? null : runs[ghostMode];
+  const actions = run && parseReplay(run.replay);
+  ghost = actions ? createGhost(holds, actions) : null;
+  updateGhostOptions();
+}
+
+/**
+ * Let the ghost climb on in real time, racing the player's climb
+ */
+function updateGhost() {
+  if (!ghost || replayActions) return;
+
+  const time = ghostStartTime === -1 ? -Infinity : millis() - ghostStartTime;
+  advanceGhost(ghost, holds, time, animationSpeed);
+}
+
+/**
+ * Draw the ghost as a see-through climber behind the player
+ */
+function drawGhost() {
+  if (!ghost || replayActions) return;
+
+  /** @type {Partial<Record<LimbName, Hold | null>>} */
+  const limbHolds = {};
+  for (const limb of LIMB_NAMES) {
+    const holdIndex = ghost.state.limbs[limb];
+    limbHolds[limb] = holdIndex === null ? null : holds[holdIndex];
+  }
+  drawClimber(ghost.torso, limbHolds, 80);
+}
+
+/**
+ * Show how far the player is ahead of or behind the ghost
+ * @param {number} x
+ * @param {number} y
+ */
+function drawGhostGap(x, y) {
+  if (!ghost) return;
+
+  const gap = Math.round((ghost.torso.y - climber.torso.y) / 10) / 10;
+  let gapText = "level";
+  if (gap > 0) gapText = `${gap}m ahead`;
+  else if (gap < 0) gapText = `${-gap}m behind`;
+  fill(gap >= 0 ? color(120, 230, 120) : color(255, 120, 120));
+  text(`👻 ${gapText}`, x, y);
+  fill(255);
+}
+
+/**
+ * Keep the player's climb as the best ghost of the level if it was the fastest
+ */
+function saveBestGhost() {
+  const run = createGhostRun(holds, recordedActions);
+  if (run && saveGhostRun(currentLevelKey, "best", run)) updateGhostOptions();
+}
+
+/**
+ * Only offer the ghosts of runs the current level has
+ */
+function updateGhostOptions() {
+  const runs = loadGhostRuns(currentLevelKey);
+  const ghostSelect = document.getElementById("ghostSelect");
+  if (ghostSelect instanceof HTMLSelectElement) {
+    for (const option of ghostSelect.options) {
+      if (option.value === "best" || option.value === "imported") {
+        option.disabled = !runs[option.value];
+      }
+    }
+  }
+}
+
+/**
+ * Race a replay link shared by someone else on this level
+ */
+function importGhost() {
+  const input = prompt("Paste a replay link of this level to race against:");
+  if (!input) return;
+
+  let replayText = input.trim();
+  try {
+    replayText = new URL(replayText).searchParams.get("replay") || replayText;
+  } catch (error) {
+    // Not a link, try it as a bare replay code
+  }
+
+  const actions = parseReplay(replayText);
+  const run = actions && createGhostRun(holds, actions);
+  if (!run) {
+    alert("This replay doesn't reach the top of this level.");
+    return;
+  }
+
+  if (!saveGhostRun(currentLevelKey, "imported", run)) {
+    alert("Couldn't store the ghost, the browser's storage is full or off.");
+    return;
+  }
+  setGhostMode("imported");
+}
+
+/**
+ * Wire up the campaign button and the map it opens
+ */
+function createCampaignMap() {
+  const campaignButton = document.getElementById("campaignButton");
+  const closeButton = document.getElementById("campaignClose");
+  if (!campaignButton || !closeButton) {
+    console.error("Campaign map elements not found");
+    return;
+  }
+  campaignButton.addEventListener("click", showCampaignMap);
+  closeButton.addEventListener("click", hideCampaignMap);
+}
+
+/**
+ * Show the campaign chapters with their stars and which levels are open
+ */
+function showCampaignMap() {
+  const map = document.getElementById("campaignMap");
+  const starsLabel = document.getElementById("campaignStars");
+  const chaptersDiv = document.getElementById("campaignChapters");
+  if (!map || !starsLabel || !chaptersDiv) return;
+
+  const totalStars = getCampaignStars();
+  starsLabel.innerText = `★ ${totalStars}/${getMaxCampaignStars()}`;
+
+  const chapterElements = gameCampaign.chapters.map((chapter, chapterIndex) => {
+    const unlocked = isCampaignChapterUnlocked(chapterIndex);
+    const chapterDiv = document.createElement("div");
+    chapterDiv.className = "campaign-chapter" + (unlocked ? "" : " locked");
+
+    const title = document.createElement("h3");
+    title.innerText = unlocked
+      ? chapter.name
+      : `🔒 ${chapter.name} (${chapter.requiredStars} ★ needed)`;
+    chapterDiv.appendChild(title);
+
+    chapter.levels.forEach((entry, levelIndex) => {
+      const level = levels[entry.level];
+      if (!level) return;
+
+      const button = document.createElement("button");
+      button.className = "campaign-level";
+      if (entry.level === currentLevelKey) button.classList.add("current");
+      button.disabled = !isCampaignLevelUnlocked(chapterIndex, levelIndex);
+
+      const name = document.createElement("span");
+      name.innerText = `${button.disabled ? "🔒 " : ""}${
+        level.name
+      } (${formatCampaignPar(entry)})`;
+      const stars = document.createElement("span");
+      stars.className = "campaign-stars";
+      stars.innerText = formatStars(getCampaignLevelStars(entry));
+      button.append(name, stars);
+
+      button.addEventListener("click", () => {
+        hideCampaignMap();
+        loadLevel(entry.level, true);
+      });
+      chapterDiv.appendChild(button);
+    });
+    return chapterDiv;
+  });
+  chaptersDiv.replaceChildren(...chapterElements);
+
+  map.style.display = "block";
+}
+
+function hideCampaignMap() {
+  const map = document.getElementById("campaignMap");
+  if (map) map.style.display = "none";
+}
+
+/**
+ * The campaign level after the given one, across chapters
+ * @param {string} levelKey
+ * @returns {CampaignLevel | null}
+ */
+function getNextCampaignLevel(levelKey) {
+  const found = findCampaignLevel(levelKey);
+  if (!found) return null;
+
+  const chapter = gameCampaign.chapters[found.chapterIndex];
+  if (found.levelIndex + 1 < chapter.levels.length) {
+    return chapter.levels[found.levelIndex + 1];
+  }
+  const nextChapter = gameCampaign.chapters[found.chapterIndex + 1];
+  return nextChapter ? nextChapter.levels[0] : null;
+}
+
+/**
+ * Work out the stars of a send and whether the next campaign level is open
+ * @param {string} levelKey
+ * @param {number} moves
+ * @returns {CampaignResult | null} null for levels outside the campaign
+ */
+function getCampaignResult(levelKey, moves) {
+  const entry = findCampaignLevel(levelKey)?.entry;
+  if (!entry) return null;
+
+  const next = getNextCampaignLevel(levelKey);
+  const nextFound = next && findCampaignLevel(next.level);
+  const nextOpen =
+    next &&
+    nextFound &&
+    isCampaignLevelUnlocked(nextFound.chapterIndex, nextFound.levelIndex);
+  const stars = formatStars(getStarsForMoves(entry, moves));
+  return {
+    stars: `${stars}  ${formatCampaignPar(entry)}`,
+    nextLevel: nextOpen ? levels[next.level]?.name || next.level : "",
+  };
+}
+
+/**
+ * Show the stars of this send and whether the next campaign level is open
+ * @param {CampaignResult} result
+ * @param {number} y - Top of the result in the victory box
+ */
+function drawCampaignResult(result, y) {
+  fill(255, 215, 0);
+  textSize(16);
+  text(result.stars, width / 2, y);
+
+  if (result.nextLevel) {
+    fill(220);
+    textSize(12);
+    text(`Next up: ${result.nextLevel} (🗺️ Campaign)`, width / 2, y + 20);
+  }
+}
+
+/**
+ * Identify a built-in level for progress and bests. Generated walls are told
+ * apart by their seed and generator options.
+ * @param {string} levelName
+ * @param {string} wallId - Seed and options of the generated wall, empty for other levels
+ * @returns {string}
+ */
+function getLevelKey(levelName, wallId) {
+  return wallId ? `${levelName}:${wallId}` : levelName;
+}
+
+/**
+ * @param {string} seed
+ * @param {GeneratorOptions} options
+ * @returns {string} The seed, followed by the options unless they are the medium preset
+ */
+function getGeneratedWallId(seed, options) {
+  if (getGeneratorPreset(options) === "medium") return seed;
+  const { wallHeight, holdsPerLayer, spread, maxGap } = options;
+  return `${seed}/${wallHeight}-${holdsPerLayer}-${spread}-${maxGap}`;
+}
+
+/**
+ * @param {URLSearchParams} urlParams
+ * @returns {GeneratorOptions}
+ */
+function readGeneratorOptions(urlParams) {
+  /** @type {Partial<Record<keyof GeneratorOptions, string>>} */
+  const options = {};
+  for (const [name, param] of Object.entries(GENERATOR_URL_PARAMS)) {
+    const value = urlParams.get(param);
+    if (value !== null) {
+      options[/** @type {keyof GeneratorOptions} */ (name)] = value;
+    }
+  }
+  return normalizeGeneratorOptions(/** @type {any} */ (options));
+}
+
+/**
+ * @param {URLSearchParams} urlParams
+ * @param {GeneratorOptions} options
+ */
+function writeGeneratorOptions(urlParams, options) {
+  for (const [name, param] of Object.entries(GENERATOR_URL_PARAMS)) {
+    const option = /** @type {keyof GeneratorOptions} */ (name);
+    if (options[option] === GENERATOR_PRESETS.medium[option]) {
+      urlParams.delete(param);
+    } else {
+      urlParams.set(param, String(options[option]));
+    }
+  }
+}
+
+/**
+ * The current generated wall as level data, e.g. for the level editor
+ * @returns {any}
+ */
+function getGeneratedLevelData() {
+  return {
+    name: `Generated wall ${levelSeed}`,
+    author: "Generator",
+    wallHeight,
+    holds,
+  };
+}
+
+/**
+ * Show the seed of a generated wall below the level dropdown
+ * @param {string} levelName
+ */
+function updateSeedInfo(levelName) {
+  const seedInfo = document.getElementById("seedInfo");
+  const seedText = document.getElementById("seedText");
+  const seedActions = document.getElementById("seedActions");
+  if (!seedInfo || !seedText || !seedActions) return;
+
+  seedInfo.style.display = levelSeed ? "block" : "none";
+  seedActions.style.display = levelName === "generated" ? "inline" : "none";
+
+  const optionsPanel = document.getElementById("generatorOptions");
+  if (optionsPanel) {
+    optionsPanel.style.display = levelName === "generated" ? "block" : "none";
+  }
+  showGeneratorOptions(generatorOptions);
+  seedText.textContent =
+    levelName === "daily"
+      ? `📅 Wall of ${levelSeed} (UTC)`
+      : `🎲 Seed: ${levelSeed}`;
+  updateSeedStatus();
+}
+
+/**
+ * Show whether the generated wall is being generated or how few moves it
+ * takes to climb
+ */
+function updateSeedStatus() {
+  const seedInfo = document.getElementById("seedInfo");
+  const seedStatus = document.getElementById("seedStatus");
+  if (!seedInfo || !seedStatus) return;
+
+  const wall = generatedWalls.get(currentLevelKey);
+  if (pendingWallKey) {
+    seedInfo.style.display = "block";
+    seedStatus.textContent = "⏳ Generating a climbable wall...";
+  } else if (!levelSeed || !wall) {
+    seedStatus.textContent = "";
+  } else if (wall.wayUp.status !== "solved") {
+    seedStatus.textContent = `⚠️ No way up found on ${wall.attempts} walls`;
+  } else if (levelPar?.status === "solved") {
+    seedStatus.textContent = levelPar.optimal
+      ? `✅ Climbable in ${levelPar.moves} moves at the fewest`
+      : `✅ Climbable in ${levelPar.moves} moves`;
+  } else {
+    seedStatus.textContent = `✅ Climbable, working out the fewest moves...`;
+  }
+  // Holds the generator added to get the wall climbable
+  if (!pendingWallKey && levelSeed && wall?.addedHolds) {
+    seedStatus.textContent += ` (${wall.addedHolds} holds added)`;
+  }
+}
+
+/**
+ * Generate a wall in the worker and call back once it's ready, unless
+ * another level was loaded in the meantime
+ * @param {string} levelKey
+ * @param {string} seed
+ * @param {GeneratorOptions} options
+ * @param {() => void} onGenerated
+ */
+function generateWall(levelKey, seed, options, onGenerated) {
+  wallGenerator.stop(); // Only the latest wall is needed
+  pendingWallKey = levelKey;
+  updateSeedStatus();
+
+  wallGenerator
+    .generate(seed, options)
+    .catch((error) => {
+      if (pendingWallKey !== levelKey) return null;
+      // Workers don't start on pages opened from a file
+      console.warn("Generating the wall without a worker:", error);
+      return generateClimbableLevel(seed, options);
+    })
+    .then((wall) => {
+      if (!wall) return;
+      generatedWalls.set(levelKey, wall);
+      if (pendingWallKey !== levelKey) return;
+      pendingWallKey = "";
+      onGenerated();
+    });
+}
+
+/**
+ * Put options into the generator options panel
+ * @param {GeneratorOptions} options
+ */
+function showGeneratorOptions(options) {
+  for (const [name, inputId] of Object.entries(GENERATOR_OPTION_INPUTS)) {
+    const input = document.getElementById(inputId);
+    const option = /** @type {keyof GeneratorOptions} */ (name);
+    if (input instanceof HTMLInputElement)
+      input.value = String(options[option]);
+  }
+  updateGeneratorOptionLabels();
+}
+
+/**
+ * @returns {GeneratorOptions} The options set in the generator options panel
+ */
+function readGeneratorOptionsPanel() {
+  /** @type {Partial<GeneratorOptions>} */
+  const options = {};
+  for (const [name, inputId] of Object.entries(GENERATOR_OPTION_INPUTS)) {
+    const input = document.getElementById(inputId);
+    if (input instanceof HTMLInputElement) {
+      options[/** @type {keyof GeneratorOptions} */ (name)] = Number(
+        input.value
+      );
     }
-    if (count > 0) {
-      climber.torsoTarget.x = sumX / count;
-      climber.torsoTarget.y = sumY / count;
+  }
+  return normalizeGeneratorOptions(options);
+}
+
+/**
+ * Show the values next to the sliders and which preset they match
+ */
+function updateGeneratorOptionLabels() {
+  const options = readGeneratorOptionsPanel();
+  /** @type {Record<keyof GeneratorOptions, string>} */
+  const labels = {
+    wallHeight: `${options.wallHeight / 100}m`,
+    holdsPerLayer: `${options.holdsPerLayer} per band`,
+    spread: `${Math.round(options.spread * 100)}%`,
+    maxGap: `${options.maxGap}px`,
+  };
+  for (const [name, inputId] of Object.entries(GENERATOR_OPTION_INPUTS)) {
+    const label = document.getElementById(`${inputId}Value`);
+    if (label) {
+      label.textContent = labels[/** @type {keyof GeneratorOptions} */ (name)];
     }
   }
+
+  const presetSelect = document.getElementById("generatorPreset");
+  if (presetSelect instanceof HTMLSelectElement) {
+    presetSelect.value = getGeneratorPreset(options) || "custom";
+  }
+}
+
+function createSeedControls() {
+  const presetSelect = document.getElementById("generatorPreset");
+  if (presetSelect instanceof HTMLSelectElement) {
+    presetSelect.addEventListener("change", () => {
+      const preset = /** @type {GeneratorPreset} */ (presetSelect.value);
+      if (preset in GENERATOR_PRESETS) {
+        showGeneratorOptions(GENERATOR_PRESETS[preset]);
+      }
+    });
+  }
+  for (const inputId of Object.values(GENERATOR_OPTION_INPUTS)) {
+    document
+      .getElementById(inputId)
+      ?.addEventListener("input", updateGeneratorOptionLabels);
+  }
+  document.getElementById("generateWall")?.addEventListener("click", () => {
+    generatorOptions = readGeneratorOptionsPanel();
+    loadLevel("generated", true);
+  });
+
+  document.getElementById("newWall")?.addEventListener("click", (e) => {
+    e.preventDefault();
+    loadLevel("generated", true);
+  });
+  document.getElementById("enterSeed")?.addEventListener("click", (e) => {
+    e.preventDefault();
+    const seed = prompt("Enter a seed to climb its wall:", levelSeed);
+    if (seed && seed.trim()) loadLevel("generated", true, false, seed.trim());
+  });
+}
+
+/**
+ * Drain or recover stamina for the time since the last frame,
+ * and make the climber fall when it runs out
+ */
+function updateStamina() {
+  if (!staminaEnabled || gameWon) return;
+  if (replayActions && !replayPlaying) return;
+
+  // Cap the step so coming back to a hidden tab doesn't drain it all at once
+  let seconds = Math.min(deltaTime, 100) / 1000;
+  if (replayActions) seconds *= replaySpeed;
+
+  stamina = constrain(
+    stamina + getStaminaRate(holds, climbState, staminaResting) * seconds,
+    0,
+    STAMINA_MAX
+  );
+
+  // Replays play back the recorded falls instead
+  if (stamina === 0 && !replayActions) fallToStart();
+}
+
+/**
+ * Drop back to the starting holds after running out of stamina.
+ * The moves keep counting and the fall can't be undone.
+ */
+function fallToStart() {
+  recordAction("fall");
+  clearHistory();
+  stamina = STAMINA_MAX;
+  lastFallTime = millis();
+  manualCameraControl = false;
+  setClimbState(applyFall(holds, climbState));
+}
+
+/**
+ * The arms that jump in dyno mode
+ * @returns {DynoArms}
+ */
+function getDynoArms() {
+  return dynoMode === "bothArms" || isLeg(selectedLimb)
+    ? "bothArms"
+    : /** @type {DynoArms} */ (selectedLimb);
+}
+
+/**
+ * Cycle through static moves, one arm dynos and two arm dynos
+ */
+function toggleDynoMode() {
+  if (gameWon || isAnimating || replayActions) return;
+
+  if (dynoMode === "off") {
+    dynoMode = "oneArm";
+    if (isLeg(selectedLimb)) selectLimb("leftArm");
+  } else if (dynoMode === "oneArm") {
+    dynoMode = "bothArms";
+  } else {
+    dynoMode = "off";
+  }
+  dynoTarget = -1;
+  updateDynoButton();
+}
+
+function updateDynoButton() {
+  if (!dynoButton) return;
+  dynoButton.disabled = !!replayActions;
+  dynoButton.classList.toggle("selected", dynoMode !== "off");
+
+  const label = dynoButton.querySelector(".label");
+  if (label) {
+    label.textContent = {
+      off: "dyno (D)",
+      oneArm: "1 arm (D)",
+      bothArms: "2 arms (D)",
+    }[dynoMode];
+  }
+}
+
+/**
+ * How far the dyno has been charged, going up and down while the mouse is held
+ * @returns {number} From 0 to 1
+ */
+function getDynoCharge() {
+  const cycle = ((millis() - dynoChargeStart) / DYNO_CHARGE_TIME) % 2;
+  return 1 - Math.abs(1 - cycle);
+}
+
+/**
+ * Jump with the current charge, catching the hold by chance
+ */
+function releaseDyno() {
+  const arms = getDynoArms();
+  const chance = getDynoChance(
+    holds,
+    climbState,
+    arms,
+    dynoTarget,
+    getDynoCharge()
+  );
+  const hold = dynoTarget;
+  dynoTarget = -1;
+  performMove({ type: "dyno", arms, hold, caught: Math.random() < chance });
+}
+
+/**
+ * Spend stamina on a dyno and start the jump from the current stance to a
+ * hold, whether it's caught or not
+ * @param {DynoArms} arms
+ * @param {number} holdIndex
+ */
+function launchDyno(arms, holdIndex) {
+  if (staminaEnabled) stamina = Math.max(0, stamina - STAMINA_DYNO_COST);
+
+  // Launch until the hands are at the hold, or as close as the arms get
+  const hold = holds[holdIndex];
+  const hand = getLimbAttachment(climbState.torso, getDynoLimbs(arms)[0]);
+  const shortfall = Math.max(
+    0,
+    distanceBetween(hand, hold) - LIMB_REACH.leftArm
+  );
+  const travel = shortfall / distanceBetween(hand, hold);
+  dynoAnimation = {
+    arms: getDynoLimbs(arms),
+    hold: holdIndex,
+    from: { x: climber.torso.x, y: climber.torso.y },
+    peak: {
+      x: climbState.torso.x + (hold.x - hand.x) * travel,
+      y: climbState.torso.y + (hold.y - hand.y) * travel - 15,
+    },
+    start: millis(),
+  };
+}
+
+/**
+ * Show where the arms will fly with the current charge and the chance to catch the hold
+ */
+function drawDynoPreview() {
+  if (dynoMode === "off" || gameWon || isAnimating || replayActions) return;
+
+  const charging = dynoTarget !== -1;
+  const target = charging
+    ? dynoTarget
+    : getNearestHoldIndex(mouseX, mouseY - cameraOffsetY);
+  if (target === -1) return;
+
+  const arms = getDynoArms();
+  if (!applyDyno(holds, climbState, arms, target)) return;
+
+  // Before charging, preview a perfectly charged jump
+  const power = getDynoPower(holds, climbState, arms, target);
+  const charge = charging ? getDynoCharge() : power;
+  const chance = getDynoChance(holds, climbState, arms, target, charge);
+
+  const limbs = getDynoLimbs(arms);
+  const hand = getLimbAttachment(climber.torso, limbs[0]);
+  if (limbs.length === 2) {
+    hand.x = climber.torso.x; // Both hands jump from the middle
+  }
+  const hold = holds[target];
+  const scale = charge / power;
+  const landX = hand.x + (hold.x - hand.x) * scale;
+  const landY = hand.y + (hold.y - hand.y) * scale;
+  const arcHeight = 0.3 * dist(hand.x, hand.y, landX, landY);
+
+  push();
+  noStroke();
+  fill(lerpColor(color(220, 50, 50), color(80, 200, 80), chance));
+  for (let t = 0.05; t <= 1; t += 0.07) {
+    ellipse(
+      lerp(hand.x, landX, t),
+      lerp(hand.y, landY, t) - sin(t * PI) * arcHeight,
+      5,
+      5
+    );
+  }
+  textSize(14);
+  textAlign(LEFT, CENTER);
+  text(`${Math.round(chance * 100)}%`, hold.x + 16, hold.y);
+  pop();
+}
+
+function updateAnimations() {
+  if (dynoAnimation) {
+    // Fly towards the hold, then ease into the landing or fall back as usual
+    const t = Math.min(1, (millis() - dynoAnimation.start) / DYNO_LAUNCH_TIME);
+    const eased = 1 - (1 - t) * (1 - t);
+    climber.torso.x = lerp(dynoAnimation.from.x, dynoAnimation.peak.x, eased);
+    climber.torso.y = lerp(dynoAnimation.from.y, dynoAnimation.peak.y, eased);
+    if (t >= 1) dynoAnimation = null;
+    return;
+  }
+
+  // Ease the drawn torso towards the position given by the rules engine
+  climber.torso.x = lerp(climber.torso.x, climbState.torso.x, animationSpeed);
+  climber.torso.y = lerp(climber.torso.y, climbState.torso.y, animationSpeed);
+
+  const threshold = 0.5; // Distance threshold to consider animation complete
+  if (
+    isAnimating &&
+    dist(
+      climber.torso.x,
+      climber.torso.y,
+      climbState.torso.x,
+      climbState.torso.y
+    ) <= threshold
+  ) {
+    isAnimating = false;
+  }
 }
 
 function updateCamera() {
@@ -998,7 +1937,7 @@ function drawScrollBarIndicators(
 }
 
 function mousePressed() {
-  if (gameWon || isAnimating) return; // Prevent input during animations
+  if (gameWon || isAnimating || replayActions) return; // Prevent input during animations and replays
 
   // Check if clicking on scrollbar first
   /** @type {any} */
@@ -1042,91 +1981,15 @@ function mousePressed() {
   }
 
   const worldMouseY = mouseY - cameraOffsetY;
-  let nearest = getNearestHold(mouseX, worldMouseY);
-  if (
-    nearest &&
-    canReach(
-      climber.torso,
-      nearest,
-      climber.limbs[/** @type {LimbName} */ (selectedLimb)].reach,
-      /** @type {LimbName} */ (selectedLimb)
-    )
-  ) {
-    // When player makes a move, return camera control to auto-follow
-    manualCameraControl = false;
+  const nearest = getNearestHoldIndex(mouseX, worldMouseY);
+  if (nearest === -1) return;
 
-    // Check if this is actually a new move (not grabbing the same hold)
-    let currentHold =
-      climber.limbs[/** @type {LimbName} */ (selectedLimb)].hold;
-    if (currentHold !== nearest) {
-      totalMoves++;
-    }
-
-    // Start animation by setting target hold
-    climber.limbs[/** @type {LimbName} */ (selectedLimb)].targetHold = nearest;
-    climber.limbs[/** @type {LimbName} */ (selectedLimb)].hold = nearest; // Set immediately for canReach calculations
-    isAnimating = true;
-
-    // If torso was pushed, check if we can safely reset to calculated position
-    if (torsoPushed) {
-      // Calculate what the new torso position would be based on limb averages
-      let sumX = 0,
-        sumY = 0,
-        count = 0;
-      for (let limb in climber.limbs) {
-        let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-        if (hold) {
-          sumX += hold.x;
-          sumY += hold.y;
-          count++;
-        }
-      }
-
-      if (count > 0) {
-        let calculatedTorsoX = sumX / count;
-        let calculatedTorsoY = sumY / count;
-
-        // Check if all limbs would still be within reach from calculated position
-        let allLimbsInReach = true;
-        for (let limb in climber.limbs) {
-          let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-          if (hold) {
-            let limbReach = climber.limbs[/** @type {LimbName} */ (limb)].reach;
-            let distance = dist(
-              calculatedTorsoX,
-              calculatedTorsoY,
-              hold.x,
-              hold.y
-            );
-            if (distance > limbReach) {
-              allLimbsInReach = false;
-              break;
-            }
-          }
-        }
-
-        // Only reset push state if calculated position keeps all limbs in reach
-        if (allLimbsInReach) {
-          torsoPushed = false;
-          updateTorso();
-        }
-        // If not all limbs would be in reach, keep the pushed torso position
-      }
-    } else {
-      // Normal case - torso wasn't pushed, so update normally
-      updateTorso();
-    }
-
-    // Update current height (lower Y values mean higher position)
-    currentHeight = Math.max(
-      0,
-      Math.round((startingHeight - climber.torsoTarget.y) / 10) * 10
-    );
-
-    // Check for victory - both arms must be on the top hold
-    if (checkVictoryCondition()) {
-      gameWon = true;
-    }
+  if (dynoMode === "off") {
+    grabHold(nearest);
+  } else if (applyDyno(holds, climbState, getDynoArms(), nearest)) {
+    // Charge while the mouse is held, jump on release
+    dynoTarget = nearest;
+    dynoChargeStart = millis();
   }
 }
 
@@ -1154,6 +2017,9 @@ function mouseReleased() {
     gameScrollBarDragging = false;
     return;
   }
+  if (dynoTarget !== -1) {
+    releaseDyno();
+  }
 }
 
 /**
@@ -1172,251 +2038,308 @@ function mouseWheel(event) {
 }
 
 /**
- * Get the nearest hold to a given point
+ * Get the index of the hold under a given point
  * @param {number} x
  * @param {number} y
- * @returns {Hold | null}
+ * @returns {number} The hold index, or -1 if there is no hold at this point
+ */
+function getNearestHoldIndex(x, y) {
+  return holds.findIndex((h) => dist(x, y, h.x, h.y) < 20);
+}
+
+/**
+ * Move the selected limb to a hold
+ * @param {number} holdIndex
+ */
+function grabHold(holdIndex) {
+  performMove({ type: "grab", limb: selectedLimb, hold: holdIndex });
+}
+
+/**
+ * Make a move of the player or a replay with the rules engine: record it,
+ * start its animation and commit the new state
+ * @param {ClimbMove} move
+ * @returns {boolean} Whether the move was allowed
  */
-function getNearestHold(x, y) {
-  for (let h of holds) {
-    if (dist(x, y, h.x, h.y) < 20) return h;
+function performMove(move) {
+  if (gameWon || isAnimating) return false;
+
+  const nextState = applyClimbMove(holds, climbState, move);
+  if (!nextState) {
+    // Relaxing an already relaxed torso isn't a move, but still starts a rest
+    if (move.type !== "relax" || climbState.torsoPushed) return false;
+    recordAction("relax");
+    staminaResting = true;
+    return true;
   }
-  return null;
+
+  if (move.type === "grab") {
+    // When player makes a move, return camera control to auto-follow
+    manualCameraControl = false;
+    recordAction("grab", { hold: move.hold });
+  } else if (move.type === "dyno") {
+    const { arms, hold, caught } = move;
+    manualCameraControl = false;
+    recordAction("dyno", { arms, hold, caught });
+    launchDyno(/** @type {DynoArms} */ (arms), /** @type {number} */ (hold));
+    if (!caught) lastMissTime = millis();
+  } else {
+    recordAction(move.type);
+  }
+
+  commitClimbState(nextState);
+  if (move.type === "relax") staminaResting = true;
+  return true;
 }
 
 /**
- * Check if a limb can reach and grab a hold
- * @param {Climber["torso"]} torso
- * @param {Hold} hold
- * @param {number} reach - The reach distance of the specific limb
- * @param {LimbName} selectedLimb - The limb trying to grab the hold
- * @returns {boolean}
+ * Apply a move returned by the rules engine, remembering the previous state for undo
+ * @param {ClimbState} nextState
  */
-function canReach(torso, hold, reach, selectedLimb) {
-  // Calculate the attachment point for the selected limb
-  let attachmentX = torso.x;
-  let attachmentY = torso.y;
-  const torsoWidth = 36;
-  const torsoHeight = 74;
-  const inset = 9; // Use same inset as drawing for consistency
-
-  if (selectedLimb === "leftArm") {
-    attachmentX = torso.x - torsoWidth / 2 + inset;
-    attachmentY = torso.y - torsoHeight / 2 + inset;
-  } else if (selectedLimb === "rightArm") {
-    attachmentX = torso.x + torsoWidth / 2 - inset;
-    attachmentY = torso.y - torsoHeight / 2 + inset;
-  } else if (selectedLimb === "leftLeg") {
-    attachmentX = torso.x - torsoWidth / 2 + inset;
-    attachmentY = torso.y + torsoHeight / 2 - inset;
-  } else if (selectedLimb === "rightLeg") {
-    attachmentX = torso.x + torsoWidth / 2 - inset;
-    attachmentY = torso.y + torsoHeight / 2 - inset;
-  }
-
-  // Use the actual current torso position if it has been pushed
-  let currentTorso = torsoPushed ? climber.torso : torso;
-
-  // Recalculate attachment point for current torso position if pushed
-  if (torsoPushed) {
-    if (selectedLimb === "leftArm") {
-      attachmentX = currentTorso.x - torsoWidth / 2 + inset;
-      attachmentY = currentTorso.y - torsoHeight / 2 + inset;
-    } else if (selectedLimb === "rightArm") {
-      attachmentX = currentTorso.x + torsoWidth / 2 - inset;
-      attachmentY = currentTorso.y - torsoHeight / 2 + inset;
-    } else if (selectedLimb === "leftLeg") {
-      attachmentX = currentTorso.x - torsoWidth / 2 + inset;
-      attachmentY = currentTorso.y + torsoHeight / 2 - inset;
-    } else if (selectedLimb === "rightLeg") {
-      attachmentX = currentTorso.x + torsoWidth / 2 - inset;
-      attachmentY = currentTorso.y + torsoHeight / 2 - inset;
+function commitClimbState(nextState) {
+  hideResumeOffer(); // Moving on starts a new climb instead
+
+  // Attempts and speed runs start with the first move
+  if (!attemptRecorded && !replayActions) {
+    attemptRecorded = true;
+    recordAttempt(currentLevelKey);
+  }
+  if (ghostStartTime === -1 && !replayActions) ghostStartTime = millis();
+  if (
+    speedMode &&
+    runStartTime === -1 &&
+    !replayActions &&
+    !startedFromPosition
+  ) {
+    runStartTime = millis();
+  }
+
+  undoStack.push({ state: climbState, cameraOffsetY });
+  redoStack = [];
+  setClimbState(nextState);
+}
+
+/**
+ * Make a climb state current and animate towards it
+ * @param {ClimbState} nextState
+ */
+function setClimbState(nextState) {
+  climbState = nextState;
+  staminaResting = false; // Every move ends a rest
+  dynoTarget = -1; // A charge aimed from the old stance no longer applies
+  isAnimating = true;
+  updateHistoryButtons();
+  clearHint();
+
+  // Update current height (lower Y values mean higher position)
+  currentHeight = Math.max(
+    0,
+    Math.round((startingHeight - climbState.torso.y) / 10) * 10
+  );
+  recordSplits();
+
+  // Check for victory - both arms must be on the top hold
+  if (checkVictoryCondition()) {
+    gameWon = true;
+    finishRun();
+    if (!replayActions && !startedFromPosition) {
+      recordSend(currentLevelKey, climbState.moves, runTime || null);
+      updateLevelSelectLabels();
+      saveBestGhost();
     }
+    // Campaign results show up for the player's own sends, not for replays
+    campaignResult = replayActions
+      ? null
+      : getCampaignResult(currentLevelKey, climbState.moves);
+    updateReplayControls();
+    updateHintButton();
   }
 
-  // First check if the limb can physically reach the hold from its attachment point
-  if (dist(attachmentX, attachmentY, hold.x, hold.y) > reach) {
-    return false;
+  if (!replayActions) saveCurrentClimb();
+  updatePositionLink();
+}
+
+/**
+ * @returns {ClimbPosition}
+ */
+function getCurrentPosition() {
+  return { state: climbState, cameraOffsetY, stamina, selectedLimb };
+}
+
+/**
+ * Save the climb so it can be resumed later, or drop the save once it is over.
+ * Climbs from a shared position are left out so they don't replace the
+ * player's own save.
+ */
+function saveCurrentClimb() {
+  if (startedFromPosition) return;
+  if (gameWon || climbState.moves === 0) {
+    clearSavedClimb(currentLevelKey);
+    return;
   }
 
-  // If torso has been pushed, check reachability from current pushed position
-  // Otherwise, calculate what the new torso position would be after this move
-  let newTorsoX, newTorsoY;
+  saveClimb(currentLevelKey, {
+    ...getCurrentPosition(),
+    drawnTorso: { x: climber.torso.x, y: climber.torso.y },
+    elapsed: millis() - recordingStartTime,
+    runElapsed: runStartTime === -1 ? -1 : millis() - runStartTime,
+    runSplits,
+    replay: serializeReplay(recordedActions),
+    savedAt: Date.now(),
+  });
+}
 
-  if (torsoPushed) {
-    // Use current pushed torso position for validation as well
-    newTorsoX = currentTorso.x;
-    newTorsoY = currentTorso.y;
-  } else {
-    // Calculate new torso position based on limb positions
-    let sumX = 0,
-      sumY = 0,
-      count = 0;
-
-    for (let limb in climber.limbs) {
-      let limbHold;
-      if (limb === selectedLimb) {
-        // Use the target hold for the selected limb
-        limbHold = hold;
-      } else {
-        // Use current hold for other limbs
-        limbHold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-      }
+/**
+ * Put the climber at a saved or shared position
+ * @param {ClimbPosition} position
+ * @param {Point} drawnTorso - Where to draw the torso, it eases to the position from there
+ */
+function restorePosition(position, drawnTorso) {
+  hideResumeOffer();
+  climber.torso.x = drawnTorso.x;
+  climber.torso.y = drawnTorso.y;
+  cameraOffsetY = position.cameraOffsetY;
+  manualCameraControl = false;
+  stamina = position.stamina;
+  selectedLimb = position.selectedLimb;
+  updateButtonStyles();
+  setClimbState(position.state);
+}
 
-      if (limbHold) {
-        sumX += limbHold.x;
-        sumY += limbHold.y;
-        count++;
-      }
-    }
+/**
+ * Continue a saved climb where it was left, with its replay and run timer
+ * @param {SavedClimb} savedClimb
+ */
+function resumeClimb(savedClimb) {
+  recordedActions = parseReplay(savedClimb.replay) || [];
+  recordingStartTime = millis() - savedClimb.elapsed;
+  runStartTime =
+    savedClimb.runElapsed === -1 ? -1 : millis() - savedClimb.runElapsed;
+  runSplits = savedClimb.runSplits;
+  ghostStartTime = recordedActions.some((action) => action.type !== "select")
+    ? recordingStartTime + getFirstMoveTime(recordedActions)
+    : -1;
+  attemptRecorded = true;
+  restorePosition(savedClimb, savedClimb.drawnTorso);
+}
 
-    if (count > 0) {
-      newTorsoX = sumX / count;
-      newTorsoY = sumY / count;
-    } else {
-      return false;
-    }
+/**
+ * Offer to resume the saved climb of the level that was just loaded
+ */
+function offerSavedClimb() {
+  const savedClimb = loadSavedClimb(currentLevelKey);
+  const offer = document.getElementById("resumeOffer");
+  const offerText = document.getElementById("resumeText");
+  if (!savedClimb || !offer || !offerText) {
+    hideResumeOffer();
+    return;
   }
 
-  // Check if all limbs would still be within reach from the torso position
-  for (let limb in climber.limbs) {
-    let limbHold;
-    if (limb === selectedLimb) {
-      limbHold = hold;
-    } else {
-      limbHold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-    }
+  const savedDate = new Date(savedClimb.savedAt).toLocaleDateString();
+  offerText.textContent = `Resume your climb? ${savedClimb.state.moves} moves, saved ${savedDate}`;
+  offer.style.display = "flex";
+}
 
-    if (limbHold) {
-      let limbReach = climber.limbs[/** @type {LimbName} */ (limb)].reach;
-
-      // Calculate attachment point for this limb
-      let limbAttachmentX = newTorsoX;
-      let limbAttachmentY = newTorsoY;
-
-      if (limb === "leftArm") {
-        limbAttachmentX = newTorsoX - torsoWidth / 2 + inset;
-        limbAttachmentY = newTorsoY - torsoHeight / 2 + inset;
-      } else if (limb === "rightArm") {
-        limbAttachmentX = newTorsoX + torsoWidth / 2 - inset;
-        limbAttachmentY = newTorsoY - torsoHeight / 2 + inset;
-      } else if (limb === "leftLeg") {
-        limbAttachmentX = newTorsoX - torsoWidth / 2 + inset;
-        limbAttachmentY = newTorsoY + torsoHeight / 2 - inset;
-      } else if (limb === "rightLeg") {
-        limbAttachmentX = newTorsoX + torsoWidth / 2 - inset;
-        limbAttachmentY = newTorsoY + torsoHeight / 2 - inset;
-      }
+function hideResumeOffer() {
+  const offer = document.getElementById("resumeOffer");
+  if (offer) offer.style.display = "none";
+}
 
-      let distanceToHold = dist(
-        limbAttachmentX,
-        limbAttachmentY,
-        limbHold.x,
-        limbHold.y
-      );
+function createResumeControls() {
+  document.getElementById("resumeClimb")?.addEventListener("click", () => {
+    const savedClimb = loadSavedClimb(currentLevelKey);
+    if (savedClimb) resumeClimb(savedClimb);
+  });
+  document.getElementById("discardClimb")?.addEventListener("click", () => {
+    clearSavedClimb(currentLevelKey);
+    hideResumeOffer();
+  });
+  document.getElementById("sharePosition")?.addEventListener("click", (e) => {
+    e.preventDefault();
+    sharePosition();
+  });
+}
 
-      if (distanceToHold > limbReach) {
-        return false; // This move would stretch a limb beyond its reach
-      }
-    }
+/**
+ * Show the position link while climbing
+ */
+function updatePositionLink() {
+  const link = document.getElementById("positionLink");
+  if (link) {
+    link.style.display =
+      climbState.moves > 0 && !gameWon && !replayActions ? "block" : "none";
   }
-
-  // Check if legs are trying to reach higher than the topmost arm
-  if (selectedLimb === "leftLeg" || selectedLimb === "rightLeg") {
-    let topmostArmY = Infinity; // Start with infinity (lower is higher in p5.js coordinates)
-
-    // Find the topmost (lowest Y value) arm hold
-    if (climber.limbs.leftArm.hold) {
-      topmostArmY = Math.min(topmostArmY, climber.limbs.leftArm.hold.y);
-    }
-    if (climber.limbs.rightArm.hold) {
-      topmostArmY = Math.min(topmostArmY, climber.limbs.rightArm.hold.y);
-    }
-
-    // If there are arm holds and the target hold is higher (lower Y) than the topmost arm, prevent leg movement
-    if (topmostArmY !== Infinity && hold.y < topmostArmY) {
-      return false;
-    }
+  const shareLink = document.getElementById("sharePosition");
+  if (shareLink) {
+    shareLink.textContent = "📍 Copy link to this position";
   }
+}
 
-  // Prevent excessive leg crossing - limit how far legs can reach across the torso
-  if (selectedLimb === "leftLeg" || selectedLimb === "rightLeg") {
-    const torsoWidthForCrossing = 36; // Use actual torso width for crossing calculation
-    const maxCrossDistance = torsoWidthForCrossing * 2; // Two torso-widths
-
-    if (selectedLimb === "leftLeg") {
-      // Left leg should not reach too far to the right of the torso
-      if (hold.x > currentTorso.x + maxCrossDistance) {
-        return false;
-      }
-    } else if (selectedLimb === "rightLeg") {
-      // Right leg should not reach too far to the left of the torso
-      if (hold.x < currentTorso.x - maxCrossDistance) {
-        return false;
-      }
-    }
-  }
+function sharePosition() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete("replay");
+  url.searchParams.set("position", serializePosition(getCurrentPosition()));
+  const positionUrl = url.toString();
+  const shareLink = document.getElementById("sharePosition");
+
+  navigator.clipboard
+    .writeText(positionUrl)
+    .then(() => {
+      if (shareLink) shareLink.textContent = "✅ Position link copied!";
+    })
+    .catch(() => {
+      // Fallback: show the URL in a prompt for manual copying
+      prompt("Share this URL to let others climb on from here:", positionUrl);
+    });
+}
 
-  // Ensure at least 3 different holds are occupied at any time
-  // Only check this constraint if the selected limb is currently on a different hold
-  // (if moving to the same hold, don't apply this constraint)
-  let currentLimbHold = climber.limbs[selectedLimb].hold;
-  let isMovingToNewHold =
-    !currentLimbHold ||
-    currentLimbHold.x !== hold.x ||
-    currentLimbHold.y !== hold.y;
-
-  if (isMovingToNewHold) {
-    // Count how many unique holds would be occupied after this move
-    let occupiedHolds = new Set();
-
-    for (let limb in climber.limbs) {
-      let limbHold;
-      if (limb === selectedLimb) {
-        // Use the target hold for the selected limb
-        limbHold = hold;
-      } else {
-        // Use current hold for other limbs
-        limbHold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-      }
+/**
+ * Go back to the state before the last move
+ */
+function undoMove() {
+  if (gameWon || isAnimating || undoStack.length === 0) return;
 
-      if (limbHold) {
-        // Create a unique identifier for each hold based on coordinates
-        occupiedHolds.add(`${limbHold.x},${limbHold.y}`);
-      }
-    }
+  redoStack.push({ state: climbState, cameraOffsetY });
+  recordAction("undo");
+  restoreHistoryEntry(/** @type {HistoryEntry} */ (undoStack.pop()));
+}
 
-    // Must have at least 3 different holds occupied
-    if (occupiedHolds.size < 3) {
-      return false;
-    }
-  }
+/**
+ * Repeat the last undone move
+ */
+function redoMove() {
+  if (gameWon || isAnimating || redoStack.length === 0) return;
 
-  // Then check if the hold can accept another limb (max 2 limbs per hold)
-  let limbsOnHold = 0;
-  let selectedLimbAlreadyOnHold = false;
+  undoStack.push({ state: climbState, cameraOffsetY });
+  recordAction("redo");
+  restoreHistoryEntry(/** @type {HistoryEntry} */ (redoStack.pop()));
+}
 
-  for (let limb in climber.limbs) {
-    if (climber.limbs[/** @type {LimbName} */ (limb)].hold === hold) {
-      limbsOnHold++;
-      if (limb === selectedLimb) {
-        selectedLimbAlreadyOnHold = true;
-      }
-    }
-  }
+/**
+ * @param {HistoryEntry} entry
+ */
+function restoreHistoryEntry(entry) {
+  cameraOffsetY = entry.cameraOffsetY;
+  manualCameraControl = false;
+  setClimbState(entry.state);
+}
 
-  // If the selected limb is already on this hold, allow the move
-  if (selectedLimbAlreadyOnHold) {
-    return true;
-  }
+/**
+ * Forget all moves, e.g. when a new level is loaded
+ */
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+}
 
-  // Allow grabbing if there are less than 2 limbs on the hold
-  return limbsOnHold < 2;
+function updateHistoryButtons() {
+  if (undoButton) undoButton.disabled = !!replayActions || !undoStack.length;
+  if (redoButton) redoButton.disabled = !!replayActions || !redoStack.length;
 }
 
 function createLimbButtons() {
-  const limbIds = ["leftArm", "rightArm", "leftLeg", "rightLeg"];
-  limbIds.forEach((limb) => {
+  LIMB_NAMES.forEach((limb) => {
     const button = document.getElementById(limb);
     if (!button) {
       console.error(`Button with ID ${limb} not found`);
@@ -1429,10 +2352,9 @@ function createLimbButtons() {
     }
 
     button.addEventListener("click", () => {
-      selectedLimb = limb;
-      updateButtonStyles();
+      selectLimb(limb);
     });
-    limbButtons[/** @type {LimbName} */ (limb)] = button;
+    limbButtons[limb] = button;
   });
 
   // Create push button
@@ -1480,6 +2402,60 @@ function createLimbButtons() {
     console.error("Relax button with ID 'relax' not found or is not a button");
   }
 
+  // Create undo and redo buttons
+  const undoBtn = document.getElementById("undo");
+  if (undoBtn && undoBtn instanceof HTMLButtonElement) {
+    undoBtn.addEventListener("click", () => {
+      undoMove();
+    });
+    undoButton = undoBtn;
+  } else {
+    console.error("Undo button with ID 'undo' not found or is not a button");
+  }
+
+  const dynoBtn = document.getElementById("dyno");
+  if (dynoBtn && dynoBtn instanceof HTMLButtonElement) {
+    dynoBtn.addEventListener("click", () => {
+      toggleDynoMode();
+    });
+    dynoButton = dynoBtn;
+  } else {
+    console.error("Dyno button with ID 'dyno' not found or is not a button");
+  }
+
+  const hintBtn = document.getElementById("hint");
+  if (hintBtn && hintBtn instanceof HTMLButtonElement) {
+    hintBtn.addEventListener("click", () => {
+      requestHint();
+    });
+    hintButton = hintBtn;
+  } else {
+    console.error("Hint button with ID 'hint' not found or is not a button");
+  }
+
+  const redoBtn = document.getElementById("redo");
+  if (redoBtn && redoBtn instanceof HTMLButtonElement) {
+    redoBtn.addEventListener("click", () => {
+      redoMove();
+    });
+    redoButton = redoBtn;
+  } else {
+    console.error("Redo button with ID 'redo' not found or is not a button");
+  }
+
+  updateHistoryButtons();
+
+  updateButtonStyles();
+}
+
+/**
+ * @param {LimbName} limb
+ */
+function selectLimb(limb) {
+  selectedLimb = limb;
+  recordAction("select", { limb });
+  // Only arms jump, so picking a leg goes back to static moves
+  if (isLeg(limb) && dynoMode === "oneArm") dynoMode = "off";
   updateButtonStyles();
 }
 
@@ -1487,20 +2463,17 @@ function updateButtonStyles() {
   for (let limb in limbButtons) {
     limbButtons[/** @type {LimbName} */ (limb)]?.classList.remove("selected");
   }
-  if (limbButtons[/** @type {LimbName} */ (selectedLimb)]) {
-    limbButtons[/** @type {LimbName} */ (selectedLimb)]?.classList.add(
-      "selected"
-    );
-  }
+  limbButtons[selectedLimb]?.classList.add("selected");
+  updateDynoButton();
 }
 
 function keyPressed() {
-  if (isAnimating) return; // Prevent input during animations
+  if (isAnimating || replayActions) return; // Prevent input during animations and replays
 
-  if (key === "1") selectedLimb = "leftArm";
-  else if (key === "2") selectedLimb = "rightArm";
-  else if (key === "3") selectedLimb = "leftLeg";
-  else if (key === "4") selectedLimb = "rightLeg";
+  if (key === "1") selectLimb("leftArm");
+  else if (key === "2") selectLimb("rightArm");
+  else if (key === "3") selectLimb("leftLeg");
+  else if (key === "4") selectLimb("rightLeg");
   else if (key === " " || key === "p" || key === "5") {
     // Space bar or 'P' key for push
     pushTorso();
@@ -1517,8 +2490,23 @@ function keyPressed() {
     // Key '8' for relax
     relaxTorso();
     return;
+  } else if (key === "z") {
+    // 'Z' to undo the last move
+    undoMove();
+    return;
+  } else if (key === "y" || key === "Z") {
+    // 'Y' or Shift+Z to redo
+    redoMove();
+    return;
+  } else if (key === "h" || key === "H") {
+    // 'H' to show the next recommended move
+    requestHint();
+    return;
+  } else if (key === "d" || key === "D") {
+    // 'D' to switch between static moves and one or two arm dynos
+    toggleDynoMode();
+    return;
   }
-  updateButtonStyles();
 }
 
 /**
@@ -1534,63 +2522,480 @@ function updateLevelSelect(levelName) {
   }
 }
 
+/**
+ * Describe a level in the dropdown, with a checkmark and bests once it was sent
+ * @param {string} key
+ * @param {Level} level
+ * @returns {string}
+ */
+function getLevelOptionText(key, level) {
+  // Generated walls get graded once the current one is solved
+  const grade =
+    level.grade ||
+    (levelSeed && currentLevelKey.startsWith(`${key}:`) && levelGrade?.grade);
+
+  // The daily challenge shows how today's wall went, pack levels are
+  // identified by their holds
+  let progressKey = key;
+  if (key === "daily") progressKey = getLevelKey(key, getDailySeed());
+  else if (getLevelPackOf(key)) progressKey = getCustomLevelKey(level);
+  const progress = getLevelProgress(progressKey);
+  let bests = "";
+  if (progress.fewestMoves !== null) {
+    bests = ` · best ${progress.fewestMoves} moves`;
+    if (progress.bestTime !== null) {
+      bests += `, ⏱ ${formatRunTime(progress.bestTime)}`;
+    }
+  }
+
+  return (
+    (progress.sends > 0 ? "✓ " : "") +
+    (level.name || key) +
+    ` - by ${level.author}` +
+    ` (${grade ? `${grade}, ` : ""}~${getClimbingHeight(level)}m)` +
+    bests
+  );
+}
+
+/**
+ * Refresh the dropdown texts, e.g. after a send
+ */
+function updateLevelSelectLabels() {
+  const levelSelect = document.getElementById("levelSelect");
+  if (!(levelSelect instanceof HTMLSelectElement)) return;
+
+  const library = loadLevelLibrary();
+  for (const option of levelSelect.options) {
+    const label = getLevelOptionLabel(option.value, library);
+    if (label) option.innerText = label;
+  }
+}
+
+/**
+ * @param {string} key - A level key or the key of a level in My Levels
+ * @param {Record<string, LibraryLevel>} library - My Levels, loaded once for all options
+ * @returns {string | null} The dropdown text, null for unknown levels
+ */
+function getLevelOptionLabel(key, library) {
+  const libraryLevel = library[key];
+  if (libraryLevel) {
+    const { level, name, grade, favourite } = libraryLevel;
+    return (
+      (favourite ? "⭐ " : "") +
+      getLevelOptionText(key, { ...level, name, grade: grade || undefined })
+    );
+  }
+  const level = findLevel(key);
+  return level ? getLevelOptionText(key, level) : null;
+}
+
 /**
  * Populate the level select dropdown with available levels
  */
 function populateLevelSelect() {
   const levelSelect = document.getElementById("levelSelect");
-  if (!levelSelect) {
+  if (!(levelSelect instanceof HTMLSelectElement)) {
     console.error("Level select element not found");
     return;
   }
-  Object.entries(levels)
-    .sort((a, b) => {
-      return a[1].order - b[1].order;
-    })
-    .forEach(([key, level]) => {
-      const option = document.createElement("option");
-      option.value = key;
-
-      // Calculate actual climbing height based on hold positions
-      let climbingHeight = 0;
-      const torsoHeightCompensation = 115;
-      if (level.holds && level.holds.length > 0) {
-        // Find the bottommost hold (highest Y value)
-        let bottomY = Math.max(...level.holds.map((hold) => hold.y));
-        // Find the topmost hold (lowest Y value)
-        let topY = Math.min(...level.holds.map((hold) => hold.y));
-        // Calculate the actual climbing distance
-        climbingHeight = (bottomY - topY - torsoHeightCompensation) / 10; // Convert pixels to meters (10px = 1m)
-      } else {
-        // Fallback to old calculation for levels without holds
-        climbingHeight = (level.wallHeight - 650) / 10;
-      }
+  fillLevelSelect(levelSelect);
+  gradeUngradedLevels();
+
+  levelSelect.addEventListener("change", (event) => {
+    if (!(event.target instanceof HTMLSelectElement)) {
+      console.error("Event target is not a select element");
+      return;
+    }
+    const selectedLevel = event.target.value;
+    const libraryLevel = getLibraryLevel(selectedLevel);
+    if (libraryLevel) openCustomLevel(libraryLevel.level);
+    else loadLevel(selectedLevel, true); // Pass true to update URL
+  });
+}
+
+/**
+ * Rebuild the dropdown, e.g. after levels were added or removed, and keep the
+ * current level selected
+ */
+function refreshLevelSelect() {
+  const levelSelect = document.getElementById("levelSelect");
+  if (levelSelect instanceof HTMLSelectElement) fillLevelSelect(levelSelect);
+  gradeUngradedLevels();
+}
+
+/**
+ * List the built-in levels, then every imported pack as its own group and
+ * the player's own levels last
+ * @param {HTMLSelectElement} levelSelect
+ */
+function fillLevelSelect(levelSelect) {
+  const selected = levelSelect.value;
+  const library = loadLevelLibrary();
+
+  /**
+   * @param {HTMLElement} parent
+   * @param {string} key
+   */
+  const addOption = (parent, key) => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.innerText = getLevelOptionLabel(key, library) || key;
+    parent.appendChild(option);
+  };
+
+  levelSelect.replaceChildren();
+  Object.entries(levels)
+    .sort((a, b) => {
+      return a[1].order - b[1].order;
+    })
+    .forEach(([key]) => addOption(levelSelect, key));
+
+  for (const pack of levelPacks) {
+    const group = document.createElement("optgroup");
+    group.label = `📦 ${pack.name} - by ${pack.author}`;
+    pack.levels.forEach((_, index) =>
+      addOption(group, getPackLevelKey(pack.id, index))
+    );
+    levelSelect.appendChild(group);
+  }
+
+  const libraryLevels = getLibraryLevels(library);
+  if (libraryLevels.length) {
+    const group = document.createElement("optgroup");
+    group.label = "📚 My Levels";
+    for (const { key } of libraryLevels) addOption(group, key);
+    levelSelect.appendChild(group);
+  }
+  if (selected) levelSelect.value = selected;
+}
+
+/**
+ * @param {string} packId
+ * @param {number} index - Place of the level in the pack, from 0
+ * @returns {string} The level's key in `levels`
+ */
+function getPackLevelKey(packId, index) {
+  return getLevelKey("pack", `${packId}/${index + 1}`);
+}
+
+/**
+ * @param {string} levelName
+ * @returns {LevelPack | null} The pack the level is from, null for other levels
+ */
+function getLevelPackOf(levelName) {
+  const match = /^pack:(.+)\/\d+$/.exec(levelName);
+  return (match && levelPacks.find((pack) => pack.id === match[1])) || null;
+}
+
+/**
+ * Make the levels of a pack playable, in place of a pack with the same id
+ * @param {LevelPack} pack
+ */
+function addLevelPack(pack) {
+  removeLevelPack(pack.id);
+  levelPacks.push(pack);
+  for (const [index, level] of pack.levels.entries()) {
+    packLevels.set(getPackLevelKey(pack.id, index), level);
+  }
+}
+
+/**
+ * @param {string} packId
+ */
+function removeLevelPack(packId) {
+  for (const key of [...packLevels.keys()]) {
+    if (key.startsWith(`${getLevelKey("pack", packId)}/`)) {
+      packLevels.delete(key);
+    }
+  }
+  levelPacks = levelPacks.filter((pack) => pack.id !== packId);
+}
+
+/**
+ * Add the stored level packs and wire up the buttons to import and remove
+ * packs
+ */
+function createLevelPackControls() {
+  for (const pack of loadStoredLevelPacks()) addLevelPack(pack);
+
+  const packFileInput = /** @type {HTMLInputElement | null} */ (
+    document.getElementById("packFileInput")
+  );
+  document.getElementById("importPack")?.addEventListener("click", () => {
+    packFileInput?.click();
+  });
+  packFileInput?.addEventListener("change", () => {
+    const file = packFileInput.files?.[0];
+    if (!file) return;
+    file.text().then((text) => importLevelFile(text));
+    packFileInput.value = ""; // Let the same file be imported again
+  });
+  document
+    .getElementById("removePack")
+    ?.addEventListener("click", removeCurrentLevelPack);
+}
+
+/**
+ * Show the remove button while a level of a pack is loaded
+ */
+function updateLevelPackControls() {
+  const removeButton = document.getElementById("removePack");
+  if (removeButton) {
+    removeButton.style.display = currentPackId ? "inline-block" : "none";
+  }
+}
+
+/**
+ * Import a level pack, keep it for later visits and start its first level.
+ * A single level is opened and kept in My Levels.
+ * @param {string} text - The pack or level as JSON
+ * @param {boolean} [replaceHistory] - Whether to replace the current history entry
+ */
+function importLevelFile(text, replaceHistory = false) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    console.error("Failed to parse level pack:", error);
+  }
+  if (data && !isLevelPackData(data)) {
+    const levelData = parseLevelData(text);
+    if (levelData) {
+      openCustomLevel(levelData);
+      return;
+    }
+  }
+
+  const { pack, problems } = readLevelPack(data);
+  if (!pack) {
+    showLevelProblems("This level pack can't be loaded", problems, null);
+    return;
+  }
+  if (!storeLevelPack(pack)) {
+    problems.push(
+      "The pack is too big to keep, it will be gone after a reload."
+    );
+  }
+
+  addLevelPack(pack);
+  refreshLevelSelect();
+  loadLevel(getPackLevelKey(pack.id, 0), true, replaceHistory);
+
+  if (problems.length) {
+    showLevelProblems(
+      `"${pack.name}" was imported with problems`,
+      problems,
+      null
+    );
+  }
+}
+
+/**
+ * Download and import the level pack a link points to
+ * @param {string} packUrl
+ */
+function fetchLevelPack(packUrl) {
+  fetch(packUrl)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return response.text();
+    })
+    .then((text) => {
+      // The pack is stored from now on, links to its levels are enough
+      const url = new URL(window.location.href);
+      url.searchParams.delete("pack");
+      window.history.replaceState({}, "", url.toString());
+      importLevelFile(text, true);
+    })
+    .catch((error) => {
+      console.error("Failed to download level pack:", error);
+      showLevelProblems(
+        "This level pack can't be loaded",
+        [`The pack at ${packUrl} couldn't be downloaded.`],
+        null
+      );
+    });
+}
+
+function removeCurrentLevelPack() {
+  const pack = levelPacks.find(({ id }) => id === currentPackId);
+  if (
+    !pack ||
+    !confirm(
+      `Remove the level pack "${pack.name}"? Your progress on its levels is kept.`
+    )
+  ) {
+    return;
+  }
+
+  removeStoredLevelPack(pack.id);
+  removeLevelPack(pack.id);
+  refreshLevelSelect();
+  loadLevel("default", true);
+}
+
+/**
+ * Move a level kept by older versions into My Levels and wire up the buttons
+ * to manage the levels in it
+ */
+function createLevelLibraryControls() {
+  importLegacyCustomLevel();
+
+  document
+    .getElementById("favouriteLevel")
+    ?.addEventListener("click", toggleFavouriteLevel);
+  document
+    .getElementById("renameLevel")
+    ?.addEventListener("click", renameLibraryLevel);
+  document
+    .getElementById("deleteLevel")
+    ?.addEventListener("click", deleteLibraryLevel);
+}
+
+/**
+ * Show the buttons to manage My Levels while one of them is loaded
+ */
+function updateLevelLibraryControls() {
+  const libraryLevel = getLibraryLevel(currentLevelKey);
+  const controls = document.getElementById("libraryControls");
+  if (controls) controls.style.display = libraryLevel ? "flex" : "none";
+
+  const favouriteButton = document.getElementById("favouriteLevel");
+  if (favouriteButton) {
+    favouriteButton.textContent = libraryLevel?.favourite
+      ? "⭐ Favourite"
+      : "☆ Favourite";
+  }
+}
+
+/**
+ * Load a custom level and link to it like to a shared level
+ * @param {any} levelData
+ */
+function openCustomLevel(levelData) {
+  loadCustomLevel(levelData);
+  if (currentCustomLevelData !== levelData) return; // It had problems
+
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.searchParams.set("level", "custom");
+  url.searchParams.set("data", compressLevelData(levelData));
+  window.history.pushState({}, "", url.toString());
+}
+
+function toggleFavouriteLevel() {
+  const libraryLevel = getLibraryLevel(currentLevelKey);
+  if (!libraryLevel) return;
+
+  updateLibraryLevel(currentLevelKey, { favourite: !libraryLevel.favourite });
+  refreshLevelSelect();
+  updateLevelLibraryControls();
+}
+
+function renameLibraryLevel() {
+  const libraryLevel = getLibraryLevel(currentLevelKey);
+  if (!libraryLevel) return;
+
+  const name = prompt("Name of the level in My Levels:", libraryLevel.name);
+  if (!name?.trim()) return;
+
+  updateLibraryLevel(currentLevelKey, { name: name.trim() });
+  refreshLevelSelect();
+  document.title = `${name.trim()} by ${
+    libraryLevel.level.author || "Anonymous"
+  } - Climbing Game`;
+}
+
+function deleteLibraryLevel() {
+  const libraryLevel = getLibraryLevel(currentLevelKey);
+  if (
+    !libraryLevel ||
+    !confirm(
+      `Delete "${libraryLevel.name}" from My Levels? Your progress on it is kept.`
+    )
+  ) {
+    return;
+  }
+
+  removeFromLevelLibrary(currentLevelKey);
+  refreshLevelSelect();
+  loadLevel("default", true);
+}
+
+/**
+ * @returns {any} Data of the level being played, built-in levels included
+ */
+function getCurrentLevelData() {
+  return (
+    currentCustomLevelData ||
+    (levelSeed
+      ? getGeneratedLevelData()
+      : findLevel(getCurrentLevelSelectKey()))
+  );
+}
+
+function createTopoControls() {
+  document.getElementById("exportTopo")?.addEventListener("click", (e) => {
+    e.preventDefault();
+    exportTopo();
+  });
+}
+
+/**
+ * Offer the solution on the topo once the solver found one, unless the level
+ * turns hints off
+ */
+function updateTopoControls() {
+  const solutionOption = /** @type {HTMLInputElement | null} */ (
+    document.getElementById("topoSolution")
+  );
+  if (!solutionOption) return;
+  solutionOption.disabled = !hintsAllowed || levelPar?.status !== "solved";
+  if (solutionOption.disabled) solutionOption.checked = false;
+  const label = solutionOption.parentElement;
+  if (label) {
+    label.title = !hintsAllowed
+      ? "Hints are turned off for this level"
+      : solutionOption.disabled
+      ? "The way up is still being worked out"
+      : "";
+  }
+}
 
-      option.innerText =
-        (level.name || key) +
-        ` - by ${level.author}` +
-        ` (~${Math.round(climbingHeight) / 10}m)`;
-      levelSelect.appendChild(option);
-    });
+/**
+ * Download a printable SVG topo of the current level
+ */
+function exportTopo() {
+  const levelData = getCurrentLevelData();
+  if (!levelData) return;
 
-  levelSelect.addEventListener("change", (event) => {
-    if (!(event.target instanceof HTMLSelectElement)) {
-      console.error("Event target is not a select element");
-      return;
-    }
-    const selectedLevel = event.target.value;
-    loadLevel(selectedLevel, true); // Pass true to update URL
+  const solutionOption = /** @type {HTMLInputElement | null} */ (
+    document.getElementById("topoSolution")
+  );
+  const withSolution =
+    !!solutionOption?.checked && hintsAllowed && levelPar?.status === "solved";
+  downloadLevelTopo(levelData, {
+    grade: levelGrade?.grade || levelData.grade,
+    solution: withSolution ? levelPar?.path : undefined,
   });
 }
 
 /**
  * Load a custom level from level data
  * @param {any} levelData
+ * @param {boolean} [keepInLibrary] - False for test runs from the editor, which would add a level to My Levels for every edit
  */
-function loadCustomLevel(levelData) {
-  if (!levelData || !levelData.holds || !Array.isArray(levelData.holds)) {
-    console.error("Invalid custom level data");
+function loadCustomLevel(levelData, keepInLibrary = true) {
+  pendingWallKey = ""; // Don't switch to a wall still being generated
+  const problems = validateLevel(levelData);
+  if (problems.length) {
+    console.error("Invalid custom level data:", problems);
     loadLevel("default");
+    showLevelProblems("This level can't be loaded", problems, () =>
+      openInEditor(getFixableLevel(levelData))
+    );
     return;
   }
 
@@ -1607,94 +3012,39 @@ function loadCustomLevel(levelData) {
     createLinkDiv.style.display = "none";
   }
 
-  // Hide the level dropdown and show custom level info
-  const levelSelect = document.getElementById("levelSelect");
-  if (levelSelect) {
-    levelSelect.style.display = "none";
-  }
-
-  // Create or update custom level info display
-  let customLevelInfo = document.getElementById("customLevelInfo");
-  if (!customLevelInfo) {
-    customLevelInfo = document.createElement("div");
-    customLevelInfo.id = "customLevelInfo";
-    customLevelInfo.style.cssText =
-      "margin-bottom: 10px; padding: 8px; background: #f0f0f0; border-radius: 4px; font-size: 14px; text-align: center;";
-    levelSelect?.parentNode?.insertBefore(customLevelInfo, levelSelect);
-  }
+  // Keep the level in My Levels and select it there
+  const levelKey = getCustomLevelKey(levelData);
+  const libraryLevel = keepInLibrary
+    ? addToLevelLibrary(levelData)
+    : getLibraryLevel(levelKey);
+  refreshLevelSelect();
+  updateLevelSelect(levelKey);
 
-  const customLevelName = levelData.name || "Custom Level";
+  const customLevelName = libraryLevel?.name || levelData.name;
   const customAuthorName = levelData.author || "Anonymous";
-  customLevelInfo.innerHTML = `<strong>${customLevelName}</strong><br><small>by ${customAuthorName}</small>`;
-  customLevelInfo.style.display = "block";
 
   holds = [];
   topHold = null;
   gameWon = false;
-  totalMoves = 0;
-  torsoPushed = false; // Reset push state
   wallHeight = levelData.wallHeight || 3000;
+  hintsAllowed = levelData.hints !== false;
+  currentLevelKey = levelKey;
+  currentPackId = "";
+  staminaEnabled = !!levelData.stamina;
+  updateLevelPackControls();
+  updateLevelLibraryControls();
 
   console.log(`Loading custom level with wallHeight: ${wallHeight}`);
   console.log(`Level data wallHeight: ${levelData.wallHeight}`);
   console.log(`Total holds in data: ${levelData.holds.length}`);
 
-  for (let h of levelData.holds) {
-    const hold = { x: h.x, y: h.y };
-    if (h.top) {
-      topHold = hold;
-    }
-    holds.push(hold);
-  }
-
-  // Make sure we have at least 4 starting holds + end hold
-  if (holds.length < 5) {
-    console.error("Custom level needs at least 4 starting holds + end hold");
-    loadLevel("default");
-    return;
-  }
-
-  // Find the first 4 non-end holds as starting holds
-  let startingHolds = [];
-  for (let hold of levelData.holds) {
-    if (!hold.top && startingHolds.length < 4) {
-      startingHolds.push({ x: hold.x, y: hold.y });
-    }
-  }
-
-  if (startingHolds.length < 4) {
-    console.error("Custom level needs at least 4 starting holds");
-    loadLevel("default");
-    return;
-  }
-
-  // Assign starting holds to limbs (same order as level editor: arms first)
-  climber.limbs.leftArm.hold = startingHolds[0];
-  climber.limbs.rightArm.hold = startingHolds[1];
-  climber.limbs.leftLeg.hold = startingHolds[2];
-  climber.limbs.rightLeg.hold = startingHolds[3];
-
-  // Initialize target holds to null
-  climber.limbs.leftArm.targetHold = null;
-  climber.limbs.rightArm.targetHold = null;
-  climber.limbs.leftLeg.targetHold = null;
-  climber.limbs.rightLeg.targetHold = null;
-
-  updateTorso();
+  holds = readLevelHolds(levelData);
+  topHold = holds.find((hold) => hold.top) || null;
 
-  // Initialize torso position to target
-  climber.torso.x = climber.torsoTarget.x;
-  climber.torso.y = climber.torsoTarget.y;
-
-  // Initialize starting height and current height
-  startingHeight = climber.torso.y;
-  currentHeight = 0;
-
-  // Set camera to center on starting position (where climber is)
-  cameraOffsetY = -climber.torso.y + height / 2;
-
-  // Ensure camera is properly constrained
-  cameraOffsetY = constrain(cameraOffsetY, -wallHeight + height, 0);
+  // Put the climber on the starting holds (same order as level editor: arms first)
+  resetClimb();
+  solveCurrentLevel();
+  offerSavedClimb();
 
   console.log(
     `Custom level loaded. Camera positioned at: ${cameraOffsetY}, Climber at: ${climber.torso.y}`
@@ -1703,7 +3053,6 @@ function loadCustomLevel(levelData) {
   // Update HTML title to include level name and author
   document.title = `${customLevelName} by ${customAuthorName} - Climbing Game`;
 
-  isAnimating = false; // Reset animation state
   loop();
 }
 
@@ -1712,71 +3061,82 @@ function loadCustomLevel(levelData) {
  * @param {string} levelName
  * @param {boolean} updateUrl - Whether to update the URL (default: false)
  * @param {boolean} replaceHistory - Whether to replace current history entry instead of adding new one (default: false)
+ * @param {string} [seed] - Seed of the generated wall, a random one if not given
+ * @param {() => void} [onLoaded] - Called once the level is loaded, after its wall is generated
  * @returns
  */
-function loadLevel(levelName, updateUrl = false, replaceHistory = false) {
-  let level = levels[levelName];
+function loadLevel(
+  levelName,
+  updateUrl = false,
+  replaceHistory = false,
+  seed = undefined,
+  onLoaded = undefined
+) {
+  let level = findLevel(levelName);
   if (!level) return;
 
+  // Generated walls are built from their seed, the daily one from the date.
+  // The current level stays up while a new wall is generated.
+  pendingWallKey = "";
+  let wallSeed = "";
+  let wallId = "";
+  const options =
+    levelName === "generated" ? generatorOptions : GENERATOR_PRESETS.medium;
+  if (levelName === "generated") {
+    wallSeed = seed || createRandomSeed();
+    wallId = getGeneratedWallId(wallSeed, options);
+  } else if (levelName === "daily") {
+    wallSeed = wallId = getDailySeed();
+  }
+  if (wallSeed) {
+    const wall = generatedWalls.get(getLevelKey(levelName, wallId));
+    if (!wall) {
+      generateWall(getLevelKey(levelName, wallId), wallSeed, options, () =>
+        loadLevel(levelName, updateUrl, replaceHistory, wallSeed, onLoaded)
+      );
+      return;
+    }
+    level.holds = wall.holds;
+    level.wallHeight = options.wallHeight;
+  }
+  levelSeed = wallSeed;
+  const pack = getLevelPackOf(levelName);
+
   // Clear custom level data and show create link, hide edit link
-  currentCustomLevelData = null;
+  // unless the wall is generated or from a pack
+  currentCustomLevelData = pack ? level : null;
   const editLinkDiv = document.getElementById("editLevelLink");
   const createLinkDiv = document.getElementById("createLevelLink");
   if (editLinkDiv) {
-    editLinkDiv.style.display = "none";
+    editLinkDiv.style.display = levelSeed || pack ? "block" : "none";
   }
   if (createLinkDiv) {
     createLinkDiv.style.display = "block";
   }
 
-  // Show the level dropdown and hide custom level info
-  const levelSelect = document.getElementById("levelSelect");
-  if (levelSelect) {
-    levelSelect.style.display = "inline-block";
-  }
-
-  const customLevelInfo = document.getElementById("customLevelInfo");
-  if (customLevelInfo) {
-    customLevelInfo.style.display = "none";
-  }
-
   holds = [];
   topHold = null;
   gameWon = false;
-  totalMoves = 0;
-  torsoPushed = false; // Reset push state
   wallHeight = level.wallHeight || 3000;
-
-  for (let h of level.holds) {
-    const hold = { x: h.x, y: h.y };
-    if (h.top) {
-      topHold = hold;
-    }
-    holds.push(hold);
-  }
-
-  climber.limbs.leftArm.hold = holds[0];
-  climber.limbs.rightArm.hold = holds[1];
-  climber.limbs.leftLeg.hold = holds[2];
-  climber.limbs.rightLeg.hold = holds[3];
-
-  // Initialize target holds to null
-  climber.limbs.leftArm.targetHold = null;
-  climber.limbs.rightArm.targetHold = null;
-  climber.limbs.leftLeg.targetHold = null;
-  climber.limbs.rightLeg.targetHold = null;
-
-  updateTorso();
-
-  // Initialize torso position to target
-  climber.torso.x = climber.torsoTarget.x;
-  climber.torso.y = climber.torsoTarget.y;
-
-  // Initialize starting height and current height
-  startingHeight = climber.torso.y;
-  currentHeight = 0;
-
-  cameraOffsetY = -climber.torso.y + height / 2;
+  hintsAllowed = level.hints !== false;
+  // Pack levels keep their records by their holds, like custom levels, so
+  // an updated pack doesn't mix them up
+  currentLevelKey = pack
+    ? getCustomLevelKey(level)
+    : getLevelKey(levelName, wallId);
+  currentPackId = pack?.id || "";
+  staminaEnabled = !!level.stamina;
+  updateLevelPackControls();
+  updateLevelLibraryControls();
+
+  holds = readLevelHolds(level);
+  topHold = holds.find((hold) => hold.top) || null;
+
+  // Put the climber on the starting holds
+  resetClimb();
+  solveCurrentLevel();
+  updateSeedInfo(levelName);
+  offerSavedClimb();
 
   // Reset HTML title to default for built-in levels
   document.title = "Climbing Game";
@@ -1788,6 +3148,13 @@ function loadLevel(levelName, updateUrl = false, replaceHistory = false) {
   if (updateUrl) {
     const url = new URL(window.location.href);
     url.searchParams.set("level", levelName);
+    url.searchParams.delete("data"); // Only custom levels have level data
+    if (levelName === "generated") url.searchParams.set("seed", levelSeed);
+    else url.searchParams.delete("seed");
+    writeGeneratorOptions(
+      url.searchParams,
+      levelName === "generated" ? generatorOptions : GENERATOR_PRESETS.medium
+    );
     if (replaceHistory) {
       window.history.replaceState({}, "", url.toString());
     } else {
@@ -1795,425 +3162,444 @@ function loadLevel(levelName, updateUrl = false, replaceHistory = false) {
     }
   }
 
-  isAnimating = false; // Reset animation state
+  onLoaded?.();
   loop();
 }
 
 /**
- * Push the torso to maximum height while keeping all limbs connected
+ * @param {any} levelData - A valid level
+ * @returns {Hold[]} Its holds the way the game plays them, unknown hold types as jugs
  */
-function pushTorso() {
-  if (gameWon || isAnimating) return; // Prevent input during animations
-
-  console.log("Push button clicked!"); // Debug log
-
-  // Get all current holds that limbs are connected to
-  let connectedHolds = [];
-  for (let limb in climber.limbs) {
-    let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-    if (hold) {
-      connectedHolds.push({
-        hold: hold,
-        reach: climber.limbs[/** @type {LimbName} */ (limb)].reach,
-        limb: limb,
-      });
-    }
-  }
-
-  console.log("Connected holds:", connectedHolds); // Debug log
-
-  if (connectedHolds.length === 0) {
-    console.log("No connected holds found");
-    return;
-  }
+function readLevelHolds(levelData) {
+  return levelData.holds.map((/** @type {any} */ h) => {
+    /** @type {Hold} */
+    const hold = { x: h.x, y: h.y };
+    if (isHoldType(h.type)) hold.type = h.type;
+    if (h.top) hold.top = true; // The rules engine finds the top hold by this flag
+    return hold;
+  });
+}
 
-  // Calculate the centroid of all holds for X position
-  let centerX = 0;
-  for (let connected of connectedHolds) {
-    centerX += connected.hold.x;
-  }
-  centerX /= connectedHolds.length;
-
-  // Find the maximum height (minimum Y) by checking what's the highest position
-  // where all limbs can still reach their holds
-  let bestY = climber.torso.y; // Start with current position
-
-  // Try moving up in small increments to find the highest valid position
-  for (let testY = climber.torso.y - 1; testY >= 0; testY -= 1) {
-    let canReachAll = true;
-
-    // Check if all limbs can reach from this position using their attachment points
-    for (let connected of connectedHolds) {
-      // Calculate attachment point for this limb at the test position
-      let attachmentX = centerX;
-      let attachmentY = testY;
-      const torsoWidth = 36;
-      const torsoHeight = 74;
-      const inset = 5;
-
-      if (connected.limb === "leftArm") {
-        attachmentX = centerX - torsoWidth / 2 + inset;
-        attachmentY = testY - torsoHeight / 2 + inset;
-      } else if (connected.limb === "rightArm") {
-        attachmentX = centerX + torsoWidth / 2 - inset;
-        attachmentY = testY - torsoHeight / 2 + inset;
-      } else if (connected.limb === "leftLeg") {
-        attachmentX = centerX - torsoWidth / 2 + inset;
-        attachmentY = testY + torsoHeight / 2 - inset;
-      } else if (connected.limb === "rightLeg") {
-        attachmentX = centerX + torsoWidth / 2 - inset;
-        attachmentY = testY + torsoHeight / 2 - inset;
+/**
+ * Work out the par of the current level in the background
+ */
+function solveCurrentLevel() {
+  parSolver.stop(); // Results for the previous level are no longer needed
+  levelPar = null;
+  levelGrade = null;
+  updateGradeDisplay();
+  updateTopoControls();
+
+  const levelHolds = holds;
+  parSolver
+    .solve(levelHolds)
+    .then((result) => {
+      if (holds !== levelHolds) return;
+      levelPar = result;
+      levelGrade = gradeLevel(levelHolds, result);
+      updateSeedStatus();
+      updateGradeDisplay();
+      updateTopoControls();
+      if (result.status === "impossible") {
+        console.warn("This level can't be climbed to the top hold");
       }
-
-      let distance = dist(
-        attachmentX,
-        attachmentY,
-        connected.hold.x,
-        connected.hold.y
-      );
-      if (distance > connected.reach) {
-        canReachAll = false;
-        break;
+    })
+    .catch((error) => {
+      // Stopping the solver for a new level isn't an error worth reporting
+      if (holds === levelHolds) {
+        console.error("Failed to solve level:", error);
       }
-    }
-
-    if (canReachAll) {
-      bestY = testY;
-    } else {
-      break; // Stop when we can't reach anymore
-    }
-  }
-
-  console.log(`Current torso: ${climber.torso.x}, ${climber.torso.y}`);
-  console.log(`Best position: ${centerX}, ${bestY}`);
-
-  // If we found a higher position, move the torso
-  // Add a small buffer (5 pixels) so legs aren't fully straight
-  const buffer = 10;
-  const finalY = bestY + buffer;
+    });
+}
 
-  if (finalY < climber.torso.y) {
-    console.log("Moving torso up!");
-    climber.torsoTarget.x = centerX;
-    climber.torsoTarget.y = finalY;
+/**
+ * Show the grade of generated walls, pack levels and levels in My Levels in
+ * the dropdown. Pack levels and levels in My Levels keep it for later visits.
+ */
+function updateGradeDisplay() {
+  if (levelGrade) storeLevelGrade(getCurrentLevelSelectKey(), levelGrade.grade);
+  if (levelSeed) updateLevelSelectLabels();
+}
 
-    // Mark that torso has been pushed so it doesn't get recalculated automatically
-    torsoPushed = true;
-    isAnimating = true;
+/**
+ * @returns {string} The dropdown key of the current level
+ */
+function getCurrentLevelSelectKey() {
+  const pack = levelPacks.find((pack) => pack.id === currentPackId);
+  if (!pack) return currentLevelKey;
 
-    // Count this as a move
-    totalMoves++;
+  // Pack levels are keyed by their holds while played, see loadLevel
+  const index = pack.levels.findIndex(
+    (level) => getCustomLevelKey(level) === currentLevelKey
+  );
+  return index === -1 ? currentLevelKey : getPackLevelKey(pack.id, index);
+}
 
-    // Update current height
-    currentHeight = Math.max(
-      0,
-      Math.round((startingHeight - finalY) / 10) * 10
+/**
+ * Keep the grade of a pack level or a level in My Levels and show it in the
+ * dropdown
+ * @param {string} key - The level's key in the dropdown
+ * @param {string} grade
+ */
+function storeLevelGrade(key, grade) {
+  const pack = getLevelPackOf(key);
+  if (pack) {
+    const index = pack.levels.findIndex(
+      (_, i) => getPackLevelKey(pack.id, i) === key
     );
+    if (index === -1 || pack.levels[index].grade === grade) return;
+    pack.levels[index] = { ...pack.levels[index], grade };
+    packLevels.set(key, pack.levels[index]);
+    storeLevelPack(pack);
   } else {
-    console.log("Already at maximum height for current holds");
+    const libraryLevel = getLibraryLevel(key);
+    if (!libraryLevel || libraryLevel.grade === grade) return;
+    updateLibraryLevel(key, { grade });
   }
+  updateLevelSelectLabels();
 }
 
 /**
- * Strafe the torso to the left while keeping all limbs connected
+ * @returns {string | null} The dropdown key of a pack level or a level in My
+ * Levels that has no grade and wasn't graded yet, null if there are none
  */
-function strafeLeft() {
-  if (gameWon || isAnimating) return; // Prevent input during animations
-
-  console.log("Strafe left button clicked!");
-
-  // Get all current holds that limbs are connected to
-  let connectedHolds = [];
-  for (let limb in climber.limbs) {
-    let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-    if (hold) {
-      connectedHolds.push({
-        hold: hold,
-        reach: climber.limbs[/** @type {LimbName} */ (limb)].reach,
-        limb: limb,
-      });
+function findUngradedLevelKey() {
+  for (const pack of levelPacks) {
+    for (const [index, level] of pack.levels.entries()) {
+      const key = getPackLevelKey(pack.id, index);
+      if (!level.grade && !gradedLevelKeys.has(key)) return key;
     }
   }
+  const libraryLevel = getLibraryLevels().find(
+    ({ key, grade }) => !grade && !gradedLevelKeys.has(key)
+  );
+  return libraryLevel?.key || null;
+}
 
-  if (connectedHolds.length === 0) {
-    console.log("No connected holds found");
-    return;
-  }
-
-  // Calculate the centroid of all holds for Y position
-  let centerY = 0;
-  for (let connected of connectedHolds) {
-    centerY += connected.hold.y;
-  }
-  centerY /= connectedHolds.length;
-
-  // Find the leftmost position by checking what's the furthest left position
-  // where all limbs can still reach their holds
-  let bestX = climber.torso.x; // Start with current position
-
-  // Try moving left in small increments to find the leftmost valid position
-  for (let testX = climber.torso.x - 1; testX >= 0; testX -= 1) {
-    let canReachAll = true;
-
-    // Check if all limbs can reach from this position using their attachment points
-    for (let connected of connectedHolds) {
-      // Calculate attachment point for this limb at the test position
-      let attachmentX = testX;
-      let attachmentY = centerY;
-      const torsoWidth = 36;
-      const torsoHeight = 74;
-      const inset = 5;
-
-      if (connected.limb === "leftArm") {
-        attachmentX = testX - torsoWidth / 2 + inset;
-        attachmentY = centerY - torsoHeight / 2 + inset;
-      } else if (connected.limb === "rightArm") {
-        attachmentX = testX + torsoWidth / 2 - inset;
-        attachmentY = centerY - torsoHeight / 2 + inset;
-      } else if (connected.limb === "leftLeg") {
-        attachmentX = testX - torsoWidth / 2 + inset;
-        attachmentY = centerY + torsoHeight / 2 - inset;
-      } else if (connected.limb === "rightLeg") {
-        attachmentX = testX + torsoWidth / 2 - inset;
-        attachmentY = centerY + torsoHeight / 2 - inset;
-      }
-
-      let distance = dist(
-        attachmentX,
-        attachmentY,
-        connected.hold.x,
-        connected.hold.y
-      );
-      if (distance > connected.reach) {
-        canReachAll = false;
-        break;
+/**
+ * Grade the pack levels and levels in My Levels that have no grade yet, one
+ * after another in the background, so the dropdown shows their grades before
+ * they are played
+ */
+function gradeUngradedLevels() {
+  if (gradingLevels) return;
+  const key = findUngradedLevelKey();
+  if (!key) return;
+
+  const levelData = packLevels.get(key) || getLibraryLevel(key)?.level;
+  const levelHolds = readLevelHolds(levelData);
+  gradedLevelKeys.add(key);
+  gradingLevels = true;
+  levelGrader.solve(levelHolds).then(
+    (result) => {
+      gradingLevels = false;
+      const grade = gradeLevel(levelHolds, result);
+      // A pack imported again meanwhile may have other levels under the key
+      if (
+        grade &&
+        (!packLevels.has(key) || packLevels.get(key) === levelData)
+      ) {
+        storeLevelGrade(key, grade.grade);
       }
+      gradeUngradedLevels();
+    },
+    (error) => {
+      // Without a solver the other levels can't be graded either
+      gradingLevels = false;
+      console.error("Failed to grade level:", error);
     }
+  );
+}
 
-    if (canReachAll) {
-      bestX = testX;
-    } else {
-      break; // Stop when we can't reach anymore
-    }
-  }
+/**
+ * Put the climber back on the starting holds of the current level
+ * and start a fresh recording
+ */
+function resetClimb() {
+  climbState = createClimbState(holds);
+  climber.torso.x = climbState.torso.x;
+  climber.torso.y = climbState.torso.y;
+  gameWon = false;
+  isAnimating = false; // Reset animation state
+  clearHistory();
+
+  // Initialize starting height and current height
+  startingHeight = climber.torso.y;
+  currentHeight = 0;
 
-  // Add a small buffer (5 pixels) so limbs aren't fully extended
-  const buffer = 5;
-  const finalX = bestX + buffer;
+  // Set camera to center on starting position (where climber is)
+  manualCameraControl = false;
+  cameraOffsetY = constrain(
+    -climber.torso.y + height / 2,
+    -wallHeight + height,
+    0
+  );
 
-  if (finalX < climber.torso.x) {
-    console.log("Moving torso left!");
-    climber.torsoTarget.x = finalX;
-    climber.torsoTarget.y = centerY;
+  recordedActions = [];
+  recordingStartTime = millis();
+  updateReplayControls();
+
+  stamina = STAMINA_MAX;
+  staminaResting = false;
+  lastFallTime = -Infinity;
+  dynoTarget = -1;
+  dynoAnimation = null;
+  lastMissTime = -Infinity;
+
+  attemptRecorded = false;
+  startedFromPosition = false;
+  runStartTime = -1;
+  runSplits = [];
+  runTime = 0;
+  isNewPersonalBest = false;
+  personalBest = loadPersonalBest(currentLevelKey);
+  resetGhost();
+
+  hintSolver.stop(); // Keep the solver for hints on this level only
+  hintsUsed = 0;
+  clearHint();
+}
 
-    // Mark that torso has been pushed so it doesn't get recalculated automatically
-    torsoPushed = true;
-    isAnimating = true;
+/**
+ * Remember a player action for the replay of this climb
+ * @param {ReplayActionType} type
+ * @param {{ limb?: LimbName, hold?: number, arms?: DynoArms, caught?: boolean }} [details]
+ */
+function recordAction(type, details = {}) {
+  if (replayActions) return; // Don't record while playing back
 
-    // Count this as a move
-    totalMoves++;
-  } else {
-    console.log("Already at leftmost position for current holds");
-  }
+  recordedActions.push({
+    t: Math.round(millis() - recordingStartTime),
+    type,
+    ...details,
+  });
 }
 
 /**
- * Strafe the torso to the right while keeping all limbs connected
+ * Restart the current level and play back a recorded climb
+ * @param {ReplayAction[]} actions
  */
-function strafeRight() {
-  if (gameWon || isAnimating) return; // Prevent input during animations
+function startReplay(actions) {
+  hideResumeOffer();
+  resetClimb();
+  replayActions = actions;
+  replayIndex = 0;
+  replayTime = 0;
+  replayPlaying = true;
+  updateHistoryButtons();
+  updateReplayControls();
+}
 
-  console.log("Strafe right button clicked!");
-
-  // Get all current holds that limbs are connected to
-  let connectedHolds = [];
-  for (let limb in climber.limbs) {
-    let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-    if (hold) {
-      connectedHolds.push({
-        hold: hold,
-        reach: climber.limbs[/** @type {LimbName} */ (limb)].reach,
-        limb: limb,
-      });
-    }
+/**
+ * Stop the replay and let the player climb from the start
+ */
+function exitReplay() {
+  replayActions = null;
+  replayPlaying = false;
+  resetClimb();
+
+  // Drop the replay from the URL so a reload doesn't start it again
+  const url = new URL(window.location.href);
+  url.searchParams.delete("replay");
+  window.history.replaceState({}, "", url.toString());
+}
+
+/**
+ * Advance the replay clock and play every action that is due,
+ * waiting for each move to finish animating before the next one
+ */
+function updateReplay() {
+  if (!replayActions || !replayPlaying) return;
+
+  replayTime += deltaTime * replaySpeed;
+  while (
+    !isAnimating &&
+    replayIndex < replayActions.length &&
+    replayActions[replayIndex].t <= replayTime
+  ) {
+    playReplayAction(replayActions[replayIndex]);
+    replayIndex++;
+  }
+
+  if (replayIndex >= replayActions.length) {
+    replayPlaying = false;
+    updateReplayControls();
   }
+}
 
-  if (connectedHolds.length === 0) {
-    console.log("No connected holds found");
+/**
+ * Pause the replay and play only the next action
+ */
+function stepReplay() {
+  if (!replayActions || isAnimating || replayIndex >= replayActions.length) {
     return;
   }
 
-  // Calculate the centroid of all holds for Y position
-  let centerY = 0;
-  for (let connected of connectedHolds) {
-    centerY += connected.hold.y;
-  }
-  centerY /= connectedHolds.length;
-
-  // Find the rightmost position by checking what's the furthest right position
-  // where all limbs can still reach their holds
-  let bestX = climber.torso.x; // Start with current position
-
-  // Try moving right in small increments to find the rightmost valid position
-  for (let testX = climber.torso.x + 1; testX <= 400; testX += 1) {
-    let canReachAll = true;
-
-    // Check if all limbs can reach from this position using their attachment points
-    for (let connected of connectedHolds) {
-      // Calculate attachment point for this limb at the test position
-      let attachmentX = testX;
-      let attachmentY = centerY;
-      const torsoWidth = 36;
-      const torsoHeight = 74;
-      const inset = 5;
-
-      if (connected.limb === "leftArm") {
-        attachmentX = testX - torsoWidth / 2 + inset;
-        attachmentY = centerY - torsoHeight / 2 + inset;
-      } else if (connected.limb === "rightArm") {
-        attachmentX = testX + torsoWidth / 2 - inset;
-        attachmentY = centerY - torsoHeight / 2 + inset;
-      } else if (connected.limb === "leftLeg") {
-        attachmentX = testX - torsoWidth / 2 + inset;
-        attachmentY = centerY + torsoHeight / 2 - inset;
-      } else if (connected.limb === "rightLeg") {
-        attachmentX = testX + torsoWidth / 2 - inset;
-        attachmentY = centerY + torsoHeight / 2 - inset;
-      }
+  replayPlaying = false;
+  const action = replayActions[replayIndex];
+  replayTime = action.t;
+  playReplayAction(action);
+  replayIndex++;
+  updateReplayControls();
+}
 
-      let distance = dist(
-        attachmentX,
-        attachmentY,
-        connected.hold.x,
-        connected.hold.y
-      );
-      if (distance > connected.reach) {
-        canReachAll = false;
-        break;
-      }
-    }
+function toggleReplayPlayback() {
+  if (!replayActions) return;
 
-    if (canReachAll) {
-      bestX = testX;
-    } else {
-      break; // Stop when we can't reach anymore
-    }
+  if (replayIndex >= replayActions.length) {
+    // Finished replays start over
+    startReplay(replayActions);
+    return;
   }
+  replayPlaying = !replayPlaying;
+  updateReplayControls();
+}
+
+/**
+ * Perform a recorded action through the same functions the player uses
+ * @param {ReplayAction} action
+ */
+function playReplayAction(action) {
+  const move = getReplayMove(action, selectedLimb);
+  if (move) performMove(move);
+  else if (action.type === "select" && action.limb) selectLimb(action.limb);
+  else if (action.type === "undo") undoMove();
+  else if (action.type === "redo") redoMove();
+  else if (action.type === "fall") fallToStart();
+}
+
+/**
+ * Build a link to the current level that plays back a climb
+ * @param {ReplayAction[]} actions
+ * @returns {string}
+ */
+function buildReplayUrl(actions) {
+  const url = new URL(window.location.href);
+  url.searchParams.set("replay", serializeReplay(actions));
+  return url.toString();
+}
 
-  // Add a small buffer (5 pixels) so limbs aren't fully extended
-  const buffer = 5;
-  const finalX = bestX - buffer;
+function shareReplay() {
+  const replayUrl = buildReplayUrl(replayActions || recordedActions);
+  const shareLink = document.getElementById("shareReplay");
 
-  if (finalX > climber.torso.x) {
-    console.log("Moving torso right!");
-    climber.torsoTarget.x = finalX;
-    climber.torsoTarget.y = centerY;
+  navigator.clipboard
+    .writeText(replayUrl)
+    .then(() => {
+      if (shareLink) shareLink.textContent = "✅ Replay link copied!";
+    })
+    .catch(() => {
+      // Fallback: show the URL in a prompt for manual copying
+      prompt("Share this URL to show how you climbed this level:", replayUrl);
+    });
+}
 
-    // Mark that torso has been pushed so it doesn't get recalculated automatically
-    torsoPushed = true;
-    isAnimating = true;
+function createReplayControls() {
+  document.getElementById("replayPlay")?.addEventListener("click", () => {
+    toggleReplayPlayback();
+  });
+  document.getElementById("replayStep")?.addEventListener("click", () => {
+    stepReplay();
+  });
+  document.getElementById("replayExit")?.addEventListener("click", () => {
+    exitReplay();
+  });
 
-    // Count this as a move
-    totalMoves++;
-  } else {
-    console.log("Already at rightmost position for current holds");
+  const speedSelect = document.getElementById("replaySpeed");
+  if (speedSelect instanceof HTMLSelectElement) {
+    speedSelect.addEventListener("change", () => {
+      replaySpeed = Number(speedSelect.value) || 1;
+    });
   }
+
+  document.getElementById("watchReplay")?.addEventListener("click", (e) => {
+    e.preventDefault();
+    startReplay([...recordedActions]);
+  });
+  document.getElementById("shareReplay")?.addEventListener("click", (e) => {
+    e.preventDefault();
+    shareReplay();
+  });
 }
 
 /**
- * Relax the torso to its natural position based on limb holds
- * This removes all pushes and strafes, returning to the calculated centroid
+ * Show the playback controls while replaying, and the replay links after a send
  */
-function relaxTorso() {
-  if (gameWon || isAnimating) return; // Prevent input during animations
-
-  console.log("Relax button clicked!");
-
-  // Check if torso has been pushed/strafed
-  if (!torsoPushed) {
-    console.log("Torso is already in natural position");
-    return;
+function updateReplayControls() {
+  const controls = document.getElementById("replayControls");
+  if (controls) {
+    controls.style.display = replayActions ? "flex" : "none";
   }
 
-  // Calculate what the new torso position would be based on limb averages
-  let sumX = 0,
-    sumY = 0,
-    count = 0;
-  for (let limb in climber.limbs) {
-    let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-    if (hold) {
-      sumX += hold.x;
-      sumY += hold.y;
-      count++;
-    }
+  const playButton = document.getElementById("replayPlay");
+  if (playButton) {
+    playButton.textContent = replayPlaying ? "⏸ pause" : "▶ play";
   }
 
-  if (count === 0) {
-    console.log("No limbs connected, cannot relax");
-    return;
+  const links = document.getElementById("replayLinks");
+  if (links) {
+    links.style.display =
+      gameWon && !replayActions && !startedFromPosition ? "block" : "none";
+  }
+  const shareLink = document.getElementById("shareReplay");
+  if (shareLink) {
+    shareLink.textContent = "🔗 Copy replay link";
   }
 
-  let calculatedTorsoX = sumX / count;
-  let calculatedTorsoY = sumY / count;
+  updateHintButton();
+  updatePositionLink();
 
-  // Check if all limbs would still be within reach from calculated position
-  let allLimbsInReach = true;
-  const torsoWidth = 36;
-  const torsoHeight = 74;
-  const inset = 5;
-
-  for (let limb in climber.limbs) {
-    let hold = climber.limbs[/** @type {LimbName} */ (limb)].hold;
-    if (hold) {
-      let limbReach = climber.limbs[/** @type {LimbName} */ (limb)].reach;
-
-      // Calculate attachment point for this limb at the calculated torso position
-      let attachmentX = calculatedTorsoX;
-      let attachmentY = calculatedTorsoY;
-
-      if (limb === "leftArm") {
-        attachmentX = calculatedTorsoX - torsoWidth / 2 + inset;
-        attachmentY = calculatedTorsoY - torsoHeight / 2 + inset;
-      } else if (limb === "rightArm") {
-        attachmentX = calculatedTorsoX + torsoWidth / 2 - inset;
-        attachmentY = calculatedTorsoY - torsoHeight / 2 + inset;
-      } else if (limb === "leftLeg") {
-        attachmentX = calculatedTorsoX - torsoWidth / 2 + inset;
-        attachmentY = calculatedTorsoY + torsoHeight / 2 - inset;
-      } else if (limb === "rightLeg") {
-        attachmentX = calculatedTorsoX + torsoWidth / 2 - inset;
-        attachmentY = calculatedTorsoY + torsoHeight / 2 - inset;
-      }
+  // Player controls are locked while a replay is running
+  updateDynoButton();
+  document.querySelectorAll(".limb-button, .torso-button").forEach((button) => {
+    /** @type {HTMLButtonElement} */ (button).disabled = !!replayActions;
+  });
+}
 
-      let distance = dist(attachmentX, attachmentY, hold.x, hold.y);
-      if (distance > limbReach) {
-        allLimbsInReach = false;
-        console.log(
-          `Limb ${limb} would be out of reach (${distance} > ${limbReach})`
-        );
-        break;
-      }
-    }
+/**
+ * Push the torso to maximum height while keeping all limbs connected
+ */
+function pushTorso() {
+  if (gameWon || isAnimating) return; // Prevent input during animations
+
+  if (!performMove({ type: "push" })) {
+    console.log("Already at maximum height for current holds");
+  }
+}
+
+/**
+ * Strafe the torso to the left while keeping all limbs connected
+ */
+function strafeLeft() {
+  if (gameWon || isAnimating) return; // Prevent input during animations
+
+  if (!performMove({ type: "strafeLeft" })) {
+    console.log("Already at leftmost position for current holds");
   }
+}
 
-  // Only reset push state and update torso if calculated position keeps all limbs in reach
-  if (allLimbsInReach) {
-    // Reset the push state
-    torsoPushed = false;
+/**
+ * Strafe the torso to the right while keeping all limbs connected
+ */
+function strafeRight() {
+  if (gameWon || isAnimating) return; // Prevent input during animations
 
-    // Set target to calculated position and start animation
-    climber.torsoTarget.x = calculatedTorsoX;
-    climber.torsoTarget.y = calculatedTorsoY;
-    isAnimating = true;
+  if (!performMove({ type: "strafeRight" })) {
+    console.log("Already at rightmost position for current holds");
+  }
+}
 
-    // Count this as a move
-    totalMoves++;
+/**
+ * Relax the torso to its natural position based on limb holds
+ * This removes all pushes and strafes, returning to the calculated centroid.
+ * The climber then rests and recovers stamina until the next move; relaxing
+ * an already relaxed torso rests without counting a move.
+ */
+function relaxTorso() {
+  if (gameWon || isAnimating) return; // Prevent input during animations
 
-    console.log("Torso relaxed to natural position");
-  } else {
-    console.log(
-      "Cannot relax - would disconnect limbs. Keeping current torso position."
-    );
+  if (!performMove({ type: "relax" })) {
+    console.log("Cannot relax - limbs would disconnect");
   }
 }
 
@@ -2222,9 +3608,5 @@ function relaxTorso() {
  * @returns {boolean}
  */
 function checkVictoryCondition() {
-  // Both arms must be on the top hold (legs don't count)
-  const leftArmOnTop = climber.limbs.leftArm.hold === topHold;
-  const rightArmOnTop = climber.limbs.rightArm.hold === topHold;
-
-  return leftArmOnTop && rightArmOnTop;
+  return isVictory(holds, climbState);
 }
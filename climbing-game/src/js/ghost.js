@@ -0,0 +1,185 @@
+//@ts-check
+
+/**
+ * Ghost climbers
+ *
+ * A ghost plays a recorded ascent in real time next to the live climber, so
+ * players can race their best climb or one imported from a friend's replay
+ * link. The ghost runs the replay through the rules engine on a climb state
+ * of its own, and its clock starts with its first move, so both climbers set
+ * off together when the player makes their first move.
+ *
+ * Every level keeps the player's fastest send and the last imported replay
+ * in localStorage.
+ */
+
+/**
+ * @typedef {"best" | "imported"} GhostSource
+ */
+
+/**
+ * @typedef {Object} GhostRun
+ * @property {string} replay - The recorded actions, serialized
+ * @property {number} time - Milliseconds from the first move to the top
+ * @property {number} moves
+ */
+
+/**
+ * @typedef {Object} Ghost
+ * @property {ReplayAction[]} actions
+ * @property {number} index - Next action to play
+ * @property {number} firstMoveTime - Time of the first move in the replay, where the ghost's clock starts
+ * @property {ClimbState} state
+ * @property {LimbName} selectedLimb
+ * @property {ClimbState[]} undoStack
+ * @property {ClimbState[]} redoStack
+ * @property {Point} torso - The drawn torso position, eased towards state.torso
+ */
+
+const GHOST_RUNS_STORAGE_KEY = "ghostRuns";
+
+/**
+ * @param {string} levelKey
+ * @returns {Partial<Record<GhostSource, GhostRun>>}
+ */
+function loadGhostRuns(levelKey) {
+  try {
+    const allRuns = JSON.parse(
+      localStorage.getItem(GHOST_RUNS_STORAGE_KEY) || "{}"
+    );
+    return allRuns[levelKey] || {};
+  } catch (error) {
+    console.error("Failed to load ghost runs:", error);
+    return {};
+  }
+}
+
+/**
+ * Keep a run as a ghost of a level. Best runs only replace slower ones.
+ * @param {string} levelKey
+ * @param {GhostSource} source
+ * @param {GhostRun} run
+ * @returns {boolean} Whether the run was kept
+ */
+function saveGhostRun(levelKey, source, run) {
+  /** @type {Record<string, Partial<Record<GhostSource, GhostRun>>>} */
+  let allRuns = {};
+  try {
+    allRuns = JSON.parse(localStorage.getItem(GHOST_RUNS_STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.error("Failed to load ghost runs:", error);
+  }
+
+  const levelRuns = allRuns[levelKey] || {};
+  const previous = levelRuns[source];
+  if (source === "best" && previous && previous.time <= run.time) return false;
+
+  levelRuns[source] = run;
+  allRuns[levelKey] = levelRuns;
+  try {
+    localStorage.setItem(GHOST_RUNS_STORAGE_KEY, JSON.stringify(allRuns));
+    return true;
+  } catch (error) {
+    console.error("Failed to store ghost runs:", error);
+    return false;
+  }
+}
+
+/**
+ * Time of the first action that moves the climber, selecting a limb doesn't
+ * @param {ReplayAction[]} actions
+ * @returns {number}
+ */
+function getFirstMoveTime(actions) {
+  const firstMove = actions.find((action) => action.type !== "select");
+  return firstMove ? firstMove.t : 0;
+}
+
+/**
+ * @param {Hold[]} holds
+ * @param {ReplayAction[]} actions
+ * @returns {Ghost}
+ */
+function createGhost(holds, actions) {
+  const state = createClimbState(holds);
+  return {
+    actions,
+    index: 0,
+    firstMoveTime: getFirstMoveTime(actions),
+    state,
+    selectedLimb: "leftArm",
+    undoStack: [],
+    redoStack: [],
+    torso: { ...state.torso },
+  };
+}
+
+/**
+ * Play one replay action on the ghost's own climb state
+ * @param {Ghost} ghost
+ * @param {Hold[]} holds
+ * @param {ReplayAction} action
+ */
+function applyGhostAction(ghost, holds, action) {
+  const { state } = ghost;
+  const move = getReplayMove(action, ghost.selectedLimb);
+
+  if (move) {
+    const nextState = applyClimbMove(holds, state, move);
+    if (nextState) {
+      ghost.undoStack.push(state);
+      ghost.redoStack = [];
+      ghost.state = nextState;
+    }
+  } else if (action.type === "select" && action.limb) {
+    ghost.selectedLimb = action.limb;
+  } else if (action.type === "undo" && ghost.undoStack.length) {
+    ghost.redoStack.push(state);
+    ghost.state = /** @type {ClimbState} */ (ghost.undoStack.pop());
+  } else if (action.type === "redo" && ghost.redoStack.length) {
+    ghost.undoStack.push(state);
+    ghost.state = /** @type {ClimbState} */ (ghost.redoStack.pop());
+  } else if (action.type === "fall") {
+    ghost.undoStack = [];
+    ghost.redoStack = [];
+    ghost.state = applyFall(holds, state);
+  }
+}
+
+/**
+ * Play every action that is due and ease the drawn torso towards the ghost's position
+ * @param {Ghost} ghost
+ * @param {Hold[]} holds
+ * @param {number} time - Milliseconds since the ghost's first move
+ * @param {number} [easing] - How far the drawn torso moves per call, 1 to jump
+ */
+function advanceGhost(ghost, holds, time, easing = 0.22) {
+  while (
+    ghost.index < ghost.actions.length &&
+    ghost.actions[ghost.index].t - ghost.firstMoveTime <= time
+  ) {
+    applyGhostAction(ghost, holds, ghost.actions[ghost.index]);
+    ghost.index++;
+  }
+
+  ghost.torso.x += (ghost.state.torso.x - ghost.torso.x) * easing;
+  ghost.torso.y += (ghost.state.torso.y - ghost.torso.y) * easing;
+}
+
+/**
+ * Turn a replay into a ghost run if it reaches the top of the level
+ * @param {Hold[]} holds
+ * @param {ReplayAction[]} actions
+ * @returns {GhostRun | null}
+ */
+function createGhostRun(holds, actions) {
+  const ghost = createGhost(holds, actions);
+  advanceGhost(ghost, holds, Infinity, 1);
+  if (!isVictory(holds, ghost.state)) return null;
+
+  return {
+    replay: serializeReplay(actions),
+    time: actions[actions.length - 1].t - ghost.firstMoveTime,
+    moves: ghost.state.moves,
+  };
+}
@@ -0,0 +1,110 @@
+//@ts-check
+
+/**
+ * Difficulty grades
+ *
+ * Levels are graded on the V scale of bouldering, from V0 to V10. A grade
+ * adds up points for what makes a wall hard:
+ *
+ * - the longest forced reach: the biggest gap between holds that every way
+ *   from the starting holds to the top hold has to cross
+ * - how many moves of the solver's way up push or strafe the torso
+ * - how few holds there are per meter of wall
+ * - the fewest moves to the top
+ *
+ * The solver data comes from solveLevel, which takes too long for every level
+ * in the dropdown, so built-in levels keep the grade `npm run solve` worked
+ * out for them in levels.js.
+ */
+
+/**
+ * @typedef {Object} LevelGrade
+ * @property {string} grade - "V0" to "V10"
+ * @property {number} points - Difficulty before rounding to a grade
+ * @property {number} longestReach - Longest forced reach in pixels
+ * @property {number} torsoMoves - Pushes and strafes in the solver's way up
+ * @property {number} holdsPerMeter
+ * @property {number} moves - Fewest moves to the top
+ */
+
+const GRADE_MAX = 10;
+
+// Every measure is scaled to about 0 to 1 for an easy to a hard wall first,
+// then weighted. The weights are tuned so the built-in levels spread from V0
+// to V7 and hard generated walls grade around V6.
+const GRADE_REACH_EASY = 80; // An arm's reach, no gap is longer
+const GRADE_REACH_HARD = 130; // Past a leg's reach, only pushing gets there
+const GRADE_DENSITY_EASY = 6; // Holds per meter of a wall with plenty of options
+const GRADE_DENSITY_SPREAD = 4; // Holds per meter fewer than that for a sparse wall
+const GRADE_MOVES_EASY = 15; // Moves of a short wall, each doubling adds the same
+const GRADE_WEIGHTS = { reach: 2.5, torsoMoves: 10, density: 1.5, moves: 1.2 };
+const GRADE_OFFSET = 2; // Subtracted so the easiest walls grade V0
+
+/** @type {SolverMove["type"][]} */
+const GRADE_TORSO_MOVE_TYPES = ["push", "strafeLeft", "strafeRight"];
+
+/**
+ * The longest forced reach: of all ways from the starting holds to the top
+ * hold, the one whose biggest gap between two holds is smallest
+ * @param {Hold[]} holds
+ * @returns {number} The biggest gap of that way in pixels, Infinity without starting or top holds
+ */
+function getLongestForcedReach(holds) {
+  const line = findEasiestLine(holds);
+  if (!line) return Infinity;
+
+  let longest = 0;
+  for (let i = 1; i < line.length; i++) {
+    longest = Math.max(
+      longest,
+      distanceBetween(holds[line[i - 1]], holds[line[i]])
+    );
+  }
+  return longest;
+}
+
+/**
+ * Grade a level from its holds and its solver result
+ * @param {Hold[]} holds
+ * @param {SolverResult} result
+ * @returns {LevelGrade | null} null unless the solver found a way up
+ */
+function gradeLevel(holds, result) {
+  if (result.status !== "solved" || result.moves === null) return null;
+
+  const longestReach = getLongestForcedReach(holds);
+  const torsoMoves = result.path.filter((move) =>
+    GRADE_TORSO_MOVE_TYPES.includes(move.type)
+  ).length;
+  const ys = holds.map((hold) => hold.y);
+  const meters = Math.max(1, (Math.max(...ys) - Math.min(...ys)) / 100);
+  const holdsPerMeter = holds.length / meters;
+
+  /**
+   * @param {number} value
+   * @returns {number}
+   */
+  const clamp01 = (value) => Math.max(0, Math.min(1, value));
+  const reach = clamp01(
+    (longestReach - GRADE_REACH_EASY) / (GRADE_REACH_HARD - GRADE_REACH_EASY)
+  );
+  const density = clamp01(
+    (GRADE_DENSITY_EASY - holdsPerMeter) / GRADE_DENSITY_SPREAD
+  );
+  const moves = Math.max(0, Math.log2(result.moves / GRADE_MOVES_EASY));
+  const points =
+    GRADE_WEIGHTS.reach * reach +
+    GRADE_WEIGHTS.torsoMoves * (torsoMoves / result.moves) +
+    GRADE_WEIGHTS.density * density +
+    GRADE_WEIGHTS.moves * moves -
+    GRADE_OFFSET;
+
+  return {
+    grade: `V${Math.max(0, Math.min(GRADE_MAX, Math.round(points)))}`,
+    points,
+    longestReach,
+    torsoMoves,
+    holdsPerMeter,
+    moves: result.moves,
+  };
+}
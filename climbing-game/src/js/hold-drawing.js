@@ -0,0 +1,42 @@
+//@ts-check
+
+/**
+ * Hold shapes, shared by the game and the level editor
+ *
+ * Each hold type gets its own silhouette so players can read the wall at a
+ * glance. The shapes use the current p5 fill and stroke, so callers keep
+ * choosing colours for reachable, selected or starting holds.
+ */
+
+/**
+ * Draw a hold at its position
+ * @param {Hold} hold
+ * @param {number} [size] - Diameter of a jug, other shapes scale with it
+ */
+function drawHoldShape(hold, size = 20) {
+  const { x, y } = hold;
+  const type = hold.top ? "jug" : hold.type || "jug";
+
+  if (type === "crimp") {
+    // Thin horizontal edge
+    rect(x - size * 0.6, y - size * 0.2, size * 1.2, size * 0.4, 2);
+  } else if (type === "sloper") {
+    // Round dome with a flat bottom
+    arc(x, y + size * 0.3, size * 1.4, size * 1.2, PI, TWO_PI, CHORD);
+  } else if (type === "pocket") {
+    // Jug-sized hold with a hole in it
+    ellipse(x, y, size, size);
+    push();
+    noStroke();
+    fill(40);
+    ellipse(x, y, size * 0.45, size * 0.45);
+    pop();
+  } else if (type === "pinch") {
+    // Upright fin to squeeze from both sides
+    rect(x - size * 0.22, y - size * 0.6, size * 0.44, size * 1.2, 3);
+  } else if (type === "footChip") {
+    ellipse(x, y, size * 0.5, size * 0.5);
+  } else {
+    ellipse(x, y, size, size);
+  }
+}
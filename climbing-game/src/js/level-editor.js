@@ -11,6 +11,7 @@
  * @property {number} y - Y position of the hold
  * @property {boolean} [top] - Whether this hold is the top hold
  * @property {boolean} [start] - Whether this hold is a starting hold
+ * @property {HoldType} [type] - How the hold can be used, jug when missing
  */
 
 /**
@@ -27,7 +28,9 @@ let scrollBarStartY = 0;
 let scrollBarStartCameraY = 0;
 
 // Editor state
-let editorMode = "add"; // 'add', 'remove', 'move'
+let editorMode = "add"; // 'add', 'remove', 'move', 'type'
+/** @type {HoldType} */
+let selectedHoldType = "jug"; // Type of new holds and of holds clicked in type mode
 /** @type {EditorHold[]} */
 let editorHolds = [];
 let editorWallHeight = 1400; // Start with double game size
@@ -49,6 +52,10 @@ let floorY = 1200; // Initial floor position
 let levelNameInput = null;
 /** @type {HTMLInputElement | null} */
 let authorNameInput = null;
+/** @type {HTMLInputElement | null} */
+let allowHintsInput = null;
+/** @type {HTMLInputElement | null} */
+let staminaInput = null;
 /** @type {HTMLButtonElement | null} */
 let addHoldBtn = null;
 /** @type {HTMLButtonElement | null} */
@@ -58,8 +65,18 @@ let moveHoldBtn = null;
 /** @type {HTMLButtonElement | null} */
 let shareBtn = null;
 /** @type {HTMLButtonElement | null} */
+let qrBtn = null;
+/** @type {HTMLInputElement | null} */
+let packNameInput = null;
+/** @type {HTMLInputElement | null} */
+let packDescriptionInput = null;
+/** @type {HTMLButtonElement | null} */
+let addToPackBtn = null;
+/** @type {HTMLButtonElement | null} */
 let testBtn = null;
 /** @type {HTMLButtonElement | null} */
+let solveBtn = null;
+/** @type {HTMLButtonElement | null} */
 let exportBtn = null;
 /** @type {HTMLButtonElement | null} */
 let importBtn = null;
@@ -67,6 +84,10 @@ let importBtn = null;
 let clearBtn = null;
 /** @type {HTMLButtonElement | null} */
 let placeEndHoldBtn = null;
+/** @type {HTMLButtonElement | null} */
+let typeHoldBtn = null;
+/** @type {HTMLSelectElement | null} */
+let holdTypeSelect = null;
 /** @type {HTMLInputElement | null} */
 let fileInput = null;
 /** @type {HTMLDivElement | null} */
@@ -74,70 +95,24 @@ let statusDiv = null;
 /** @type {HTMLDivElement | null} */
 let holdInfoDiv = null;
 
-// Starting hold validation parameters
-const MAX_ARM_REACH = 80;
-const MAX_LEG_REACH = 120;
-
+const editorSolver = createSolverWorker();
 /**
- * Compress level data for URL sharing
- * @param {any} levelData
- * @returns {string}
+ * The last way up Find Par found, numbered on topos while the holds it was
+ * found for are unchanged
+ * @type {{ holds: string, result: SolverResult, grade: string } | null}
  */
-function compressLevelData(levelData) {
-  // Create a compressed format with shorter property names
-  const compressed = {
-    n: levelData.name || "Custom Level",
-    a: levelData.author || "Anonymous",
-    h: levelData.wallHeight || 1400,
-    d: levelData.holds.map(
-      /** @param {any} hold */ (hold) => [
-        Math.round(hold.x),
-        Math.round(hold.y),
-        hold.top ? 1 : 0,
-      ]
-    ),
-  };
+let lastSolution = null;
 
-  const compressedStr = JSON.stringify(compressed);
-  const originalStr = JSON.stringify(levelData);
-  console.log(
-    `Compression: ${originalStr.length} → ${
-      compressedStr.length
-    } chars (${Math.round(
-      100 - (compressedStr.length / originalStr.length) * 100
-    )}% smaller)`
-  );
+// Some messengers and mail clients cut off or refuse links longer than this
+const SHARE_URL_WARN_LENGTH = 2000;
 
-  return compressedStr;
-}
+// QR codes are drawn about this many pixels wide, plus a light border of
+// QR_CODE_QUIET_ZONE modules that scanners need to find the code
+const QR_CODE_IMAGE_SIZE = 600;
+const QR_CODE_QUIET_ZONE = 4;
 
-/**
- * Decompress level data from URL
- * @param {string} compressedData
- * @returns {any}
- */
-function decompressLevelData(compressedData) {
-  try {
-    const compressed = JSON.parse(compressedData);
-
-    // Convert back to full format
-    return {
-      name: compressed.n || "Custom Level",
-      author: compressed.a || "Anonymous",
-      wallHeight: compressed.h || 1400,
-      holds: compressed.d.map(
-        /** @param {any} holdArray */ (holdArray) => ({
-          x: holdArray[0],
-          y: holdArray[1],
-          top: holdArray[2] === 1,
-        })
-      ),
-    };
-  } catch (error) {
-    console.error("Failed to decompress level data:", error);
-    return null;
-  }
-}
+// The pack being put together, kept across reloads and editor tabs
+const EDITOR_PACK_STORAGE_KEY = "editorLevelPack";
 
 async function setup() {
   // Create canvas with fixed game dimensions and attach it to the gameContainer div
@@ -157,20 +132,11 @@ async function setup() {
 
   if (levelData) {
     try {
-      // Try decompressing first (new format), fallback to old format
-      let decodedData;
-      try {
-        decodedData = decompressLevelData(decodeURIComponent(levelData));
-      } catch (error) {
-        // Fallback to old uncompressed format
-        decodedData = JSON.parse(decodeURIComponent(levelData));
-      }
-
+      const decodedData = parseLevelData(decodeURIComponent(levelData));
       if (decodedData) {
-        loadLevelIntoEditor(decodedData);
-        updateStatus("Level loaded for editing!", "success");
+        loadCheckedLevel(decodedData, "Level loaded for editing!");
       } else {
-        throw new Error("Failed to decompress level data");
+        throw new Error("Failed to read level data");
       }
     } catch (error) {
       console.error("Failed to load level from URL:", error);
@@ -468,7 +434,7 @@ function drawHolds() {
     // Draw hold
     stroke(0);
     strokeWeight(2);
-    ellipse(hold.x, hold.y, 20, 20);
+    drawHoldShape(hold);
 
     // Draw hold number for starting holds
     if (i < 4 && !hold.top) {
@@ -515,42 +481,7 @@ function drawStartingHoldValidation() {
  */
 function validateStartingHolds(startingHolds) {
   if (startingHolds.length < 4) return false;
-
-  // Calculate centroid of starting holds
-  let centerX = 0,
-    centerY = 0;
-  for (let hold of startingHolds) {
-    centerX += hold.x;
-    centerY += hold.y;
-  }
-  centerX /= startingHolds.length;
-  centerY /= startingHolds.length;
-
-  // Check if all starting holds are reachable from the center position
-  // Assume arms reach from shoulder level and legs from hip level
-  let shoulderX = centerX;
-  let shoulderY = centerY - 20; // Shoulder level
-  let hipX = centerX;
-  let hipY = centerY + 20; // Hip level
-
-  // Check arm reaches (first 2 holds should be reachable by arms)
-  for (let i = 0; i < 2; i++) {
-    let distance = dist(
-      shoulderX,
-      shoulderY,
-      startingHolds[i].x,
-      startingHolds[i].y
-    );
-    if (distance > MAX_ARM_REACH) return false;
-  }
-
-  // Check leg reaches (last 2 holds should be reachable by legs)
-  for (let i = 2; i < 4; i++) {
-    let distance = dist(hipX, hipY, startingHolds[i].x, startingHolds[i].y);
-    if (distance > MAX_LEG_REACH) return false;
-  }
-
-  return true;
+  return findUnreachableStartingHolds(startingHolds).length === 0;
 }
 
 function getLowestHoldY() {
@@ -672,6 +603,8 @@ function loadLevelIntoEditor(levelData) {
   if (levelData.author && authorNameInput) {
     authorNameInput.value = levelData.author;
   }
+  if (allowHintsInput) allowHintsInput.checked = levelData.hints !== false;
+  if (staminaInput) staminaInput.checked = !!levelData.stamina;
 
   // Set wall height if provided
   if (levelData.wallHeight) {
@@ -683,6 +616,27 @@ function loadLevelIntoEditor(levelData) {
   updateCamera();
 }
 
+/**
+ * Load a level into the editor if it's valid. Otherwise list its problems
+ * and load what can be loaded of it once the user wants to fix them.
+ * @param {any} levelData
+ * @param {string} successMessage
+ */
+function loadCheckedLevel(levelData, successMessage) {
+  const problems = validateLevel(levelData);
+  if (!problems.length) {
+    loadLevelIntoEditor(levelData);
+    updateStatus(successMessage, "success");
+    return;
+  }
+
+  updateStatus("The level has problems and wasn't loaded.", "error");
+  showLevelProblems("This level has problems", problems, () => {
+    loadLevelIntoEditor(getFixableLevel(levelData));
+    updateStatus("Level loaded - fix its problems before sharing it.", "info");
+  });
+}
+
 function initializeUI() {
   // Get UI elements
   levelNameInput = /** @type {HTMLInputElement} */ (
@@ -691,6 +645,12 @@ function initializeUI() {
   authorNameInput = /** @type {HTMLInputElement} */ (
     document.getElementById("authorName")
   );
+  allowHintsInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("allowHints")
+  );
+  staminaInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("stamina")
+  );
   addHoldBtn = /** @type {HTMLButtonElement} */ (
     document.getElementById("addHoldMode")
   );
@@ -703,12 +663,33 @@ function initializeUI() {
   placeEndHoldBtn = /** @type {HTMLButtonElement} */ (
     document.getElementById("placeEndHold")
   );
+  typeHoldBtn = /** @type {HTMLButtonElement} */ (
+    document.getElementById("typeHoldMode")
+  );
+  holdTypeSelect = /** @type {HTMLSelectElement} */ (
+    document.getElementById("holdType")
+  );
   shareBtn = /** @type {HTMLButtonElement} */ (
     document.getElementById("shareLevel")
   );
+  qrBtn = /** @type {HTMLButtonElement} */ (
+    document.getElementById("showQrCode")
+  );
+  packNameInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("packName")
+  );
+  packDescriptionInput = /** @type {HTMLInputElement} */ (
+    document.getElementById("packDescription")
+  );
+  addToPackBtn = /** @type {HTMLButtonElement} */ (
+    document.getElementById("addToPack")
+  );
   testBtn = /** @type {HTMLButtonElement} */ (
     document.getElementById("testLevel")
   );
+  solveBtn = /** @type {HTMLButtonElement} */ (
+    document.getElementById("solveLevel")
+  );
   exportBtn = /** @type {HTMLButtonElement} */ (
     document.getElementById("exportLevel")
   );
@@ -731,21 +712,55 @@ function initializeUI() {
   editorUI?.addEventListener("click", (e) => e.stopPropagation());
   editorUI?.addEventListener("mousedown", (e) => e.stopPropagation());
   editorUI?.addEventListener("mouseup", (e) => e.stopPropagation());
+  const qrModal = document.getElementById("qrModal");
+  qrModal?.addEventListener("click", (e) => e.stopPropagation());
+  qrModal?.addEventListener("mousedown", (e) => e.stopPropagation());
+  qrModal?.addEventListener("mouseup", (e) => e.stopPropagation());
 
   // Set up event listeners
   addHoldBtn?.addEventListener("click", () => setEditorMode("add"));
   removeHoldBtn?.addEventListener("click", () => setEditorMode("remove"));
   moveHoldBtn?.addEventListener("click", () => setEditorMode("move"));
   placeEndHoldBtn?.addEventListener("click", () => placeEndHold());
+  typeHoldBtn?.addEventListener("click", () => setEditorMode("type"));
   shareBtn?.addEventListener("click", shareLevel);
+  qrBtn?.addEventListener("click", showQrCode);
+  document.getElementById("qrClose")?.addEventListener("click", closeQrCode);
+  document.getElementById("printTopo")?.addEventListener("click", printTopo);
+  addToPackBtn?.addEventListener("click", addToPack);
+  document.getElementById("exportPack")?.addEventListener("click", exportPack);
+  document.getElementById("clearPack")?.addEventListener("click", clearPack);
+  packNameInput?.addEventListener("change", () => {
+    saveEditorPack({ ...loadEditorPack(), name: packNameInput?.value || "" });
+  });
+  packDescriptionInput?.addEventListener("change", () => {
+    saveEditorPack({
+      ...loadEditorPack(),
+      description: packDescriptionInput?.value || "",
+    });
+  });
   testBtn?.addEventListener("click", testLevel);
+  solveBtn?.addEventListener("click", findPar);
   exportBtn?.addEventListener("click", exportLevel);
   importBtn?.addEventListener("click", () => fileInput?.click());
   clearBtn?.addEventListener("click", clearLevel);
   fileInput?.addEventListener("change", importLevel);
 
+  // Offer every hold type, new holds get the selected one
+  for (const type of HOLD_TYPE_NAMES) {
+    const option = document.createElement("option");
+    option.value = type;
+    option.textContent = HOLD_TYPES[type].label;
+    holdTypeSelect?.appendChild(option);
+  }
+  holdTypeSelect?.addEventListener("change", () => {
+    selectedHoldType = /** @type {HoldType} */ (holdTypeSelect?.value);
+    if (editorMode === "type") setEditorMode("type");
+  });
+
   // Set initial mode
   setEditorMode("add");
+  updatePackControls();
 }
 
 /**
@@ -785,6 +800,13 @@ function setEditorMode(mode) {
       "Click and drag holds to move them. Cannot move end hold once placed.",
       "info"
     );
+  } else if (mode === "type") {
+    typeHoldBtn?.classList.add("active");
+    const rules = HOLD_TYPES[selectedHoldType];
+    updateStatus(
+      `Click holds to make them a ${rules.label.toLowerCase()}: ${rules.description.toLowerCase()}.`,
+      "info"
+    );
   }
 }
 
@@ -892,6 +914,8 @@ function mousePressed() {
     removeHold(worldMouseX, worldMouseY);
   } else if (editorMode === "move") {
     selectHold(worldMouseX, worldMouseY);
+  } else if (editorMode === "type") {
+    setHoldType(worldMouseX, worldMouseY);
   }
 }
 
@@ -1084,7 +1108,9 @@ function addHold(x, y) {
   }
 
   // Add the hold
+  /** @type {EditorHold} */
   let newHold = { x: x, y: y };
+  if (selectedHoldType !== "jug") newHold.type = selectedHoldType;
   editorHolds.push(newHold);
 
   updateFloorPosition();
@@ -1161,6 +1187,33 @@ function selectHold(x, y) {
   updateStatus("No hold found at click location.", "error");
 }
 
+/**
+ * Give the hold at a position the selected hold type
+ * @param {number} x
+ * @param {number} y
+ */
+function setHoldType(x, y) {
+  for (let hold of editorHolds) {
+    if (dist(x, y, hold.x, hold.y) < 15) {
+      if (hold.top) {
+        updateStatus("The end hold is always a jug.", "error");
+        return;
+      }
+      if (selectedHoldType === "jug") {
+        delete hold.type;
+      } else {
+        hold.type = selectedHoldType;
+      }
+      updateStatus(
+        `Hold is now a ${HOLD_TYPES[selectedHoldType].label.toLowerCase()}.`,
+        "success"
+      );
+      return;
+    }
+  }
+  updateStatus("No hold found at click location.", "error");
+}
+
 function testLevel() {
   // Check if we have enough holds (excluding end hold)
   let startingHolds = editorHolds.filter((hold) => !hold.top);
@@ -1223,11 +1276,73 @@ function testLevel() {
 
   // Open game with level data in URL
   setTimeout(() => {
-    window.open(`./index.html?level=custom&data=${encodedLevel}`, "_blank");
+    // Marked as a test run, so the game doesn't keep every version in My Levels
+    window.open(
+      `./index.html?level=custom&data=${encodedLevel}&test=1`,
+      "_blank"
+    );
     updateStatus("Level opened in new tab for testing!", "success");
   }, 500);
 }
 
+/**
+ * Run the solver on the level to find its par and grade, or show that it
+ * can't be climbed
+ */
+function findPar() {
+  if (editorHolds.filter((hold) => !hold.top).length < 4) {
+    updateStatus("Need at least 4 starting holds to find the par.", "error");
+    return;
+  }
+  if (!editorHolds.some((hold) => hold.top)) {
+    updateStatus("Need to place an end hold before finding the par.", "error");
+    return;
+  }
+
+  updateStatus("Finding the shortest way to the top...", "info");
+  if (solveBtn) solveBtn.disabled = true;
+
+  // Solve the holds as they are now, edits made while solving need a new run
+  const holds = editorHolds.map((hold) => ({ ...hold }));
+  editorSolver
+    .solve(holds)
+    .then((result) => {
+      const grade = gradeLevel(holds, result);
+      lastSolution =
+        result.status === "solved" && grade
+          ? { holds: JSON.stringify(holds), result, grade: grade.grade }
+          : null;
+      const dynos = result.path.some((move) => move.type === "dyno")
+        ? " with dynos"
+        : "";
+      if (result.status === "impossible") {
+        updateStatus(
+          "This level can't be climbed, not even with dynos - the end hold is out of reach.",
+          "error"
+        );
+      } else if (result.status === "unknown") {
+        updateStatus("Level too big to solve - test it by hand.", "info");
+      } else if (result.optimal) {
+        updateStatus(
+          `Par: ${result.moves} moves${dynos}, grade ${grade?.grade}.`,
+          "success"
+        );
+      } else {
+        updateStatus(
+          `Climbable in ${result.moves} moves${dynos} (maybe fewer), grade ${grade?.grade}.`,
+          "success"
+        );
+      }
+    })
+    .catch((error) => {
+      console.error("Failed to solve level:", error);
+      updateStatus("Failed to run the solver.", "error");
+    })
+    .finally(() => {
+      if (solveBtn) solveBtn.disabled = false;
+    });
+}
+
 function exportLevel() {
   // Check if we have starting holds
   let startingHolds = editorHolds.filter((hold) => !hold.top);
@@ -1281,22 +1396,27 @@ function exportLevel() {
   updateStatus("Level exported successfully!", "success");
 }
 
-function shareLevel() {
+/**
+ * Check that the level is ready to share and get its data
+ * @param {string} action - What the level is shared for, used in the error messages
+ * @returns {any} The level data, or null if the level isn't ready
+ */
+function getShareableLevelData(action) {
   // Check if we have starting holds
   let startingHolds = editorHolds.filter((hold) => !hold.top);
   if (startingHolds.length < 4) {
-    updateStatus("Need at least 4 starting holds to share.", "error");
-    return;
+    updateStatus(`Need at least 4 starting holds to ${action}.`, "error");
+    return null;
   }
 
   // Check if end hold is placed by looking for actual hold with top property
   let endHold = editorHolds.find((hold) => hold.top);
   if (!endHold) {
     updateStatus(
-      "Need to place an end hold before sharing. Click 'Place End Hold' button.",
+      `Need to place an end hold before you ${action}. Click 'Place End Hold' button.`,
       "error"
     );
-    return;
+    return null;
   }
 
   // Verify the end hold is the topmost hold
@@ -1307,7 +1427,7 @@ function shareLevel() {
       "End hold must be at least 20px above all other holds.",
       "error"
     );
-    return;
+    return null;
   }
 
   // Validate starting holds positioning
@@ -1317,22 +1437,53 @@ function shareLevel() {
       "Starting holds are invalid - they're too far apart. Fix positioning first.",
       "error"
     );
-    return;
+    return null;
   }
 
-  let levelData = createLevelData();
+  return createLevelData();
+}
+
+/**
+ * Check that the level is ready to share and build its link
+ * @param {string} action - What the link is for, used in the error messages
+ * @returns {string | null} The link, or null if the level isn't ready
+ */
+function getShareUrl(action) {
+  const levelData = getShareableLevelData(action);
+  if (!levelData) return null;
+
   let compressedLevel = compressLevelData(levelData);
   let encodedLevel = encodeURIComponent(compressedLevel);
-  let shareUrl = `${window.location.origin}${window.location.pathname.replace(
+  return `${window.location.origin}${window.location.pathname.replace(
     "level-editor.html",
     "index.html"
   )}?level=custom&data=${encodedLevel}`;
+}
+
+function shareLevel() {
+  const shareUrl = getShareUrl("share");
+  if (!shareUrl) return;
+
+  /**
+   * @param {string} message
+   */
+  const reportShared = (message) => {
+    const withLength = `${message} (${shareUrl.length} characters)`;
+    if (shareUrl.length > SHARE_URL_WARN_LENGTH) {
+      updateStatus(
+        `${withLength} Links this long may get cut off in messengers, export the level as a file to be safe.`,
+        "warning"
+      );
+    } else {
+      updateStatus(withLength, "success");
+    }
+  };
 
   // Copy to clipboard
   navigator.clipboard
     .writeText(shareUrl)
     .then(() => {
-      updateStatus("Shareable URL copied to clipboard!", "success");
+      reportShared("Shareable URL copied to clipboard!");
     })
     .catch(() => {
       // Fallback: show the URL in a prompt for manual copying
@@ -1340,10 +1491,276 @@ function shareLevel() {
         "Share this URL with others to let them play your level:",
         shareUrl
       );
-      updateStatus("Shareable URL generated!", "success");
+      reportShared("Shareable URL generated!");
     });
 }
 
+/**
+ * Show the level's share link as a QR code, so it can be opened on a phone
+ * at the wall, and offer the code as a PNG download
+ */
+function showQrCode() {
+  const shareUrl = getShareUrl("make a QR code");
+  if (!shareUrl) return;
+
+  let qrCode;
+  try {
+    qrCode = createQrCode(shareUrl);
+  } catch (error) {
+    console.error("Failed to create QR code:", error);
+    updateStatus(
+      "The level is too big for a QR code, export it as a file instead.",
+      "error"
+    );
+    return;
+  }
+
+  const canvas = /** @type {HTMLCanvasElement | null} */ (
+    document.getElementById("qrCanvas")
+  );
+  const context = canvas?.getContext("2d");
+  if (!canvas || !context) return;
+
+  // Draw at full resolution for the download, CSS scales it down on screen
+  const sizeWithQuietZone = qrCode.size + 2 * QR_CODE_QUIET_ZONE;
+  const moduleSize = Math.max(
+    1,
+    Math.floor(QR_CODE_IMAGE_SIZE / sizeWithQuietZone)
+  );
+  canvas.width = canvas.height = sizeWithQuietZone * moduleSize;
+  context.fillStyle = "white";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = "black";
+  for (const [y, row] of qrCode.modules.entries()) {
+    for (const [x, dark] of row.entries()) {
+      if (!dark) continue;
+      context.fillRect(
+        (x + QR_CODE_QUIET_ZONE) * moduleSize,
+        (y + QR_CODE_QUIET_ZONE) * moduleSize,
+        moduleSize,
+        moduleSize
+      );
+    }
+  }
+
+  const levelName = levelNameInput?.value.trim() || "Custom Level";
+  const title = document.getElementById("qrTitle");
+  if (title) title.textContent = levelName;
+  const info = document.getElementById("qrInfo");
+  if (info) {
+    info.textContent = `Version ${qrCode.version}, error correction ${qrCode.errorCorrection}, ${shareUrl.length} characters`;
+  }
+  const download = /** @type {HTMLAnchorElement | null} */ (
+    document.getElementById("qrDownload")
+  );
+  if (download) {
+    download.href = canvas.toDataURL("image/png");
+    download.download = `${levelName
+      .replace(/\s+/g, "_")
+      .toLowerCase()}_qr.png`;
+  }
+
+  const modal = document.getElementById("qrModal");
+  if (modal) modal.style.display = "flex";
+  updateStatus("Scan the QR code to open the level on a phone.", "success");
+}
+
+function closeQrCode() {
+  const modal = document.getElementById("qrModal");
+  if (modal) modal.style.display = "none";
+}
+
+/**
+ * Download the level as an SVG topo to print for the wall. The way up from
+ * Find Par is numbered on it if the holds haven't changed since.
+ */
+function printTopo() {
+  const levelData = getShareableLevelData("print a topo");
+  if (!levelData) return;
+
+  const solution =
+    lastSolution?.holds === JSON.stringify(editorHolds) ? lastSolution : null;
+  downloadLevelTopo(levelData, {
+    grade: solution?.grade,
+    solution: solution?.result.path,
+  });
+  updateStatus(
+    solution
+      ? `Topo downloaded with the ${solution.result.moves} moves of the way up!`
+      : "Topo downloaded! Run Find Par first to number the way up on it.",
+    "success"
+  );
+}
+
+/**
+ * @typedef {Object} EditorPack
+ * @property {string} name
+ * @property {string} description
+ * @property {any[]} levels
+ */
+
+/**
+ * @returns {EditorPack} The pack being put together
+ */
+function loadEditorPack() {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(EDITOR_PACK_STORAGE_KEY) || "null"
+    );
+    // Packs kept by older versions of the editor have no description
+    if (stored && Array.isArray(stored.levels)) {
+      return { description: "", ...stored };
+    }
+  } catch (error) {
+    console.error("Failed to load the level pack:", error);
+  }
+  return { name: "", description: "", levels: [] };
+}
+
+/**
+ * @param {EditorPack} pack
+ */
+function saveEditorPack(pack) {
+  try {
+    localStorage.setItem(EDITOR_PACK_STORAGE_KEY, JSON.stringify(pack));
+  } catch (error) {
+    console.error("Failed to store the level pack:", error);
+    updateStatus("The level pack is too big to keep.", "error");
+  }
+  updatePackControls();
+}
+
+/**
+ * Show the pack's name, description and how many levels it has
+ */
+function updatePackControls() {
+  const pack = loadEditorPack();
+  if (packNameInput && document.activeElement !== packNameInput) {
+    packNameInput.value = pack.name;
+  }
+  if (packDescriptionInput && document.activeElement !== packDescriptionInput) {
+    packDescriptionInput.value = pack.description;
+  }
+  if (addToPackBtn) {
+    addToPackBtn.textContent = `Add to Pack (${pack.levels.length})`;
+  }
+}
+
+/**
+ * Add the level to the pack, or update the level with the same holds in it.
+ * Levels in a pack need different names to tell them apart in the game.
+ */
+function addToPack() {
+  const levelData = getShareableLevelData("add it to a pack");
+  if (!levelData) return;
+
+  const pack = loadEditorPack();
+  const key = getCustomLevelKey(levelData);
+  const index = pack.levels.findIndex(
+    (level) => getCustomLevelKey(level) === key
+  );
+  const sameName = pack.levels.some(
+    (level, i) => i !== index && level.name === levelData.name
+  );
+  if (sameName) {
+    updateStatus(
+      `The pack already has a level named "${levelData.name}". Give this level another name to add it.`,
+      "error"
+    );
+    return;
+  }
+  if (index === -1) pack.levels.push(levelData);
+  else pack.levels[index] = levelData;
+  saveEditorPack(pack);
+
+  updateStatus(
+    `${index === -1 ? "Added" : "Updated"} "${levelData.name}" ${
+      index === -1 ? "to" : "in"
+    } the pack, it has ${pack.levels.length} level${
+      pack.levels.length === 1 ? "" : "s"
+    }.`,
+    "success"
+  );
+}
+
+function exportPack() {
+  const { name, description, levels } = loadEditorPack();
+  if (!levels.length) {
+    updateStatus("Add levels to the pack before exporting it.", "error");
+    return;
+  }
+
+  const pack = createLevelPack(
+    {
+      name: packNameInput?.value.trim() || name || "Level Pack",
+      author: authorNameInput?.value.trim() || "Anonymous",
+      description: packDescriptionInput?.value.trim() || description,
+    },
+    levels
+  );
+  let dataBlob = new Blob([JSON.stringify(pack, null, 2)], {
+    type: "application/json",
+  });
+
+  let link = document.createElement("a");
+  link.href = URL.createObjectURL(dataBlob);
+  link.download = `${pack.id}.json`;
+  link.click();
+
+  updateStatus(
+    `Level pack exported with ${levels.length} levels! Import it in the game with "📦 Import levels".`,
+    "success"
+  );
+}
+
+function clearPack() {
+  if (
+    confirm(
+      "Start a new level pack? The levels in the current pack are removed."
+    )
+  ) {
+    saveEditorPack({ name: "", description: "", levels: [] });
+    updateStatus("Started a new level pack.", "info");
+  }
+}
+
+/**
+ * Make an imported pack the pack being put together and open its first level
+ * @param {any} packData
+ */
+function importPack(packData) {
+  const { pack, problems } = readLevelPack(packData);
+  if (!pack) {
+    updateStatus("The level pack has problems and wasn't loaded.", "error");
+    showLevelProblems("This level pack can't be loaded", problems, null);
+    return;
+  }
+  if (
+    loadEditorPack().levels.length &&
+    !confirm("Replace the level pack you're putting together?")
+  ) {
+    return;
+  }
+
+  saveEditorPack({
+    name: pack.name,
+    description: pack.description,
+    levels: pack.levels,
+  });
+  loadLevelIntoEditor(pack.levels[0]);
+  updateStatus(
+    `Level pack "${pack.name}" imported with ${pack.levels.length} levels, showing the first.`,
+    "success"
+  );
+  if (problems.length) {
+    showLevelProblems(
+      `"${pack.name}" was imported with problems`,
+      problems,
+      null
+    );
+  }
+}
+
 function importLevel() {
   let file = fileInput?.files?.[0];
   if (!file) return;
@@ -1356,29 +1773,21 @@ function importLevel() {
         throw new Error("Could not read file");
       }
 
-      let levelData = JSON.parse(result);
-
-      // Validate level data structure
-      if (!levelData.holds || !Array.isArray(levelData.holds)) {
-        throw new Error("Invalid level format - missing holds array");
-      }
-
-      // Clear current level and load new one
-      editorHolds = [...levelData.holds];
-
-      // Check if end hold exists
-      hasEndHold = editorHolds.some((hold) => hold.top);
-
-      // Update UI
-      if (levelData.name && levelNameInput) {
-        levelNameInput.value = levelData.name;
+      // Level packs are JSON too, but not levels
+      let packData = null;
+      try {
+        packData = JSON.parse(result);
+      } catch (error) {
+        // Not JSON, parseLevelData reports it
       }
-      if (levelData.author && authorNameInput) {
-        authorNameInput.value = levelData.author;
+      if (isLevelPackData(packData)) {
+        importPack(packData);
+        return;
       }
 
-      updateWallHeight();
-      updateStatus("Level imported successfully!", "success");
+      const levelData = parseLevelData(result);
+      if (!levelData) throw new Error("The file isn't a level");
+      loadCheckedLevel(levelData, "Level imported successfully!");
     } catch (error) {
       let errorMessage =
         error instanceof Error ? error.message : "Unknown error occurred";
@@ -1406,6 +1815,8 @@ function clearLevel() {
     // Clear input fields
     if (levelNameInput) levelNameInput.value = "Custom Level";
     if (authorNameInput) authorNameInput.value = "";
+    if (allowHintsInput) allowHintsInput.checked = true;
+    if (staminaInput) staminaInput.checked = false;
 
     updateWallHeight();
     updateFloorPosition();
@@ -1428,9 +1839,12 @@ function createLevelData() {
   );
 
   return {
+    version: LEVEL_FORMAT_VERSION,
     name: levelName,
     author: authorName,
     wallHeight: editorWallHeight,
+    hints: allowHintsInput ? allowHintsInput.checked : true,
+    stamina: staminaInput ? staminaInput.checked : false,
     holds: editorHolds.map((hold) => ({ ...hold })), // Deep copy holds
   };
 }
@@ -1450,8 +1864,13 @@ function keyPressed() {
   else if (key === "2") setEditorMode("remove");
   else if (key === "3") setEditorMode("move");
   else if (key === "4") placeEndHold();
+  else if (key === "5") setEditorMode("type");
   else if (key === "t" || key === "T") testLevel();
+  else if (key === "p" || key === "P") findPar();
   else if (key === "s" || key === "S") shareLevel();
+  else if (key === "q" || key === "Q") showQrCode();
+  else if (key === "o" || key === "O") printTopo();
+  else if (keyCode === ESCAPE) closeQrCode();
   else if (key === "e" || key === "E") exportLevel();
   else if (key === "c" || key === "C") clearLevel();
   else if (keyCode === UP_ARROW || key === "w" || key === "W") {
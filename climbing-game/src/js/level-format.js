@@ -0,0 +1,340 @@
+//@ts-check
+
+/**
+ * Level format
+ *
+ * Levels are saved as JSON files and shared in links in a compact binary
+ * form, written as base64url. All numbers in it are variable-length integers
+ * (7 bits per byte, the high bit set on all but the last byte), signed ones
+ * zigzag encoded, and texts are UTF-8 with their length in bytes first:
+ *
+ *   version, flags (1: hints off, 2: stamina on), name, author, wallHeight,
+ *   hold count, index of the top hold + 1 (0 without one),
+ *   x and y of every hold (signed, the difference to the previous hold),
+ *   typed hold count, then for every hold that isn't a jug: the difference
+ *   of its index to the previous typed hold and its type's index in HOLD_TYPES
+ *
+ * Older links hold JSON instead, either the level itself or a form with short
+ * keys:
+ *
+ *   { "v": 2, "n": name, "a": author, "h": wallHeight,
+ *     "d": [[x, y, top (0/1), type index in HOLD_TYPES (omitted for jugs)]],
+ *     "nh": 1 when hints are off, "st": 1 when stamina is on }
+ *
+ * Every level carries the version of the format it was saved in, `version`
+ * in files and first in links. Levels from before versions count as version
+ * 1. parseLevelData reads every form and runs the level through
+ * LEVEL_MIGRATIONS up to LEVEL_FORMAT_VERSION, so old files and links keep
+ * working. To change the format, bump the version and add a migration from
+ * the previous one.
+ *
+ * The height in meters the dropdown, topos and the level tool show for a
+ * level is worked out here as well, see getClimbingHeight.
+ *
+ * Needs climbing-engine.js for the hold types.
+ */
+
+const LEVEL_FORMAT_VERSION = 2;
+
+/**
+ * Upgrade a version 1 level. Version 1 had no version field, levels could
+ * lack a name, author or wall height, and links marked every hold but the top
+ * hold with `top: false`.
+ * @param {any} level
+ * @returns {any}
+ */
+function migrateLevelFromV1(level) {
+  return {
+    ...level,
+    version: 2,
+    name: level.name || "Custom Level",
+    author: level.author || "Anonymous",
+    wallHeight: level.wallHeight || 3000,
+    holds: Array.isArray(level.holds)
+      ? level.holds.map((/** @type {any} */ hold) => {
+          if (!hold || hold.top !== false) return hold;
+          const upgraded = { ...hold };
+          delete upgraded.top;
+          return upgraded;
+        })
+      : level.holds,
+  };
+}
+
+/**
+ * Migrations by the version they upgrade from: LEVEL_MIGRATIONS[version]
+ * turns a level of that version into one of the next
+ * @type {Record<number, (level: any) => any>}
+ */
+const LEVEL_MIGRATIONS = {
+  1: migrateLevelFromV1,
+};
+
+/**
+ * Upgrade a level to the current format. Levels from a newer version of the
+ * game are left as they are, the level validator reports them.
+ * @param {any} levelData
+ * @returns {any}
+ */
+function migrateLevel(levelData) {
+  if (!levelData || typeof levelData !== "object") return levelData;
+
+  let level = levelData;
+  let version = level.version ?? 1;
+  while (version < LEVEL_FORMAT_VERSION && LEVEL_MIGRATIONS[version]) {
+    level = LEVEL_MIGRATIONS[version](level);
+    version = level.version;
+  }
+  return level;
+}
+
+const LEVEL_FLAG_NO_HINTS = 1;
+const LEVEL_FLAG_STAMINA = 2;
+
+/**
+ * @param {number[]} bytes
+ * @param {number} value - A whole number, 0 or more
+ */
+function writeVarint(bytes, value) {
+  while (value >= 0x80) {
+    bytes.push(value % 0x80 | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+}
+
+/**
+ * @param {number[]} bytes
+ * @param {number} value - A whole number
+ */
+function writeSignedVarint(bytes, value) {
+  writeVarint(bytes, value < 0 ? -2 * value - 1 : 2 * value);
+}
+
+/**
+ * @param {number[]} bytes
+ * @param {string} text
+ */
+function writeText(bytes, text) {
+  const encoded = new TextEncoder().encode(text);
+  writeVarint(bytes, encoded.length);
+  bytes.push(...encoded);
+}
+
+/**
+ * Read the numbers and texts of a binary level one after another
+ * @param {Uint8Array} bytes
+ */
+function createByteReader(bytes) {
+  let position = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let factor = 1;
+    for (;;) {
+      if (position >= bytes.length) throw new Error("Level data is cut off");
+      const byte = bytes[position++];
+      value += (byte & 0x7f) * factor;
+      if (byte < 0x80) return value;
+      factor *= 0x80;
+    }
+  };
+
+  return {
+    readVarint,
+    readSignedVarint: () => {
+      const value = readVarint();
+      return value % 2 ? -(value + 1) / 2 : value / 2;
+    },
+    readText: () => {
+      const length = readVarint();
+      if (position + length > bytes.length) {
+        throw new Error("Level data is cut off");
+      }
+      const text = new TextDecoder().decode(
+        bytes.subarray(position, position + length)
+      );
+      position += length;
+      return text;
+    },
+  };
+}
+
+/**
+ * Encode level data for share links. Holds of a type the game doesn't know
+ * are encoded as jugs, the way the game loads them.
+ * @param {any} levelData
+ * @returns {string} Base64url text
+ */
+function compressLevelData(levelData) {
+  /** @type {number[]} */
+  const bytes = [];
+  writeVarint(bytes, LEVEL_FORMAT_VERSION);
+  writeVarint(
+    bytes,
+    (levelData.hints === false ? LEVEL_FLAG_NO_HINTS : 0) |
+      (levelData.stamina ? LEVEL_FLAG_STAMINA : 0)
+  );
+  writeText(bytes, levelData.name || "Custom Level");
+  writeText(bytes, levelData.author || "Anonymous");
+  writeVarint(bytes, Math.round(levelData.wallHeight || 1400));
+
+  /** @type {any[]} */
+  const holds = levelData.holds;
+  writeVarint(bytes, holds.length);
+  writeVarint(bytes, holds.findIndex((hold) => hold.top) + 1);
+  let previous = { x: 0, y: 0 };
+  for (const hold of holds) {
+    const x = Math.round(hold.x);
+    const y = Math.round(hold.y);
+    writeSignedVarint(bytes, x - previous.x);
+    writeSignedVarint(bytes, y - previous.y);
+    previous = { x, y };
+  }
+
+  // Only typed holds store their type
+  const typed = holds.flatMap((hold, index) =>
+    isHoldType(hold.type) && hold.type !== "jug" ? [index] : []
+  );
+  writeVarint(bytes, typed.length);
+  let previousIndex = 0;
+  for (const index of typed) {
+    writeVarint(bytes, index - previousIndex);
+    writeVarint(bytes, HOLD_TYPE_NAMES.indexOf(holds[index].type));
+    previousIndex = index;
+  }
+
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decode a level from a share link, in the version it was encoded in
+ * @param {string} text - Base64url text from compressLevelData
+ * @returns {any}
+ */
+function decompressLevelData(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const reader = createByteReader(
+    Uint8Array.from(binary, (char) => char.charCodeAt(0))
+  );
+
+  const version = reader.readVarint();
+  const flags = reader.readVarint();
+  const name = reader.readText();
+  const author = reader.readText();
+  const wallHeight = reader.readVarint();
+
+  const holdCount = reader.readVarint();
+  const topIndex = reader.readVarint() - 1;
+  /** @type {any[]} */
+  const holds = [];
+  let previous = { x: 0, y: 0 };
+  for (let i = 0; i < holdCount; i++) {
+    const x = previous.x + reader.readSignedVarint();
+    const y = previous.y + reader.readSignedVarint();
+    holds.push(i === topIndex ? { x, y, top: true } : { x, y });
+    previous = { x, y };
+  }
+
+  const typedCount = reader.readVarint();
+  let index = 0;
+  for (let i = 0; i < typedCount; i++) {
+    index += reader.readVarint();
+    const type = HOLD_TYPE_NAMES[reader.readVarint()];
+    if (holds[index] && type) holds[index].type = type;
+  }
+
+  return {
+    version,
+    name,
+    author,
+    wallHeight,
+    hints: !(flags & LEVEL_FLAG_NO_HINTS),
+    stamina: !!(flags & LEVEL_FLAG_STAMINA),
+    holds,
+  };
+}
+
+/**
+ * Turn the JSON form with short keys that links used before the binary one
+ * back into level JSON
+ * @param {any} compressed
+ * @returns {any}
+ */
+function expandShortKeyLevel(compressed) {
+  return {
+    version: compressed.v ?? 1,
+    name: compressed.n,
+    author: compressed.a,
+    wallHeight: compressed.h || 1400,
+    hints: compressed.nh !== 1,
+    stamina: compressed.st === 1,
+    holds: compressed.d.map(
+      /** @param {any} holdArray */ (holdArray) =>
+        Array.isArray(holdArray)
+          ? {
+              x: holdArray[0],
+              y: holdArray[1],
+              ...(holdArray[2] === 1 ? { top: true } : {}),
+              ...(holdArray[3] ? { type: HOLD_TYPE_NAMES[holdArray[3]] } : {}),
+            }
+          : holdArray
+    ),
+  };
+}
+
+/**
+ * Read a level from a link, a file or storage, in any of its forms, and
+ * upgrade it to the current format
+ * @param {string} text
+ * @returns {any} The level, or null if the text can't be read
+ */
+function parseLevelData(text) {
+  let parsed;
+  try {
+    // JSON starts with a brace, which base64url doesn't have
+    if (!text.trim().startsWith("{")) {
+      return migrateLevel(decompressLevelData(text.trim()));
+    }
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Only the message, a typo in a link or file isn't worth a stack trace
+    console.error(
+      "Failed to parse level data:",
+      error instanceof Error ? error.message : error
+    );
+    return null;
+  }
+
+  const isShortKeyForm =
+    parsed && typeof parsed === "object" && Array.isArray(parsed.d);
+  return migrateLevel(isShortKeyForm ? expandShortKeyLevel(parsed) : parsed);
+}
+
+/**
+ * How high the climber gets on a level, as the dropdown and topos show it
+ * @param {{ holds?: Point[], wallHeight: number }} level
+ * @returns {number} Meters, to one decimal
+ */
+function getClimbingHeight(level) {
+  // Calculate actual climbing height based on hold positions
+  let climbingHeight = 0;
+  const torsoHeightCompensation = 115;
+  if (level.holds && level.holds.length > 0) {
+    // Find the bottommost hold (highest Y value)
+    let bottomY = Math.max(...level.holds.map((hold) => hold.y));
+    // Find the topmost hold (lowest Y value)
+    let topY = Math.min(...level.holds.map((hold) => hold.y));
+    // Calculate the actual climbing distance
+    climbingHeight = (bottomY - topY - torsoHeightCompensation) / 10; // Convert pixels to meters (10px = 1m)
+  } else {
+    // Fallback to old calculation for levels without holds
+    climbingHeight = (level.wallHeight - 650) / 10;
+  }
+  return Math.round(climbingHeight) / 10;
+}
@@ -0,0 +1,405 @@
+//@ts-check
+
+/**
+ * Level generator
+ *
+ * Builds random walls for the "Challenge" and "Daily Challenge" levels. All
+ * randomness comes from a PRNG seeded with a string, so a seed always gives
+ * the same wall and can be shared in a link (`?level=generated&seed=...`).
+ * The daily challenge uses the UTC date as its seed, so everyone climbs the
+ * same wall on the same day.
+ *
+ * The shape of the wall is set by GeneratorOptions, with presets for easy,
+ * medium and hard walls. The daily challenge always uses the medium preset.
+ *
+ * Placing holds only looks at distances, so a wall can still turn out
+ * impossible under the real move rules. generateClimbableLevel checks every
+ * wall with the solver. When no way up turns up, it adds holds along the
+ * easiest line, closer and closer together, and only then tries again with a
+ * derived seed. It needs solver.js and takes a few seconds, so the game runs
+ * it in the solver worker.
+ */
+
+/**
+ * @typedef {Object} GeneratorOptions
+ * @property {number} wallHeight - Height of the wall in pixels, 100px is 1 m
+ * @property {number} holdsPerLayer - Hold density: holds placed in every 80px band of the wall
+ * @property {number} spread - Share of the wall width holds are spread over, from 0.3 to 1
+ * @property {number} maxGap - Farthest a new hold may be from its closest neighbour, in pixels
+ */
+
+/** @typedef {"easy" | "medium" | "hard"} GeneratorPreset */
+
+/** @type {Record<GeneratorPreset, GeneratorOptions>} */
+const GENERATOR_PRESETS = {
+  easy: { wallHeight: 2000, holdsPerLayer: 5, spread: 0.6, maxGap: 120 },
+  medium: { wallHeight: 3000, holdsPerLayer: 4, spread: 1, maxGap: 168 },
+  hard: { wallHeight: 4000, holdsPerLayer: 3, spread: 1, maxGap: 190 },
+};
+
+const GENERATOR_MAX_ATTEMPTS = 10;
+// Farthest apart the holds added along the easiest line are, tried in order
+const GENERATOR_REPAIR_GAPS = [70, 50, 35];
+
+/**
+ * @typedef {Object} GeneratedWall
+ * @property {Hold[]} holds
+ * @property {SolverResult} wayUp - A way to the top found by the check, not necessarily the shortest
+ * @property {number} attempts - Walls generated until one could be climbed
+ * @property {number} addedHolds - Holds added to make the wall climbable
+ */
+
+/**
+ * Allowed range of every option, for the options panel and for links
+ * @type {Record<keyof GeneratorOptions, { min: number, max: number }>}
+ */
+const GENERATOR_OPTION_LIMITS = {
+  wallHeight: { min: 1200, max: 6000 },
+  holdsPerLayer: { min: 2, max: 6 },
+  spread: { min: 0.3, max: 1 },
+  maxGap: { min: 80, max: 220 },
+};
+
+/**
+ * Keep options within their limits, e.g. after reading them from a link
+ * @param {Partial<GeneratorOptions>} options - Missing or invalid options fall back to the medium preset
+ * @returns {GeneratorOptions}
+ */
+function normalizeGeneratorOptions(options) {
+  const normalized = { ...GENERATOR_PRESETS.medium };
+  for (const name of /** @type {(keyof GeneratorOptions)[]} */ (
+    Object.keys(GENERATOR_OPTION_LIMITS)
+  )) {
+    const value = Number(options[name]);
+    if (options[name] === undefined || isNaN(value)) continue;
+
+    const { min, max } = GENERATOR_OPTION_LIMITS[name];
+    normalized[name] = Math.min(max, Math.max(min, value));
+  }
+  normalized.holdsPerLayer = Math.round(normalized.holdsPerLayer);
+  normalized.spread = Math.round(normalized.spread * 100) / 100;
+  return normalized;
+}
+
+/**
+ * The preset the options match, if any
+ * @param {GeneratorOptions} options
+ * @returns {GeneratorPreset | null}
+ */
+function getGeneratorPreset(options) {
+  for (const [preset, presetOptions] of Object.entries(GENERATOR_PRESETS)) {
+    if (
+      presetOptions.wallHeight === options.wallHeight &&
+      presetOptions.holdsPerLayer === options.holdsPerLayer &&
+      presetOptions.spread === options.spread &&
+      presetOptions.maxGap === options.maxGap
+    ) {
+      return /** @type {GeneratorPreset} */ (preset);
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn a seed string into a 32-bit number
+ * @param {string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  // FNV-1a
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a random number generator that gives the same numbers for the same seed
+ * @param {string} seed
+ * @returns {() => number} Returns numbers from 0 (inclusive) to 1 (exclusive), like Math.random
+ */
+function createSeededRandom(seed) {
+  // Mulberry32
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A new seed for a fresh random wall, short enough to read out
+ * @returns {string}
+ */
+function createRandomSeed() {
+  return Math.floor(Math.random() * 36 ** 6)
+    .toString(36)
+    .padStart(6, "0");
+}
+
+/**
+ * The seed of the daily challenge
+ * @param {Date} [date]
+ * @returns {string} The UTC date as YYYY-MM-DD
+ */
+function getDailySeed(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Generate the holds of a wall
+ * @param {string} seed - The same seed always gives the same wall
+ * @param {GeneratorOptions} [options]
+ * @returns {Hold[]}
+ */
+function generateLevel(seed, options = GENERATOR_PRESETS.medium) {
+  const random = createSeededRandom(seed);
+  /** @type {Hold[]} */
+  let h = [];
+  const holdSize = 20; // Size of each hold
+  const minDistance = holdSize * 1.5; // Minimum distance between holds (1.5x hold size)
+  const wallWidth = 400;
+  const { wallHeight, holdsPerLayer, spread, maxGap } = options;
+
+  // Starting holds - manually placed to ensure good starting position,
+  // 550 to 670px above the bottom of the wall to leave room for the floor
+  h.push({ x: 150, y: wallHeight - 670 }); // left arm
+  h.push({ x: 240, y: wallHeight - 650 }); // right arm
+  h.push({ x: 130, y: wallHeight - 580 }); // left leg
+  h.push({ x: 200, y: wallHeight - 550 }); // right leg
+
+  // Function to check if a new hold position is valid
+  /**
+   * @param {number} newX
+   * @param {number} newY
+   * @param {Hold[]} existingHolds
+   * @returns {boolean}
+   */
+  function isValidPosition(newX, newY, existingHolds) {
+    // Check boundaries
+    if (newX < holdSize || newX > wallWidth - holdSize) return false;
+    if (newY < holdSize || newY > wallHeight - holdSize) return false;
+
+    // Check distance from existing holds
+    for (let existingHold of existingHolds) {
+      let distance = Math.sqrt(
+        (newX - existingHold.x) ** 2 + (newY - existingHold.y) ** 2
+      );
+      if (distance < minDistance) return false;
+    }
+
+    return true;
+  }
+
+  // Function to check if a hold is climbable (reachable from nearby holds)
+  /**
+   * @param {number} newX
+   * @param {number} newY
+   * @param {Hold[]} existingHolds
+   * @returns {boolean}
+   */
+  function isClimbable(newX, newY, existingHolds) {
+    if (existingHolds.length === 0) return true;
+
+    // Use the same reach values as the actual climber
+    const armReach = LIMB_REACH.leftArm;
+    const legReach = LIMB_REACH.leftLeg;
+    const maxReach = Math.max(armReach, legReach);
+
+    // Simple but effective approach: ensure the new hold is reachable from existing holds
+    // and that there are enough support holds nearby
+
+    let reachableSupports = 0;
+    let closestDistance = Infinity;
+
+    for (let hold of existingHolds) {
+      const distance = Math.sqrt((newX - hold.x) ** 2 + (newY - hold.y) ** 2);
+
+      if (distance < closestDistance) {
+        closestDistance = distance;
+      }
+
+      // Count holds that are within reasonable reach
+      if (distance <= maxReach * 1.2) {
+        // Allow for 20% stretch
+        reachableSupports++;
+      }
+    }
+
+    // A hold is climbable if:
+    // 1. The closest existing hold is within maximum stretch reach
+    // 2. There are at least 2 holds nearby for support (or 1 if very close)
+    const withinReach = closestDistance <= maxGap;
+    const hasSupport =
+      reachableSupports >= 2 ||
+      (reachableSupports >= 1 && closestDistance <= maxReach * 0.8);
+
+    return withinReach && hasSupport;
+  }
+
+  // Generate holds layer by layer from bottom to top
+  const layerHeight = 80; // Reduced layer height for more layers (was 100)
+  const scrollbarAreaWidth = 30; // Area to avoid on the right side for scrollbar
+  const availableWidth = wallWidth - scrollbarAreaWidth - 2 * holdSize; // Define outside the loop
+  // Keep holds within the middle part of the wall for a narrow spread
+  const spreadWidth = availableWidth * spread;
+  const spreadLeft = holdSize + (availableWidth - spreadWidth) / 2;
+
+  for (
+    let layer = 0;
+    layer < Math.floor((wallHeight - 700) / layerHeight); // Changed from 200 to 700 to account for more bottom space
+    layer++
+  ) {
+    let layerY = wallHeight - 700 - layer * layerHeight; // Changed from 200 to 700
+    let attemptsForLayer = 0;
+    let holdsInLayer = 0;
+
+    while (holdsInLayer < holdsPerLayer && attemptsForLayer < 100) {
+      // Increased attempts
+      // Avoid scrollbar area by reducing available width
+      let newX = random() * spreadWidth + spreadLeft;
+      let newY = layerY + (random() - 0.5) * layerHeight * 0.6; // Reduced variation for more consistent layers
+
+      if (isValidPosition(newX, newY, h) && isClimbable(newX, newY, h)) {
+        h.push({ x: newX, y: newY });
+        holdsInLayer++;
+      }
+      attemptsForLayer++;
+    }
+
+    // If we couldn't place enough holds in this layer, try to place at least one
+    if (holdsInLayer === 0 && attemptsForLayer >= 100) {
+      // Force place at least one hold per layer to ensure progression
+      let fallbackX = spreadLeft + random() * spreadWidth;
+      let fallbackY = layerY;
+
+      if (isValidPosition(fallbackX, fallbackY, h)) {
+        h.push({ x: fallbackX, y: fallbackY });
+      }
+    }
+  }
+
+  // Add some additional random holds to fill gaps and ensure climbability,
+  // up to 90 holds on a medium wall and as many more or fewer as the
+  // height and density ask for
+  const targetHolds = Math.round(
+    ((90 * (wallHeight - 700)) / 2300) * (holdsPerLayer / 4)
+  );
+  let additionalAttempts = 0;
+  while (h.length < targetHolds && additionalAttempts < targetHolds * 2) {
+    // Avoid scrollbar area by reducing available width
+    let newX = random() * spreadWidth + spreadLeft;
+    let newY = random() * (wallHeight - 800) + 100; // Changed from 300 to 800 to account for more bottom space
+
+    if (isValidPosition(newX, newY, h) && isClimbable(newX, newY, h)) {
+      h.push({ x: newX, y: newY });
+    }
+    additionalAttempts++;
+  }
+
+  // Top hold - ensure it's climbable and well-positioned
+  let topHoldPlaced = false;
+  let topAttempts = 0;
+  while (!topHoldPlaced && topAttempts < 30) {
+    // Increased attempts
+    let topX = 120 + random() * 160; // Wider range for better positioning
+    let topY = 30 + random() * 20; // Small Y variation
+
+    if (isValidPosition(topX, topY, h) && isClimbable(topX, topY, h)) {
+      h.push({ x: topX, y: topY, top: true });
+      topHoldPlaced = true;
+    }
+    topAttempts++;
+  }
+
+  // Fallback top hold if placement failed - try multiple positions
+  if (!topHoldPlaced) {
+    const fallbackPositions = [
+      { x: 200, y: 40 },
+      { x: 150, y: 50 },
+      { x: 250, y: 45 },
+      { x: 180, y: 35 },
+    ];
+
+    for (let pos of fallbackPositions) {
+      if (isValidPosition(pos.x, pos.y, h) && isClimbable(pos.x, pos.y, h)) {
+        h.push({ x: pos.x, y: pos.y, top: true });
+        topHoldPlaced = true;
+        break;
+      }
+    }
+
+    // Ultimate fallback - place without climbability check
+    if (!topHoldPlaced) {
+      h.push({ x: 200, y: 40, top: true });
+    }
+  }
+
+  return h;
+}
+
+/**
+ * Add holds along the easiest line of a wall (see findEasiestLine), so that
+ * no two holds on it are further apart than a gap
+ * @param {Hold[]} holds
+ * @param {number} gap
+ * @returns {Hold[]} The holds with the added ones at the end
+ */
+function fillEasiestLine(holds, gap) {
+  const line = findEasiestLine(holds);
+  if (!line) return holds;
+
+  /** @type {Hold[]} */
+  const added = [];
+  for (let i = 1; i < line.length; i++) {
+    const from = holds[line[i - 1]];
+    const to = holds[line[i]];
+    const count = Math.ceil(distanceBetween(from, to) / gap) - 1;
+    for (let j = 1; j <= count; j++) {
+      const share = j / (count + 1);
+      added.push({
+        x: Math.round(from.x + (to.x - from.x) * share),
+        y: Math.round(from.y + (to.y - from.y) * share),
+      });
+    }
+  }
+  return [...holds, ...added];
+}
+
+/**
+ * Generate a wall that can be climbed to the top under the game's move rules.
+ * A wall the solver finds no way up gets holds added along its easiest line.
+ * If that doesn't help either, it's thrown away and generated again from the
+ * seed with the attempt appended, so a seed still always gives the same wall.
+ * @param {string} seed
+ * @param {GeneratorOptions} [options]
+ * @returns {GeneratedWall} The last wall tried if none of them could be climbed
+ */
+function generateClimbableLevel(seed, options = GENERATOR_PRESETS.medium) {
+  /** @type {GeneratedWall | null} */
+  let wall = null;
+  for (let attempt = 1; attempt <= GENERATOR_MAX_ATTEMPTS; attempt++) {
+    const generated = generateLevel(
+      attempt === 1 ? seed : `${seed}~${attempt}`,
+      options
+    );
+    let holds = generated;
+    for (let repair = 0; repair <= GENERATOR_REPAIR_GAPS.length; repair++) {
+      if (repair) {
+        holds = fillEasiestLine(holds, GENERATOR_REPAIR_GAPS[repair - 1]);
+      }
+      wall = {
+        holds,
+        wayUp: findWayUp(holds),
+        attempts: attempt,
+        addedHolds: holds.length - generated.length,
+      };
+      if (wall.wayUp.status === "solved") return wall;
+    }
+  }
+  return /** @type {GeneratedWall} */ (wall);
+}
@@ -0,0 +1,170 @@
+//@ts-check
+
+/**
+ * My Levels
+ *
+ * Keeps every custom level the player opened from a link or a file in
+ * localStorage, so it can be played again from the level dropdown after the
+ * tab is closed. Levels are keyed by a hash of their holds, the same key
+ * their progress is kept under, so opening a level twice keeps one copy. The
+ * player can rename levels, mark favourites and delete levels; the level
+ * data itself stays as it was shared.
+ *
+ * Needs level-format.js and level-validator.js for levels stored by older
+ * versions of the game.
+ */
+
+/**
+ * @typedef {Object} LibraryLevel
+ * @property {string} key - From getCustomLevelKey
+ * @property {any} level - The level data
+ * @property {string} name - Shown in the dropdown, the level's own name until renamed
+ * @property {boolean} favourite - Favourites are listed first
+ * @property {string | null} grade - From the solver, once the level was graded
+ * @property {number} lastPlayed - Date.now() when the level was last opened
+ */
+
+const LEVEL_LIBRARY_STORAGE_KEY = "levelLibrary";
+
+// Where older versions kept the last custom level
+const LEGACY_CUSTOM_LEVEL_STORAGE_KEY = "customLevel";
+
+/**
+ * Identify a custom level by its holds, so an edited level gets its own records
+ * @param {any} levelData
+ * @returns {string}
+ */
+function getCustomLevelKey(levelData) {
+  const text = JSON.stringify(
+    levelData.holds.map(
+      /** @param {any} hold */ (hold) => [
+        Math.round(hold.x),
+        Math.round(hold.y),
+        hold.top ? 1 : 0,
+        hold.type || "",
+      ]
+    )
+  );
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return `custom:${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * @returns {Record<string, LibraryLevel>}
+ */
+function loadLevelLibrary() {
+  try {
+    return JSON.parse(localStorage.getItem(LEVEL_LIBRARY_STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.error("Failed to load my levels:", error);
+    return {};
+  }
+}
+
+/**
+ * @param {Record<string, LibraryLevel>} library
+ * @returns {boolean} Whether it could be stored
+ */
+function saveLevelLibrary(library) {
+  try {
+    localStorage.setItem(LEVEL_LIBRARY_STORAGE_KEY, JSON.stringify(library));
+    return true;
+  } catch (error) {
+    console.error("Failed to store my levels:", error);
+    return false;
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns {LibraryLevel | null}
+ */
+function getLibraryLevel(key) {
+  return loadLevelLibrary()[key] || null;
+}
+
+/**
+ * @param {Record<string, LibraryLevel>} [library] - Already loaded from storage
+ * @returns {LibraryLevel[]} Favourites first, then by name
+ */
+function getLibraryLevels(library = loadLevelLibrary()) {
+  return Object.values(library).sort(
+    (a, b) =>
+      Number(b.favourite) - Number(a.favourite) || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * @returns {LibraryLevel | null} The level opened last, null if there are none
+ */
+function getLastPlayedLibraryLevel() {
+  return Object.values(loadLevelLibrary()).reduce(
+    (/** @type {LibraryLevel | null} */ last, entry) =>
+      !last || entry.lastPlayed > last.lastPlayed ? entry : last,
+    null
+  );
+}
+
+/**
+ * Add a level that was opened, or mark it as played if it's already there.
+ * A new name or settings of the same holds replace the stored level data,
+ * the name given by the player stays.
+ * @param {any} levelData - A valid level
+ * @returns {LibraryLevel}
+ */
+function addToLevelLibrary(levelData) {
+  const library = loadLevelLibrary();
+  const key = getCustomLevelKey(levelData);
+  const stored = library[key];
+  const renamed = stored && stored.name !== stored.level.name;
+  const entry = {
+    key,
+    level: levelData,
+    name: renamed ? stored.name : levelData.name || "Custom Level",
+    favourite: stored?.favourite || false,
+    grade: stored?.grade || null,
+    lastPlayed: Date.now(),
+  };
+  library[key] = entry;
+  saveLevelLibrary(library);
+  return entry;
+}
+
+/**
+ * @param {string} key
+ * @param {Partial<Pick<LibraryLevel, "name" | "favourite" | "grade">>} changes
+ */
+function updateLibraryLevel(key, changes) {
+  const library = loadLevelLibrary();
+  if (!library[key]) return;
+  library[key] = { ...library[key], ...changes };
+  saveLevelLibrary(library);
+}
+
+/**
+ * Delete a level from the library. Its progress is kept, opening it again
+ * brings the records back.
+ * @param {string} key
+ */
+function removeFromLevelLibrary(key) {
+  const library = loadLevelLibrary();
+  delete library[key];
+  saveLevelLibrary(library);
+}
+
+/**
+ * Move the custom level older versions kept in storage into the library
+ */
+function importLegacyCustomLevel() {
+  const stored = localStorage.getItem(LEGACY_CUSTOM_LEVEL_STORAGE_KEY);
+  if (!stored) return;
+
+  const levelData = parseLevelData(stored);
+  if (levelData && !validateLevel(levelData).length) {
+    addToLevelLibrary(levelData);
+  }
+  localStorage.removeItem(LEGACY_CUSTOM_LEVEL_STORAGE_KEY);
+}
@@ -0,0 +1,198 @@
+//@ts-check
+
+/**
+ * Level packs
+ *
+ * A level pack is a named collection of levels in a set order, like a weekly
+ * set of problems, passed around as a JSON file:
+ *
+ *   { "type": "levelPack", "version": 1, "id": "week-42", "name": "Week 42",
+ *     "author": "...", "description": "...", "levels": [levels] }
+ *
+ * The levels are in the level format of level-format.js and are upgraded and
+ * validated one by one when the pack is read. Levels with problems are left
+ * out and reported, the rest of the pack still loads. The editor exports
+ * packs, the game imports them from a file or a `pack` link parameter and
+ * keeps them in localStorage. A pack with the id of a stored one replaces it,
+ * so a pack is updated by importing it again.
+ *
+ * Needs level-format.js and level-validator.js.
+ */
+
+/**
+ * @typedef {Object} LevelPack
+ * @property {"levelPack"} type
+ * @property {number} version - Version of the pack format
+ * @property {string} id - Identifies the pack in level keys and storage
+ * @property {string} name
+ * @property {string} author
+ * @property {string} description
+ * @property {any[]} levels - In the order they are played
+ */
+
+const LEVEL_PACK_FORMAT_VERSION = 1;
+const LEVEL_PACK_MAX_LEVELS = 100;
+const LEVEL_PACKS_STORAGE_KEY = "levelPacks";
+
+/**
+ * Turn a pack name into an id: lowercase letters, digits and dashes
+ * @param {string} name
+ * @returns {string}
+ */
+function getLevelPackId(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "level-pack"
+  );
+}
+
+/**
+ * @param {{ name: string, author: string, description?: string }} details
+ * @param {any[]} levels
+ * @returns {LevelPack}
+ */
+function createLevelPack(details, levels) {
+  return {
+    type: "levelPack",
+    version: LEVEL_PACK_FORMAT_VERSION,
+    id: getLevelPackId(details.name),
+    name: details.name,
+    author: details.author,
+    description: details.description || "",
+    levels,
+  };
+}
+
+/**
+ * Whether parsed JSON is a level pack rather than a single level
+ * @param {any} data
+ * @returns {boolean}
+ */
+function isLevelPackData(data) {
+  return !!data && typeof data === "object" && data.type === "levelPack";
+}
+
+/**
+ * Read and check a level pack. Levels with problems are left out of the pack
+ * and their problems listed, numbered by their place in the pack.
+ * @param {any} data - Parsed pack JSON
+ * @returns {{ pack: LevelPack | null, problems: string[] }} pack is null if nothing of it can be played
+ */
+function readLevelPack(data) {
+  if (!isLevelPackData(data)) {
+    return { pack: null, problems: ["This isn't a level pack."] };
+  }
+  if (data.version > LEVEL_PACK_FORMAT_VERSION) {
+    return {
+      pack: null,
+      problems: [
+        "The pack was made with a newer version of the game. Reload the page to get it.",
+      ],
+    };
+  }
+
+  /** @type {string[]} */
+  const problems = [];
+  for (const field of ["name", "author", "description"]) {
+    if (data[field] !== undefined && typeof data[field] !== "string") {
+      problems.push(`The pack's ${field} must be text.`);
+    }
+  }
+  if (!Array.isArray(data.levels) || !data.levels.length) {
+    problems.push("The pack has no levels.");
+    return { pack: null, problems };
+  }
+  if (data.levels.length > LEVEL_PACK_MAX_LEVELS) {
+    problems.push(
+      `The pack has ${data.levels.length} levels, at most ${LEVEL_PACK_MAX_LEVELS} are allowed.`
+    );
+    return { pack: null, problems };
+  }
+  if (problems.length) return { pack: null, problems };
+
+  /** @type {any[]} */
+  const levels = [];
+  for (const [index, levelData] of data.levels.entries()) {
+    const level = migrateLevel(levelData);
+    const levelProblems = validateLevel(level);
+    if (levelProblems.length) {
+      const name = typeof level?.name === "string" ? ` "${level.name}"` : "";
+      problems.push(
+        ...levelProblems.map(
+          (problem) => `Level ${index + 1}${name}: ${problem}`
+        )
+      );
+    } else {
+      levels.push(level);
+    }
+  }
+  if (!levels.length) return { pack: null, problems };
+
+  const name = data.name || "Level Pack";
+  return {
+    pack: {
+      type: "levelPack",
+      version: LEVEL_PACK_FORMAT_VERSION,
+      id:
+        typeof data.id === "string" && data.id
+          ? getLevelPackId(data.id)
+          : getLevelPackId(name),
+      name,
+      author: data.author || "Anonymous",
+      description: data.description || "",
+      levels,
+    },
+    problems,
+  };
+}
+
+/**
+ * @returns {LevelPack[]} The imported packs, in the order they were imported
+ */
+function loadStoredLevelPacks() {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(LEVEL_PACKS_STORAGE_KEY) || "[]"
+    );
+    return Array.isArray(stored) ? stored.filter(isLevelPackData) : [];
+  } catch (error) {
+    console.error("Failed to load level packs:", error);
+    return [];
+  }
+}
+
+/**
+ * @param {LevelPack[]} packs
+ * @returns {boolean} Whether they could be stored
+ */
+function saveStoredLevelPacks(packs) {
+  try {
+    localStorage.setItem(LEVEL_PACKS_STORAGE_KEY, JSON.stringify(packs));
+    return true;
+  } catch (error) {
+    console.error("Failed to store level packs:", error);
+    return false;
+  }
+}
+
+/**
+ * Store an imported pack, in place of a stored pack with the same id
+ * @param {LevelPack} pack
+ * @returns {boolean} Whether it could be stored
+ */
+function storeLevelPack(pack) {
+  const packs = loadStoredLevelPacks();
+  const index = packs.findIndex((stored) => stored.id === pack.id);
+  if (index === -1) packs.push(pack);
+  else packs[index] = pack;
+  return saveStoredLevelPacks(packs);
+}
+
+/**
+ * @param {string} id
+ */
+function removeStoredLevelPack(id) {
+  saveStoredLevelPacks(loadStoredLevelPacks().filter((pack) => pack.id !== id));
+}
@@ -0,0 +1,315 @@
+//@ts-check
+
+/**
+ * Level topos
+ *
+ * Draws a level as an SVG topo for route setters to print: an A4 page with
+ * the title and author, the holds in the shapes of hold-drawing.js, the
+ * starting holds numbered by limb like in the level editor (1 = left arm,
+ * 2 = right arm, 3 = left leg, 4 = right leg), the top hold, the floor and a
+ * scale in meters. A solution can be numbered on the holds as well: every
+ * hold gets the numbers of the moves that grab it, so the numbers match the
+ * move counter.
+ *
+ * Needs climbing-engine.js for the hold rules and level-format.js for the
+ * height.
+ */
+
+/**
+ * @typedef {Object} TopoOptions
+ * @property {string} [grade] - Shown next to the author, e.g. "V3"
+ * @property {SolverMove[]} [solution] - Moves to number on the holds
+ */
+
+// Sizes in millimeters of an A4 page
+const TOPO_PAGE_WIDTH = 210;
+const TOPO_PAGE_HEIGHT = 297;
+const TOPO_MARGIN = 15;
+const TOPO_HEADER_HEIGHT = 36; // Title, author and legend above the wall
+const TOPO_SCALE_WIDTH = 14; // Meter scale left of the wall
+const TOPO_MIN_HOLD_SIZE = 2.5; // Holds on tall walls stay big enough to see
+const TOPO_MAX_HOLD_SIZE = 8;
+const TOPO_FONT_SIZE = 3;
+
+const TOPO_PIXELS_PER_METER = 100; // As getClimbingHeight counts them
+const TOPO_FLOOR_DISTANCE = 100; // Floor below the lowest starting hold, as in the game
+const TOPO_SPACE_ABOVE = 60; // Wall shown above the top hold, in pixels
+
+const TOPO_LIMB_LABELS = ["Left arm", "Right arm", "Left leg", "Right leg"];
+
+/**
+ * @param {string} text
+ * @returns {string} Text safe to put into SVG
+ */
+function escapeSvgText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * @param {number} value
+ * @returns {string} The value rounded for SVG coordinates
+ */
+function formatSvgNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * SVG of a hold shape, like drawHoldShape draws it in the game
+ * @param {Hold} hold
+ * @param {number} x - Center in millimeters
+ * @param {number} y
+ * @param {number} size - Diameter of a jug in millimeters
+ * @param {string} fill
+ * @returns {string}
+ */
+function getTopoHoldShape(hold, x, y, size, fill) {
+  const type = hold.top ? "jug" : hold.type || "jug";
+  const n = formatSvgNumber;
+  const style = `fill="${fill}" stroke="#222" stroke-width="0.35"`;
+
+  if (type === "crimp") {
+    return `<rect x="${n(x - size * 0.6)}" y="${n(y - size * 0.2)}" width="${n(
+      size * 1.2
+    )}" height="${n(size * 0.4)}" rx="0.4" ${style}/>`;
+  } else if (type === "sloper") {
+    const baseY = y + size * 0.3;
+    return `<path d="M ${n(x - size * 0.7)} ${n(baseY)} A ${n(size * 0.7)} ${n(
+      size * 0.6
+    )} 0 0 1 ${n(x + size * 0.7)} ${n(baseY)} Z" ${style}/>`;
+  } else if (type === "pocket") {
+    return (
+      `<circle cx="${n(x)}" cy="${n(y)}" r="${n(size / 2)}" ${style}/>` +
+      `<circle cx="${n(x)}" cy="${n(y)}" r="${n(size * 0.225)}" fill="#222"/>`
+    );
+  } else if (type === "pinch") {
+    return `<rect x="${n(x - size * 0.22)}" y="${n(y - size * 0.6)}" width="${n(
+      size * 0.44
+    )}" height="${n(size * 1.2)}" rx="0.6" ${style}/>`;
+  } else if (type === "footChip") {
+    return `<circle cx="${n(x)}" cy="${n(y)}" r="${n(size * 0.25)}" ${style}/>`;
+  }
+  return `<circle cx="${n(x)}" cy="${n(y)}" r="${n(size / 2)}" ${style}/>`;
+}
+
+/**
+ * Draw a level as an SVG topo on an A4 page
+ * @param {any} level - A valid level
+ * @param {TopoOptions} [options]
+ * @returns {string} The SVG document
+ */
+function createLevelTopo(level, options = {}) {
+  /** @type {Hold[]} */
+  const holds = level.holds;
+  const n = formatSvgNumber;
+  const start = getStartingHoldIndices(holds);
+  const topIndex = getTopHoldIndex(holds);
+
+  // The part of the wall from above the top hold down to the floor, scaled
+  // to fit the page below the header
+  const floorY =
+    Math.max(...start.map((index) => holds[index].y)) + TOPO_FLOOR_DISTANCE;
+  const wallTop = Math.min(...holds.map((hold) => hold.y)) - TOPO_SPACE_ABOVE;
+  const areaLeft = TOPO_MARGIN + TOPO_SCALE_WIDTH;
+  const areaTop = TOPO_MARGIN + TOPO_HEADER_HEIGHT;
+  const areaWidth = TOPO_PAGE_WIDTH - TOPO_MARGIN - areaLeft;
+  const areaHeight = TOPO_PAGE_HEIGHT - TOPO_MARGIN - areaTop;
+  const scale = Math.min(
+    areaWidth / WALL_WIDTH,
+    areaHeight / (floorY - wallTop)
+  );
+  const wallLeft = areaLeft + (areaWidth - WALL_WIDTH * scale) / 2;
+  /** @param {number} x */
+  const toPageX = (x) => wallLeft + x * scale;
+  /** @param {number} y */
+  const toPageY = (y) => areaTop + (y - wallTop) * scale;
+  const holdSize = Math.min(
+    TOPO_MAX_HOLD_SIZE,
+    Math.max(TOPO_MIN_HOLD_SIZE, 20 * scale)
+  );
+
+  /** @type {string[]} */
+  const parts = [];
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {string} text
+   * @param {string} [attributes]
+   */
+  const addText = (x, y, text, attributes = "") => {
+    parts.push(
+      `<text x="${n(x)}" y="${n(y)}" ${attributes}>${escapeSvgText(
+        text
+      )}</text>`
+    );
+  };
+
+  // Header
+  const details = [`by ${level.author || "Anonymous"}`];
+  if (options.grade) details.push(options.grade);
+  details.push(`~${getClimbingHeight(level)}m`, `${holds.length} holds`);
+  addText(
+    TOPO_MARGIN,
+    TOPO_MARGIN + 8,
+    level.name || "Custom Level",
+    'font-size="8" font-weight="bold"'
+  );
+  addText(
+    TOPO_MARGIN,
+    TOPO_MARGIN + 15,
+    details.join(" · "),
+    'font-size="4.5"'
+  );
+  addText(
+    TOPO_MARGIN,
+    TOPO_MARGIN + 22,
+    `Start: ${TOPO_LIMB_LABELS.map((label, i) => `${i + 1} = ${label}`).join(
+      ", "
+    )} · TOP = top hold`,
+    `font-size="${TOPO_FONT_SIZE}"`
+  );
+  const solution = options.solution || [];
+  if (solution.length) {
+    addText(
+      TOPO_MARGIN,
+      TOPO_MARGIN + 27,
+      `Blue numbers: the moves that grab the hold, on a way up in ${solution.length} moves`,
+      `font-size="${TOPO_FONT_SIZE}" fill="#1565c0"`
+    );
+  }
+
+  // Wall, floor and meter scale
+  parts.push(
+    `<rect x="${n(toPageX(0))}" y="${n(areaTop)}" width="${n(
+      WALL_WIDTH * scale
+    )}" height="${n(
+      toPageY(floorY) - areaTop
+    )}" fill="#f4f1ea" stroke="#999" stroke-width="0.3"/>`
+  );
+  parts.push(
+    `<line x1="${n(toPageX(0) - 2)}" y1="${n(toPageY(floorY))}" x2="${n(
+      toPageX(WALL_WIDTH) + 2
+    )}" y2="${n(toPageY(floorY))}" stroke="#5d3a1a" stroke-width="1.2"/>`
+  );
+  addText(
+    toPageX(WALL_WIDTH),
+    toPageY(floorY) + 4.5,
+    "Floor",
+    `font-size="${TOPO_FONT_SIZE}" text-anchor="end"`
+  );
+
+  const scaleX = areaLeft - 4;
+  const meters = Math.floor((floorY - wallTop) / TOPO_PIXELS_PER_METER);
+  parts.push(
+    `<line x1="${n(scaleX)}" y1="${n(toPageY(floorY))}" x2="${n(
+      scaleX
+    )}" y2="${n(
+      toPageY(floorY - meters * TOPO_PIXELS_PER_METER)
+    )}" stroke="#222" stroke-width="0.3"/>`
+  );
+  // Every meter gets a tick, labels leave at least 5mm between them
+  const labelEvery = Math.ceil(5 / (TOPO_PIXELS_PER_METER * scale));
+  for (let meter = 0; meter <= meters; meter++) {
+    const y = toPageY(floorY - meter * TOPO_PIXELS_PER_METER);
+    parts.push(
+      `<line x1="${n(scaleX - 1.5)}" y1="${n(y)}" x2="${n(scaleX)}" y2="${n(
+        y
+      )}" stroke="#222" stroke-width="0.3"/>`
+    );
+    if (meter % labelEvery === 0) {
+      addText(
+        scaleX - 2.5,
+        y + 1,
+        `${meter} m`,
+        `font-size="${TOPO_FONT_SIZE}" text-anchor="end"`
+      );
+    }
+  }
+
+  // The moves that grab each hold, dynos included
+  /** @type {Map<number, number[]>} */
+  const grabMoves = new Map();
+  for (const [i, move] of solution.entries()) {
+    if (move.hold === undefined) continue;
+    grabMoves.set(move.hold, [...(grabMoves.get(move.hold) || []), i + 1]);
+  }
+
+  // Holds, then their labels on top
+  for (const [index, hold] of holds.entries()) {
+    const fill =
+      index === topIndex
+        ? "#ffd54f"
+        : start.includes(index)
+        ? "#81c784"
+        : "#fff";
+    parts.push(
+      getTopoHoldShape(hold, toPageX(hold.x), toPageY(hold.y), holdSize, fill)
+    );
+  }
+  for (const [index, hold] of holds.entries()) {
+    const x = toPageX(hold.x);
+    const y = toPageY(hold.y);
+    const limb = start.indexOf(index);
+    if (limb !== -1) {
+      // Starting holds of neighbouring limbs sit close, so arms are labelled
+      // above and legs below
+      const labelY = limb < 2 ? y - holdSize / 2 - 1.2 : y + holdSize / 2 + 3.2;
+      addText(
+        x,
+        labelY,
+        String(limb + 1),
+        `font-size="${
+          TOPO_FONT_SIZE + 0.5
+        }" font-weight="bold" text-anchor="middle"`
+      );
+    } else if (index === topIndex) {
+      addText(
+        x,
+        y - holdSize / 2 - 1.2,
+        "TOP",
+        `font-size="${
+          TOPO_FONT_SIZE + 0.5
+        }" font-weight="bold" text-anchor="middle"`
+      );
+    }
+
+    const moves = grabMoves.get(index);
+    if (moves) {
+      addText(
+        x + holdSize / 2 + 0.8,
+        y + 1,
+        moves.join(", "),
+        `font-size="${TOPO_FONT_SIZE}" fill="#1565c0"`
+      );
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${TOPO_PAGE_WIDTH}mm" height="${TOPO_PAGE_HEIGHT}mm" viewBox="0 0 ${TOPO_PAGE_WIDTH} ${TOPO_PAGE_HEIGHT}" font-family="Arial, sans-serif">`,
+    `<rect width="${TOPO_PAGE_WIDTH}" height="${TOPO_PAGE_HEIGHT}" fill="#fff"/>`,
+    ...parts,
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Download the topo of a level as an SVG file named after the level
+ * @param {any} level - A valid level
+ * @param {TopoOptions} [options]
+ */
+function downloadLevelTopo(level, options = {}) {
+  const blob = new Blob([createLevelTopo(level, options)], {
+    type: "image/svg+xml",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${(level.name || "Custom Level")
+    .replace(/\s+/g, "_")
+    .toLowerCase()}_topo.svg`;
+  link.click();
+}
@@ -0,0 +1,297 @@
+//@ts-check
+
+/**
+ * Level validation
+ *
+ * Checks level data from links, files and storage before the game or the
+ * editor loads it, and lists every problem in words a level author can act
+ * on. Holds are numbered from 1 in the messages. The error dialog shared by
+ * the game and the editor lives here as well.
+ *
+ * Needs climbing-engine.js for the hold types and the climber's reach, and
+ * level-format.js for the format version.
+ */
+
+const LEVEL_MIN_HOLDS = 5; // Four starting holds and the top hold
+const LEVEL_MAX_HOLDS = 1000;
+const LEVEL_MIN_WALL_HEIGHT = 700; // The height of the game's canvas
+const LEVEL_MAX_WALL_HEIGHT = 20000;
+const LEVEL_PROBLEMS_SHOWN = 10; // The dialog sums up the rest
+
+/**
+ * @param {unknown} value
+ * @returns {value is number}
+ */
+function isFiniteNumber(value) {
+  return typeof value === "number" && isFinite(value);
+}
+
+/**
+ * Check a hold and its coordinates
+ * @param {any} hold
+ * @param {number} index
+ * @param {number} wallHeight - Height to check y against, NaN if unknown
+ * @returns {string[]}
+ */
+function validateHold(hold, index, wallHeight) {
+  const name = `Hold ${index + 1}`;
+  if (!hold || typeof hold !== "object") return [`${name} isn't a hold.`];
+
+  /** @type {string[]} */
+  const problems = [];
+  if (!isFiniteNumber(hold.x)) {
+    problems.push(`${name} has no x coordinate.`);
+  } else if (hold.x < 0 || hold.x > WALL_WIDTH) {
+    problems.push(
+      `${name} is off the wall: x is ${hold.x}, it must be between 0 and ${WALL_WIDTH}.`
+    );
+  }
+  if (!isFiniteNumber(hold.y)) {
+    problems.push(`${name} has no y coordinate.`);
+  } else if (hold.y < 0 || hold.y > wallHeight) {
+    problems.push(
+      `${name} is off the wall: y is ${hold.y}, it must be between 0 and the wall height of ${wallHeight}.`
+    );
+  }
+  if (hold.type !== undefined && !isHoldType(hold.type)) {
+    problems.push(`${name} has an unknown type "${hold.type}".`);
+  }
+  if (hold.top !== undefined && typeof hold.top !== "boolean") {
+    problems.push(`${name} has a "top" flag that isn't true or false.`);
+  }
+  return problems;
+}
+
+/**
+ * Find the starting holds the climber can't reach while standing on them.
+ * Arms reach from the shoulders and legs from the hips, both measured from
+ * the middle of the four holds.
+ * @param {Point[]} startingHolds - In limb order
+ * @returns {number[]} Positions in startingHolds of the holds out of reach
+ */
+function findUnreachableStartingHolds(startingHolds) {
+  const centerX = startingHolds.reduce((sum, hold) => sum + hold.x, 0) / 4;
+  const centerY = startingHolds.reduce((sum, hold) => sum + hold.y, 0) / 4;
+  const shoulder = { x: centerX, y: centerY - 20 };
+  const hip = { x: centerX, y: centerY + 20 };
+
+  /** @type {number[]} */
+  const unreachable = [];
+  for (const [i, limb] of LIMB_NAMES.entries()) {
+    const from = isLeg(limb) ? hip : shoulder;
+    if (distanceBetween(from, startingHolds[i]) > LIMB_REACH[limb]) {
+      unreachable.push(i);
+    }
+  }
+  return unreachable;
+}
+
+/**
+ * Check that the climber can stand on the starting holds: each limb on a hold
+ * it may use and within its reach, and the top hold above them
+ * @param {Hold[]} holds
+ * @returns {string[]}
+ */
+function getStartingHoldProblems(holds) {
+  /** @type {string[]} */
+  const problems = [];
+  const start = getStartingHoldIndices(holds);
+  const unreachable = findUnreachableStartingHolds(
+    start.map((index) => holds[index])
+  );
+
+  for (const [i, limb] of LIMB_NAMES.entries()) {
+    const hold = holds[start[i]];
+    const limbName = limb.replace(
+      /[A-Z]/,
+      (letter) => ` ${letter.toLowerCase()}`
+    );
+    const name = `Starting hold ${start[i] + 1} (${limbName})`;
+    const rules = getHoldRules(hold);
+    if (!(isLeg(limb) ? rules.legs : rules.arms)) {
+      problems.push(
+        `${name} is a ${rules.label.toLowerCase()}, which ${
+          isLeg(limb) ? "feet" : "hands"
+        } can't use.`
+      );
+    }
+    if (unreachable.includes(i)) {
+      problems.push(`${name} is out of reach of the other starting holds.`);
+    }
+  }
+
+  const top = holds[getTopHoldIndex(holds)];
+  if (top && start.some((index) => holds[index].y <= top.y)) {
+    problems.push("The top hold must be above the starting holds.");
+  }
+  return problems;
+}
+
+/**
+ * Check level data before loading it
+ * @param {any} levelData
+ * @returns {string[]} The problems, empty if the level can be loaded
+ */
+function validateLevel(levelData) {
+  if (!levelData || typeof levelData !== "object") {
+    return ["The level data is empty or not a level."];
+  }
+
+  /** @type {string[]} */
+  const problems = [];
+  if (levelData.version > LEVEL_FORMAT_VERSION) {
+    problems.push(
+      "The level was made with a newer version of the game. Reload the page to get it."
+    );
+  }
+  for (const field of ["name", "author"]) {
+    if (
+      levelData[field] !== undefined &&
+      typeof levelData[field] !== "string"
+    ) {
+      problems.push(`The ${field} must be text.`);
+    }
+  }
+
+  const { wallHeight } = levelData;
+  if (!isFiniteNumber(wallHeight)) {
+    problems.push("The wall height is missing.");
+  } else if (
+    wallHeight < LEVEL_MIN_WALL_HEIGHT ||
+    wallHeight > LEVEL_MAX_WALL_HEIGHT
+  ) {
+    problems.push(
+      `The wall height is ${wallHeight}, it must be between ${LEVEL_MIN_WALL_HEIGHT} and ${LEVEL_MAX_WALL_HEIGHT}.`
+    );
+  }
+
+  const { holds } = levelData;
+  if (!Array.isArray(holds)) {
+    problems.push("The level has no list of holds.");
+    return problems;
+  }
+  if (holds.length < LEVEL_MIN_HOLDS) {
+    problems.push(
+      `The level has ${holds.length} holds, it needs at least ${LEVEL_MIN_HOLDS}: four starting holds and the top hold.`
+    );
+  } else if (holds.length > LEVEL_MAX_HOLDS) {
+    problems.push(
+      `The level has ${holds.length} holds, at most ${LEVEL_MAX_HOLDS} are allowed.`
+    );
+  }
+
+  const holdProblems = holds.flatMap((hold, index) =>
+    validateHold(hold, index, isFiniteNumber(wallHeight) ? wallHeight : NaN)
+  );
+  problems.push(...holdProblems);
+
+  const topCount = holds.filter((hold) => hold?.top === true).length;
+  if (topCount === 0) {
+    problems.push("The level has no top hold.");
+  } else if (topCount > 1) {
+    problems.push(`The level has ${topCount} top holds, it needs exactly one.`);
+  }
+
+  // The starting position can only be checked on holds that are in order
+  if (!holdProblems.length && topCount === 1) {
+    if (getStartingHoldIndices(holds).length < 4) {
+      problems.push("The level needs four starting holds below the top hold.");
+    } else {
+      problems.push(...getStartingHoldProblems(holds));
+    }
+  }
+  return problems;
+}
+
+/**
+ * Keep what can be loaded of broken level data, so it can be fixed in the
+ * editor: holds without coordinates are left out and unknown types dropped
+ * @param {any} levelData
+ * @returns {any}
+ */
+function getFixableLevel(levelData) {
+  const data = levelData && typeof levelData === "object" ? levelData : {};
+  const holds = Array.isArray(data.holds) ? data.holds : [];
+  return {
+    name: typeof data.name === "string" ? data.name : "Custom Level",
+    author: typeof data.author === "string" ? data.author : "Anonymous",
+    wallHeight: isFiniteNumber(data.wallHeight) ? data.wallHeight : 1400,
+    hints: data.hints !== false,
+    stamina: !!data.stamina,
+    holds: holds
+      .filter(
+        (/** @type {any} */ hold) =>
+          hold && isFiniteNumber(hold.x) && isFiniteNumber(hold.y)
+      )
+      .map((/** @type {any} */ hold) => ({
+        x: hold.x,
+        y: hold.y,
+        ...(hold.top === true ? { top: true } : {}),
+        ...(isHoldType(hold.type) ? { type: hold.type } : {}),
+      })),
+  };
+}
+
+/**
+ * Show the problems of a level in a dialog
+ * @param {string} title
+ * @param {string[]} problems
+ * @param {(() => void) | null} onFix - Opens the level in the editor, null if nothing of it can be opened
+ */
+function showLevelProblems(title, problems, onFix) {
+  let dialog = document.getElementById("levelProblems");
+  if (!dialog) {
+    dialog = document.createElement("div");
+    dialog.id = "levelProblems";
+    dialog.className = "level-problems";
+    document.body.appendChild(dialog);
+  }
+  dialog.innerHTML = "";
+
+  const box = document.createElement("div");
+  box.className = "level-problems-box";
+  dialog.appendChild(box);
+
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  box.appendChild(heading);
+
+  const list = document.createElement("ul");
+  for (const problem of problems.slice(0, LEVEL_PROBLEMS_SHOWN)) {
+    const item = document.createElement("li");
+    item.textContent = problem;
+    list.appendChild(item);
+  }
+  if (problems.length > LEVEL_PROBLEMS_SHOWN) {
+    const item = document.createElement("li");
+    item.textContent = `...and ${problems.length - LEVEL_PROBLEMS_SHOWN} more.`;
+    list.appendChild(item);
+  }
+  box.appendChild(list);
+
+  const actions = document.createElement("div");
+  actions.className = "level-problems-actions";
+  box.appendChild(actions);
+
+  const shownDialog = dialog;
+  if (onFix) {
+    const fixButton = document.createElement("button");
+    fixButton.className = "mode-button";
+    fixButton.textContent = "✏️ Open in editor to fix";
+    fixButton.addEventListener("click", () => {
+      shownDialog.style.display = "none";
+      onFix();
+    });
+    actions.appendChild(fixButton);
+  }
+
+  const closeButton = document.createElement("button");
+  closeButton.className = "mode-button";
+  closeButton.textContent = "Close";
+  closeButton.addEventListener("click", () => {
+    shownDialog.style.display = "none";
+  });
+  actions.appendChild(closeButton);
+
+  dialog.style.display = "flex";
+}
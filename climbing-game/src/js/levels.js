@@ -5,6 +5,10 @@
  *
  * This file contains all the predefined levels that can be loaded in the game.
  * Each level defines the wall height, holds positions, and metadata.
+ * Set `hints: false` on a level to turn off the in-game hints, and
+ * `stamina: true` to make the climber tire and fall when running out.
+ * `grade` is the difficulty grade `npm run solve` works out for the level,
+ * see grading.js. Update it when changing the holds.
  *
  * @type {Record<string, any>}
  */
@@ -13,6 +17,7 @@ const gameLevels = {
     order: 0,
     name: "Easy Wall",
     author: "Mättu",
+    grade: "V1",
     wallHeight: 1400,
     holds: [
       // Starting holds repositioned to center the player better with more floor space
@@ -61,13 +66,22 @@ const gameLevels = {
     name: "Challenge",
     author: "Generator",
     wallHeight: 3000,
-    holds: [], // Will be populated by generateLevel() function
+    holds: [], // Generated from the seed in the URL, or a random one, when loaded
   },
 
-  touchingTheSky: {
+  daily: {
     order: 2,
+    name: "Daily Challenge",
+    author: "Generator",
+    wallHeight: 3000,
+    holds: [], // Generated from today's date when loaded
+  },
+
+  touchingTheSky: {
+    order: 3,
     name: "Touching the Sky",
     author: "Chrigu",
+    grade: "V5",
     wallHeight: 2452.94921875,
     holds: [
       {
@@ -628,9 +642,10 @@ const gameLevels = {
     ],
   },
   hangInThere: {
-    order: 3,
+    order: 4,
     name: "Hang in there",
     author: "Martin",
+    grade: "V5",
     wallHeight: 1554,
     holds: [
       {
@@ -757,9 +772,10 @@ const gameLevels = {
   },
 
   v17: {
-    order: 4,
+    order: 5,
     name: "V17 Boulder",
     author: "Mättu",
+    grade: "V7",
     wallHeight: 1700,
     holds: [
       {
@@ -892,6 +908,7 @@ const gameLevels = {
   zigZag: {
     name: "Zigzag Boulder",
     author: "Mättu",
+    grade: "V5",
     wallHeight: 1031,
     holds: [
       {
@@ -979,6 +996,7 @@ const gameLevels = {
   esSibni: {
     name: "Sehr wohrschinli es 7i",
     author: "Luca",
+    grade: "V1",
     wallHeight: 1058,
     holds: [
       {
@@ -1111,6 +1129,7 @@ const gameLevels = {
   keiAhnig: {
     name: "Kei Ahnig vo Chlätere",
     author: "Jasmin",
+    grade: "V4",
     wallHeight: 1494,
     holds: [
       {
@@ -1253,6 +1272,7 @@ const gameLevels = {
   neunC: {
     name: "9C",
     author: "Sany",
+    grade: "V6",
     wallHeight: 1700,
     holds: [
       {
@@ -1410,6 +1430,7 @@ const gameLevels = {
   miguel: {
     name: "Miguel",
     author: "Miguel",
+    grade: "V0",
     wallHeight: 1547.47265625,
     holds: [
       {
@@ -1662,6 +1683,7 @@ const gameLevels = {
   davos: {
     name: "DAVOS",
     author: "Hitsch Heldstab",
+    grade: "V6",
     wallHeight: 2262.12109375,
     holds: [
       {
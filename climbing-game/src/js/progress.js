@@ -0,0 +1,104 @@
+//@ts-check
+
+/**
+ * Level progress
+ *
+ * Remembers in localStorage how the player did on every level: how often a
+ * climb was started and sent, the fewest moves and best time of a send, and
+ * the date of the first ascent. Built-in levels are keyed by their id, custom
+ * levels and levels from packs by a hash of their holds (see getCustomLevelKey
+ * in level-library.js).
+ */
+
+/**
+ * @typedef {Object} LevelProgress
+ * @property {number} attempts - Climbs started, counted on the first move
+ * @property {number} sends - Climbs that reached the top
+ * @property {number | null} fewestMoves - Fewest moves of a send
+ * @property {number | null} bestTime - Fastest send in speed mode, in milliseconds
+ * @property {string | null} firstAscent - Date of the first send, as YYYY-MM-DD
+ */
+
+const PROGRESS_STORAGE_KEY = "levelProgress";
+
+/**
+ * @returns {Record<string, LevelProgress>}
+ */
+function loadAllProgress() {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.error("Failed to load level progress:", error);
+    return {};
+  }
+}
+
+/**
+ * @param {string} levelKey
+ * @returns {LevelProgress}
+ */
+function getLevelProgress(levelKey) {
+  /** @type {Partial<LevelProgress> | undefined} */
+  const stored = loadAllProgress()[levelKey];
+  return {
+    attempts: 0,
+    sends: 0,
+    fewestMoves: null,
+    bestTime: null,
+    firstAscent: null,
+    ...stored,
+  };
+}
+
+/**
+ * Change the progress of a level and store it
+ * @param {string} levelKey
+ * @param {(progress: LevelProgress) => void} update
+ * @returns {LevelProgress} The updated progress
+ */
+function updateLevelProgress(levelKey, update) {
+  const allProgress = loadAllProgress();
+  const progress = getLevelProgress(levelKey);
+  update(progress);
+  allProgress[levelKey] = progress;
+  try {
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(allProgress));
+  } catch (error) {
+    console.error("Failed to store level progress:", error);
+  }
+  return progress;
+}
+
+/**
+ * @param {string} levelKey
+ * @returns {LevelProgress}
+ */
+function recordAttempt(levelKey) {
+  return updateLevelProgress(levelKey, (progress) => {
+    progress.attempts++;
+  });
+}
+
+/**
+ * @param {string} levelKey
+ * @param {number} moves
+ * @param {number | null} time - Run time in speed mode, null otherwise
+ * @returns {LevelProgress}
+ */
+function recordSend(levelKey, moves, time) {
+  return updateLevelProgress(levelKey, (progress) => {
+    progress.sends++;
+    if (progress.fewestMoves === null || moves < progress.fewestMoves) {
+      progress.fewestMoves = moves;
+    }
+    if (
+      time !== null &&
+      (progress.bestTime === null || time < progress.bestTime)
+    ) {
+      progress.bestTime = time;
+    }
+    if (!progress.firstAscent) {
+      progress.firstAscent = new Date().toISOString().slice(0, 10);
+    }
+  });
+}
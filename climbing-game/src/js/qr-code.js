@@ -0,0 +1,538 @@
+//@ts-check
+
+/*
+ * Based on the QR Code generator library by Project Nayuki
+ * https://www.nayuki.io/page/qr-code-generator-library
+ *
+ * Copyright (c) Project Nayuki. (MIT License)
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising from,
+ *   out of or in connection with the Software or the use or other dealings in the
+ *   Software.
+ */
+
+/**
+ * QR code encoder
+ *
+ * Turns text into a QR code (ISO/IEC 18004) without any network service, so
+ * the level editor can show share links as QR codes. Text is encoded in byte
+ * mode as UTF-8. The code uses the smallest version (size) the text fits in,
+ * and within that version the strongest error correction that still fits,
+ * which makes it easier to scan from a screen.
+ *
+ * Ported from Project Nayuki's QR Code generator library, under the MIT
+ * License above.
+ */
+
+/**
+ * @typedef {"L" | "M" | "Q" | "H"} QrErrorCorrection
+ */
+
+/**
+ * @typedef {Object} QrCode
+ * @property {number} version - 1 to 40
+ * @property {QrErrorCorrection} errorCorrection
+ * @property {number} size - Modules per side, without the quiet zone around the code
+ * @property {boolean[][]} modules - By row, then column, true for dark modules
+ */
+
+/** @type {QrErrorCorrection[]} */
+const QR_ERROR_CORRECTIONS = ["L", "M", "Q", "H"];
+
+// Error correction bits of the format information
+/** @type {Record<QrErrorCorrection, number>} */
+const QR_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block and number of blocks by version,
+// index 0 is unused
+/** @type {Record<QrErrorCorrection, number[]>} */
+const QR_ECC_CODEWORDS_PER_BLOCK = {
+  L: [
+    0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30,
+    28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  M: [
+    0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26,
+    26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    28, 28, 28,
+  ],
+  Q: [
+    0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28,
+    26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  H: [
+    0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28,
+    26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+};
+
+/** @type {Record<QrErrorCorrection, number[]>} */
+const QR_ECC_BLOCKS = {
+  L: [
+    0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10,
+    12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+  ],
+  M: [
+    0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17,
+    18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+  ],
+  Q: [
+    0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23,
+    23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68,
+  ],
+  H: [
+    0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25,
+    34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81,
+  ],
+};
+
+/**
+ * Modules available for data and error correction in a version
+ * @param {number} version
+ * @returns {number}
+ */
+function getQrRawModules(version) {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    modules -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) modules -= 36; // Version information
+  }
+  return modules;
+}
+
+/**
+ * @param {number} version
+ * @param {QrErrorCorrection} errorCorrection
+ * @returns {number} Data codewords that fit in the version
+ */
+function getQrDataCodewords(version, errorCorrection) {
+  return (
+    Math.floor(getQrRawModules(version) / 8) -
+    QR_ECC_CODEWORDS_PER_BLOCK[errorCorrection][version] *
+      QR_ECC_BLOCKS[errorCorrection][version]
+  );
+}
+
+/**
+ * Multiply in the Galois field GF(2^8) of the Reed-Solomon code
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function multiplyQrField(x, y) {
+  let product = 0;
+  for (let i = 7; i >= 0; i--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> i) & 1) * x;
+  }
+  return product;
+}
+
+/**
+ * Reed-Solomon error correction codewords of a block
+ * @param {number[]} data
+ * @param {number} degree - Number of error correction codewords
+ * @returns {number[]}
+ */
+function getQrErrorCorrection(data, degree) {
+  // Coefficients of the generator polynomial, highest power first
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = multiplyQrField(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = multiplyQrField(root, 0x02);
+  }
+
+  const remainder = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ /** @type {number} */ (remainder.shift());
+    remainder.push(0);
+    for (let i = 0; i < degree; i++) {
+      remainder[i] ^= multiplyQrField(divisor[i], factor);
+    }
+  }
+  return remainder;
+}
+
+/**
+ * Split data codewords into blocks, add error correction to each and
+ * interleave them
+ * @param {number[]} data
+ * @param {number} version
+ * @param {QrErrorCorrection} errorCorrection
+ * @returns {number[]}
+ */
+function interleaveQrBlocks(data, version, errorCorrection) {
+  const blockCount = QR_ECC_BLOCKS[errorCorrection][version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[errorCorrection][version];
+  const rawCodewords = Math.floor(getQrRawModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+  /** @type {number[][]} */
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = getQrErrorCorrection(block, eccLength);
+    if (i < shortBlockCount) block.push(0); // Padding, skipped below
+    blocks.push([...block, ...ecc]);
+  }
+
+  /** @type {number[]} */
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    for (const [j, block] of blocks.entries()) {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Centers of the alignment patterns on each axis
+ * @param {number} version
+ * @returns {number[]}
+ */
+function getQrAlignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step =
+    version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = version * 4 + 10; positions.length < count; ) {
+    positions.splice(1, 0, position);
+    position -= step;
+  }
+  return positions;
+}
+
+/**
+ * Whether a mask inverts the module at a position
+ * @param {number} mask - 0 to 7
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function isQrMasked(mask, x, y) {
+  switch (mask) {
+    case 0:
+      return (x + y) % 2 === 0;
+    case 1:
+      return y % 2 === 0;
+    case 2:
+      return x % 3 === 0;
+    case 3:
+      return (x + y) % 3 === 0;
+    case 4:
+      return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5:
+      return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6:
+      return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default:
+      return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+/**
+ * Penalty of a finished code, lower scans better. Adds up the four rules of
+ * the standard: long runs of one color, 2x2 blocks of one color, patterns
+ * that look like finder patterns and an uneven share of dark modules.
+ * @param {boolean[][]} modules
+ * @returns {number}
+ */
+function getQrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+
+  /** @param {boolean[]} line */
+  const scoreLine = (line) => {
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++;
+        continue;
+      }
+      if (runLength >= 5) penalty += runLength - 2;
+      runLength = 1;
+    }
+
+    // Dark-light-dark-dark-dark-light-dark with four light modules on a side
+    const text = line.map((dark) => (dark ? "1" : "0")).join("");
+    const padded = `0000${text}0000`;
+    for (const pattern of ["10111010000", "00001011101"]) {
+      for (
+        let index = padded.indexOf(pattern);
+        index !== -1;
+        index = padded.indexOf(pattern, index + 1)
+      ) {
+        penalty += 40;
+      }
+    }
+  };
+
+  let darkCount = 0;
+  for (let y = 0; y < size; y++) {
+    scoreLine(modules[y]);
+    scoreLine(modules.map((row) => row[y]));
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) darkCount++;
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+
+  const total = size * size;
+  penalty +=
+    (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+/**
+ * Pick the smallest version the data fits in, then the strongest error
+ * correction that fits in that version
+ * @param {number} byteCount
+ * @returns {{ version: number, errorCorrection: QrErrorCorrection } | null} null if the data doesn't fit in a QR code
+ */
+function chooseQrVersion(byteCount) {
+  /**
+   * @param {number} version
+   * @param {QrErrorCorrection} errorCorrection
+   */
+  const fits = (version, errorCorrection) => {
+    const countBits = version <= 9 ? 8 : 16;
+    const dataBits = 4 + countBits + byteCount * 8;
+    return dataBits <= getQrDataCodewords(version, errorCorrection) * 8;
+  };
+
+  for (let version = 1; version <= 40; version++) {
+    if (!fits(version, "L")) continue;
+    let errorCorrection = QR_ERROR_CORRECTIONS[0];
+    for (const stronger of QR_ERROR_CORRECTIONS) {
+      if (fits(version, stronger)) errorCorrection = stronger;
+    }
+    return { version, errorCorrection };
+  }
+  return null;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text
+ * @returns {QrCode}
+ * @throws {Error} If the text is too long for a QR code
+ */
+function createQrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const choice = chooseQrVersion(bytes.length);
+  if (!choice) {
+    throw new Error(`${bytes.length} bytes are too long for a QR code`);
+  }
+  const { version, errorCorrection } = choice;
+  const size = version * 4 + 17;
+
+  // Data bits: byte mode, the byte count, the bytes, then padding
+  /** @type {number[]} */
+  const bits = [];
+  /**
+   * @param {number} value
+   * @param {number} length
+   */
+  const pushBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  pushBits(0b0100, 4);
+  pushBits(bytes.length, version <= 9 ? 8 : 16);
+  for (const byte of bytes) pushBits(byte, 8);
+
+  const capacityBits = getQrDataCodewords(version, errorCorrection) * 8;
+  pushBits(0, Math.min(4, capacityBits - bits.length)); // Terminator
+  pushBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    pushBits(pad, 8);
+  }
+
+  /** @type {number[]} */
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+  const codewords = interleaveQrBlocks(data, version, errorCorrection);
+
+  // Function patterns, which masks leave alone
+  const modules = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  const isFunction = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} dark
+   */
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0); // Timing patterns
+    setFunction(i, 6, i % 2 === 0);
+  }
+  for (const [centerX, centerY] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    // Finder patterns with their light separators
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+  const alignment = getQrAlignmentPositions(version);
+  const last = alignment.length - 1;
+  for (const [i, centerY] of alignment.entries()) {
+    for (const [j, centerX] of alignment.entries()) {
+      // The corners with finder patterns have no alignment pattern
+      if ((i === 0 && j === 0) || (i === 0 && j === last)) continue;
+      if (i === last && j === 0) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(
+            centerX + dx,
+            centerY + dy,
+            Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Format information: error correction and mask, in two copies
+   * @param {number} mask
+   */
+  const drawFormatBits = (mask) => {
+    const value = (QR_FORMAT_BITS[errorCorrection] << 3) | mask;
+    let remainder = value;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const formatBits = ((value << 10) | remainder) ^ 0x5412;
+    /** @param {number} i */
+    const bit = (i) => ((formatBits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true); // Always dark
+  };
+  drawFormatBits(0); // Reserves the modules, drawn again with the real mask
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const versionBits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((versionBits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  // Codewords go in two-module columns, zigzagging up and down from the
+  // bottom right and skipping the vertical timing pattern
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+        const codeword = codewords[bitIndex >>> 3];
+        modules[y][x] = ((codeword >>> (7 - (bitIndex & 7))) & 1) === 1;
+        bitIndex++;
+      }
+    }
+  }
+
+  /** @param {number} mask */
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && isQrMasked(mask, x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+
+  // Try every mask and keep the one with the lowest penalty
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = getQrPenalty(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask); // Masks undo themselves
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return { version, errorCorrection, size, modules };
+}
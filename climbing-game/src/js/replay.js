@@ -0,0 +1,167 @@
+//@ts-check
+
+/**
+ * Climb replays
+ *
+ * A replay is the list of actions a player made on a level, each with the time
+ * in milliseconds since the level was loaded. Grabs store the hold as an index
+ * into the level holds, so a replay only makes sense together with its level.
+ *
+ * Replays serialize to a short URL-safe string: a format version followed by
+ * one token per action, separated by dots. Each token is the time since the
+ * previous action in base 36, an uppercase action code and an optional base 36
+ * argument, e.g. "1.f4S0.1jkG9.u8P" = select left arm, grab hold 9, push.
+ * Dynos pack the hold, the jumping arms and whether the hold was caught into
+ * one number, (hold * 3 + arms) * 2 + caught, so replays fail or catch the
+ * same dynos as the recorded climb.
+ */
+
+/**
+ * @typedef {"select" | "grab" | "push" | "strafeLeft" | "strafeRight" | "relax" | "undo" | "redo" | "fall" | "dyno"} ReplayActionType
+ */
+
+/**
+ * @typedef {Object} ReplayAction
+ * @property {number} t - Milliseconds since the level was loaded
+ * @property {ReplayActionType} type - What the player did
+ * @property {LimbName} [limb] - The selected limb (select actions)
+ * @property {number} [hold] - Index of the grabbed hold (grab and dyno actions)
+ * @property {DynoArms} [arms] - The jumping arms (dyno actions)
+ * @property {boolean} [caught] - Whether the dyno caught the hold (dyno actions)
+ */
+
+const REPLAY_FORMAT_VERSION = "1";
+
+/** @type {Record<ReplayActionType, string>} */
+const REPLAY_ACTION_CODES = {
+  select: "S",
+  grab: "G",
+  push: "P",
+  strafeLeft: "L",
+  strafeRight: "R",
+  relax: "X",
+  undo: "U",
+  redo: "Y",
+  fall: "F", // Ran out of stamina
+  dyno: "D",
+};
+
+/** @type {DynoArms[]} */
+const REPLAY_DYNO_ARMS = ["leftArm", "rightArm", "bothArms"];
+
+/**
+ * Serialize replay actions for sharing in a URL
+ * @param {ReplayAction[]} actions
+ * @returns {string}
+ */
+function serializeReplay(actions) {
+  let previousTime = 0;
+  const tokens = actions.map((action) => {
+    const delta = Math.max(0, Math.round(action.t - previousTime));
+    previousTime += delta;
+
+    let argument = "";
+    if (action.type === "select") {
+      argument = String(
+        LIMB_NAMES.indexOf(/** @type {LimbName} */ (action.limb))
+      );
+    } else if (action.type === "grab") {
+      argument = /** @type {number} */ (action.hold).toString(36);
+    } else if (action.type === "dyno") {
+      const hold = /** @type {number} */ (action.hold);
+      const arms = REPLAY_DYNO_ARMS.indexOf(
+        /** @type {DynoArms} */ (action.arms)
+      );
+      argument = ((hold * 3 + arms) * 2 + (action.caught ? 1 : 0)).toString(36);
+    }
+    return delta.toString(36) + REPLAY_ACTION_CODES[action.type] + argument;
+  });
+
+  return [REPLAY_FORMAT_VERSION, ...tokens].join(".");
+}
+
+/**
+ * Parse a serialized replay
+ * @param {string} serializedReplay
+ * @returns {ReplayAction[] | null} The actions, or null if the replay is invalid
+ */
+function parseReplay(serializedReplay) {
+  try {
+    const [version, ...tokens] = serializedReplay.split(".");
+    if (version !== REPLAY_FORMAT_VERSION) {
+      throw new Error(`Unsupported replay version: ${version}`);
+    }
+
+    const types = /** @type {ReplayActionType[]} */ (
+      Object.keys(REPLAY_ACTION_CODES)
+    );
+    let time = 0;
+
+    return tokens.map((token) => {
+      const match = token.match(/^([0-9a-z]+)([A-Z])([0-9a-z]*)$/);
+      const type = match
+        ? types.find((name) => REPLAY_ACTION_CODES[name] === match[2])
+        : undefined;
+      if (!match || !type) {
+        throw new Error(`Invalid replay action: ${token}`);
+      }
+
+      time += parseInt(match[1], 36);
+      /** @type {ReplayAction} */
+      const action = { t: time, type };
+
+      if (type === "select") {
+        const limb = LIMB_NAMES[parseInt(match[3], 10)];
+        if (!limb) throw new Error(`Invalid limb in replay action: ${token}`);
+        action.limb = limb;
+      } else if (type === "grab") {
+        if (!match[3])
+          throw new Error(`Missing hold in replay action: ${token}`);
+        action.hold = parseInt(match[3], 36);
+      } else if (type === "dyno") {
+        if (!match[3])
+          throw new Error(`Missing hold in replay action: ${token}`);
+        const packed = parseInt(match[3], 36);
+        action.caught = packed % 2 === 1;
+        action.arms = REPLAY_DYNO_ARMS[Math.floor(packed / 2) % 3];
+        action.hold = Math.floor(packed / 6);
+      }
+      return action;
+    });
+  } catch (error) {
+    console.error("Failed to parse replay:", error);
+    return null;
+  }
+}
+
+/**
+ * The move a replay action makes, for applyClimbMove. Grabs are made with the
+ * limb selected at that point of the replay.
+ * @param {ReplayAction} action
+ * @param {LimbName} selectedLimb
+ * @returns {ClimbMove | null} null for actions that aren't moves, like select or undo
+ */
+function getReplayMove(action, selectedLimb) {
+  switch (action.type) {
+    case "grab":
+      return action.hold === undefined
+        ? null
+        : { type: "grab", limb: selectedLimb, hold: action.hold };
+    case "dyno":
+      return action.hold === undefined
+        ? null
+        : {
+            type: "dyno",
+            arms: action.arms || "bothArms",
+            hold: action.hold,
+            caught: !!action.caught,
+          };
+    case "push":
+    case "strafeLeft":
+    case "strafeRight":
+    case "relax":
+      return { type: action.type };
+    default:
+      return null;
+  }
+}
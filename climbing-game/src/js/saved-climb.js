@@ -0,0 +1,178 @@
+//@ts-check
+
+/**
+ * Saved climbs
+ *
+ * The climb in progress is saved to localStorage after every move, one save
+ * per level, so a long route can be resumed after closing the tab. Only the
+ * SAVED_CLIMBS_MAX most recent saves are kept, every generated wall and
+ * custom level would add one otherwise. A save
+ * keeps the recorded actions as a serialized replay, so the replay of a
+ * resumed climb still starts at the bottom. Undo history isn't saved.
+ *
+ * A position can also be shared in a URL. Position strings are a format
+ * version followed by dot-separated base 36 numbers: the hold of each limb
+ * (index + 1, 0 for none), the torso position in tenths of a pixel, whether
+ * the torso was pushed, the moves, the camera offset, the stamina and the
+ * selected limb.
+ */
+
+/**
+ * @typedef {Object} ClimbPosition
+ * @property {ClimbState} state - Where the climber is, as seen by the rules engine
+ * @property {number} cameraOffsetY
+ * @property {number} stamina
+ * @property {LimbName} selectedLimb
+ */
+
+/**
+ * @typedef {Object} SavedClimbFields
+ * @property {Point} drawnTorso - Where the torso was drawn, it may still have been moving
+ * @property {number} elapsed - Milliseconds since the level was loaded
+ * @property {number} runElapsed - Milliseconds since the first move of a speed run, -1 if none
+ * @property {number[]} runSplits - Splits of the speed run so far
+ * @property {string} replay - The recorded actions, serialized
+ * @property {number} savedAt - Date.now() of the save
+ *
+ * @typedef {ClimbPosition & SavedClimbFields} SavedClimb
+ */
+
+const SAVED_CLIMBS_STORAGE_KEY = "savedClimbs";
+const SAVED_CLIMBS_MAX = 20;
+const POSITION_FORMAT_VERSION = "1";
+
+/**
+ * @returns {Record<string, SavedClimb>}
+ */
+function loadAllSavedClimbs() {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_CLIMBS_STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.error("Failed to load saved climbs:", error);
+    return {};
+  }
+}
+
+/**
+ * @param {string} levelKey
+ * @returns {SavedClimb | null}
+ */
+function loadSavedClimb(levelKey) {
+  return loadAllSavedClimbs()[levelKey] || null;
+}
+
+/**
+ * @param {Record<string, SavedClimb>} savedClimbs
+ */
+function storeAllSavedClimbs(savedClimbs) {
+  try {
+    localStorage.setItem(SAVED_CLIMBS_STORAGE_KEY, JSON.stringify(savedClimbs));
+  } catch (error) {
+    console.error("Failed to store saved climbs:", error);
+  }
+}
+
+/**
+ * Save the climb on a level and drop the oldest saves past SAVED_CLIMBS_MAX
+ * @param {string} levelKey
+ * @param {SavedClimb} savedClimb
+ */
+function saveClimb(levelKey, savedClimb) {
+  const savedClimbs = loadAllSavedClimbs();
+  savedClimbs[levelKey] = savedClimb;
+
+  const oldestFirst = Object.keys(savedClimbs).sort(
+    (a, b) => savedClimbs[a].savedAt - savedClimbs[b].savedAt
+  );
+  for (const key of oldestFirst.slice(0, -SAVED_CLIMBS_MAX)) {
+    delete savedClimbs[key];
+  }
+  storeAllSavedClimbs(savedClimbs);
+}
+
+/**
+ * @param {string} levelKey
+ */
+function clearSavedClimb(levelKey) {
+  const savedClimbs = loadAllSavedClimbs();
+  if (!(levelKey in savedClimbs)) return;
+
+  delete savedClimbs[levelKey];
+  storeAllSavedClimbs(savedClimbs);
+}
+
+/**
+ * Serialize a position for sharing in a URL
+ * @param {ClimbPosition} position
+ * @returns {string}
+ */
+function serializePosition(position) {
+  const { state } = position;
+  const numbers = [
+    ...LIMB_NAMES.map((limb) => (state.limbs[limb] ?? -1) + 1),
+    Math.round(state.torso.x * 10),
+    Math.round(state.torso.y * 10),
+    state.torsoPushed ? 1 : 0,
+    state.moves,
+    Math.round(position.cameraOffsetY),
+    Math.round(position.stamina),
+    LIMB_NAMES.indexOf(position.selectedLimb),
+  ];
+  return [POSITION_FORMAT_VERSION, ...numbers.map((n) => n.toString(36))].join(
+    "."
+  );
+}
+
+/**
+ * Parse a position from a URL
+ * @param {string} text
+ * @param {Hold[]} holds - Holds of the level, to reject positions the climber can't be in
+ * @returns {ClimbPosition | null} The position, or null if the string is invalid
+ */
+function parsePosition(text, holds) {
+  const [version, ...fields] = text.split(".");
+  if (version !== POSITION_FORMAT_VERSION || fields.length !== 11) {
+    console.error("Unsupported position format:", text);
+    return null;
+  }
+
+  const numbers = fields.map((field) => parseInt(field, 36));
+  if (numbers.some((n) => isNaN(n))) {
+    console.error("Invalid position:", text);
+    return null;
+  }
+
+  /** @type {ClimbState["limbs"]} */
+  const limbs = {
+    leftArm: null,
+    rightArm: null,
+    leftLeg: null,
+    rightLeg: null,
+  };
+  for (const [i, limb] of LIMB_NAMES.entries()) {
+    const hold = numbers[i] - 1;
+    limbs[limb] = hold >= 0 ? hold : null;
+  }
+
+  const [torsoX, torsoY, pushed, moves, camera, stamina, limbIndex] =
+    numbers.slice(4);
+  /** @type {ClimbState} */
+  const state = {
+    torso: { x: torsoX / 10, y: torsoY / 10 },
+    limbs,
+    torsoPushed: pushed === 1,
+    moves,
+  };
+  // Positions of other levels or edited links could leave limbs out of reach
+  if ((pushed !== 0 && pushed !== 1) || !isPossibleClimbState(holds, state)) {
+    console.error("The climber can't be in this position on this level:", text);
+    return null;
+  }
+
+  return {
+    state,
+    cameraOffsetY: camera,
+    stamina: Math.max(0, Math.min(STAMINA_MAX, stamina)),
+    selectedLimb: LIMB_NAMES[limbIndex] || "leftArm",
+  };
+}
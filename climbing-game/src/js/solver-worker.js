@@ -0,0 +1,19 @@
+//@ts-check
+
+/**
+ * Web Worker that runs the level solver off the main thread.
+ * Receives { id, type: "solve", holds, startState, maxStates } or
+ * { id, type: "generate", seed, options } and answers { id, result }.
+ */
+importScripts("./climbing-engine.js", "./solver.js", "./level-generator.js");
+
+onmessage = (event) => {
+  const { id, type } = event.data;
+  if (type === "generate") {
+    const { seed, options } = event.data;
+    postMessage({ id, result: generateClimbableLevel(seed, options) });
+  } else {
+    const { holds, startState, maxStates } = event.data;
+    postMessage({ id, result: solveLevel(holds, startState, maxStates) });
+  }
+};
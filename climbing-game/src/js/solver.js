@@ -0,0 +1,709 @@
+//@ts-check
+
+/**
+ * Level solver
+ *
+ * Searches the climb states reachable with the rules engine for the fewest
+ * moves that win a level. Every player action counts as one move, exactly
+ * like climbState.moves in the game.
+ *
+ * The search is A* with a lower bound from createSolverHeuristic, so the first
+ * win it finds is optimal. Big levels can have more states than fit in memory;
+ * when the exact search runs out of room the solver settles for a quick
+ * weighted search, and marks the result as not optimal.
+ *
+ * Dynos are only searched when no way up without them turns up, so par and
+ * hints stick to moves that always work wherever they can. The solver assumes
+ * every dyno is caught.
+ *
+ * Stamina isn't part of the search: on levels with stamina turned on, the
+ * par and hints can follow a line that pumps the climber off before the top.
+ *
+ * Solving is synchronous and can take seconds. In the browser run it through
+ * createSolverWorker (see solver-worker.js); Node scripts can call solveLevel
+ * directly after loading climbing-engine.js and solver.js.
+ */
+
+/**
+ * Moves of a solution. Their dynos are always caught.
+ * @typedef {ClimbMove} SolverMove
+ */
+
+/**
+ * @typedef {Object} SolverResult
+ * @property {"solved" | "impossible" | "unknown"} status - "unknown" when every search hit its state limit
+ * @property {number | null} moves - Number of moves of the solution, or null if not solved
+ * @property {boolean} optimal - Whether no shorter solution exists
+ * @property {SolverMove[]} path - The moves of the solution
+ * @property {number} statesExplored - Number of distinct states visited
+ */
+
+const SOLVER_MAX_STATES = 200000;
+const SOLVER_QUICK_MAX_STATES = 50000; // For findWayUp, which has to be fast
+
+// Weights tried, in order, when the exact search runs out of states.
+// Higher weights find a solution faster but allow longer ones.
+const SOLVER_FALLBACK_WEIGHTS = [2, 5];
+
+/** @type {DynoArms[]} */
+const SOLVER_DYNO_ARMS = ["leftArm", "rightArm", "bothArms"];
+
+/**
+ * Unique key for a climb state, ignoring the move count
+ * @param {ClimbState} state
+ * @returns {string}
+ */
+function getClimbStateKey(state) {
+  const { limbs, torso } = state;
+  return `${limbs.leftArm},${limbs.rightArm},${limbs.leftLeg},${
+    limbs.rightLeg
+  }|${torso.x},${torso.y}|${state.torsoPushed ? 1 : 0}`;
+}
+
+/**
+ * List every legal move from a state together with the state it leads to
+ * @param {Hold[]} holds
+ * @param {ClimbState} state
+ * @param {boolean} [dynos] - Whether to include caught dynos
+ * @returns {{ move: SolverMove, state: ClimbState }[]}
+ */
+function getSolverSuccessors(holds, state, dynos = false) {
+  /** @type {{ move: SolverMove, state: ClimbState }[]} */
+  const successors = [];
+
+  for (const limb of LIMB_NAMES) {
+    for (let hold = 0; hold < holds.length; hold++) {
+      if (state.limbs[limb] === hold) continue; // Re-grabbing is not a move
+      const next = applyGrab(holds, state, limb, hold);
+      if (next) {
+        successors.push({ move: { type: "grab", limb, hold }, state: next });
+      }
+    }
+  }
+
+  const pushed = applyPush(holds, state);
+  if (pushed) successors.push({ move: { type: "push" }, state: pushed });
+
+  const left = applyStrafe(holds, state, "left");
+  if (left) successors.push({ move: { type: "strafeLeft" }, state: left });
+
+  const right = applyStrafe(holds, state, "right");
+  if (right) successors.push({ move: { type: "strafeRight" }, state: right });
+
+  const relaxed = applyRelax(holds, state);
+  if (relaxed) successors.push({ move: { type: "relax" }, state: relaxed });
+
+  if (dynos) {
+    for (const arms of SOLVER_DYNO_ARMS) {
+      for (let hold = 0; hold < holds.length; hold++) {
+        const landing = applyDyno(holds, state, arms, hold);
+        if (landing) {
+          successors.push({
+            move: { type: "dyno", arms, hold },
+            state: landing,
+          });
+        }
+      }
+    }
+  }
+
+  return successors;
+}
+
+/**
+ * @typedef {Object} SolverHeuristic
+ * @property {number} holdCount
+ * @property {(Uint8Array | null)[]} grabsToTop - Fewest grabs to victory, at [leftArm * holdCount + rightArm][leftLeg * holdCount + rightLeg]
+ * @property {(limbs: number[]) => boolean} canHangFromTorso - Whether a configuration fits under one torso
+ * @property {boolean} dynos - Whether the search may dyno
+ */
+
+// Marks limb configurations from which the top can't be reached
+const SOLVER_UNREACHABLE = 255;
+
+/**
+ * Work out the fewest grabs every limb configuration needs to reach victory,
+ * under relaxed rules that ignore where exactly the torso is.
+ *
+ * After every grab all limbs must reach their holds from one torso, so two
+ * limbs can never be further apart than both reaches plus the distance
+ * between their attachments. A limb was in reach of the torso before the grab
+ * and is in reach after it, which limits how far one grab can move it. The
+ * hold sharing, hold type and leg height rules don't depend on the torso and
+ * are kept exactly. Searching backwards from the winning configurations gives, for
+ * every configuration, a number of moves the real rules can never beat, so it
+ * can be used as an A* heuristic without losing optimality.
+ *
+ * With dynos an arm can step as far as a dyno reaches, and both arms can move
+ * in one move, landing on the same hold. The arms are then not checked against
+ * each other or the three-holds rule, which the half-way state of a dyno with
+ * both arms may break.
+ * @param {Hold[]} holds
+ * @param {number} topIndex
+ * @param {boolean} [dynos]
+ * @returns {SolverHeuristic}
+ */
+function createSolverHeuristic(holds, topIndex, dynos = false) {
+  const holdCount = holds.length;
+  /** @type {Point} */
+  const origin = { x: 0, y: 0 };
+  const limbCount = LIMB_NAMES.length;
+
+  // fits[a][b][i * holdCount + j]: limbs a and b can hang from holds i and j
+  // under one torso, i.e. they aren't further apart than both reaches plus
+  // the distance between their attachments
+  const fits = LIMB_NAMES.map((a) =>
+    LIMB_NAMES.map((b) => {
+      const maxSpan =
+        LIMB_REACH[a] +
+        LIMB_REACH[b] +
+        distanceBetween(
+          getLimbAttachment(origin, a),
+          getLimbAttachment(origin, b)
+        );
+      const table = new Uint8Array(holdCount * holdCount);
+      for (let i = 0; i < holdCount; i++) {
+        for (let j = 0; j < holdCount; j++) {
+          table[i * holdCount + j] =
+            distanceBetween(holds[i], holds[j]) <= maxSpan ? 1 : 0;
+        }
+      }
+      return table;
+    })
+  );
+
+  /**
+   * Whether every other limb fits under one torso with limb on hold
+   * @param {number[]} limbs
+   * @param {number} limb
+   * @param {number} hold
+   * @returns {boolean}
+   */
+  const fitsWithOthers = (limbs, limb, hold) => {
+    for (let other = 0; other < limbCount; other++) {
+      if (
+        other !== limb &&
+        !fits[limb][other][hold * holdCount + limbs[other]]
+      ) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  /**
+   * @param {number[]} limbs
+   * @returns {boolean}
+   */
+  const canHangFromTorso = (limbs) =>
+    limbs.every((hold, limb) => fitsWithOthers(limbs, limb, hold));
+
+  // Holds each limb can move between in one grab: its old hold may be in
+  // reach of the relaxed torso center rather than of the attachment
+  const stepNeighbors = LIMB_NAMES.map((limb, index) => {
+    const dynoReach =
+      dynos && index < 2 ? LIMB_REACH[limb] * (DYNO_REACH - 1) : 0;
+    const maxStep =
+      LIMB_REACH[limb] * 2 +
+      dynoReach +
+      distanceBetween(getLimbAttachment(origin, limb), origin);
+    return holds.map((hold) =>
+      holds.flatMap((other, index) =>
+        distanceBetween(hold, other) <= maxStep ? [index] : []
+      )
+    );
+  });
+
+  // Holds at the same spot count as one hold for the three-holds rule
+  /** @type {Map<string, number>} */
+  const spots = new Map();
+  const spotOf = holds.map((hold) => {
+    const spot = `${hold.x},${hold.y}`;
+    if (!spots.has(spot)) spots.set(spot, spots.size);
+    return /** @type {number} */ (spots.get(spot));
+  });
+
+  // One table of leg positions per arm position, only for arms that fit
+  /** @type {(Uint8Array | null)[]} */
+  const grabsToTop = new Array(holdCount * holdCount).fill(null);
+  /**
+   * @param {number} armIndex - leftArm * holdCount + rightArm
+   * @returns {Uint8Array}
+   */
+  const getLegTable = (armIndex) => {
+    let table = grabsToTop[armIndex];
+    if (!table) {
+      table = new Uint8Array(holdCount * holdCount).fill(SOLVER_UNREACHABLE);
+      grabsToTop[armIndex] = table;
+    }
+    return table;
+  };
+
+  // Start from every configuration with both arms on the top hold
+  /** @type {number[][]} */
+  const queue = [];
+  for (let leftLeg = 0; leftLeg < holdCount; leftLeg++) {
+    for (let rightLeg = 0; rightLeg < holdCount; rightLeg++) {
+      const limbs = [topIndex, topIndex, leftLeg, rightLeg];
+      if (
+        leftLeg !== topIndex &&
+        rightLeg !== topIndex &&
+        spotOf[leftLeg] !== spotOf[rightLeg] &&
+        canHangFromTorso(limbs)
+      ) {
+        getLegTable(topIndex * holdCount + topIndex)[
+          leftLeg * holdCount + rightLeg
+        ] = 0;
+        queue.push(limbs);
+      }
+    }
+  }
+
+  for (let i = 0; i < queue.length; i++) {
+    const after = queue[i];
+    // Longer climbs are stored as the largest count, which is still a lower bound
+    const armPair = after[0] * holdCount + after[1];
+    const legPair = after[2] * holdCount + after[3];
+    const grabs = Math.min(
+      getLegTable(armPair)[legPair] + 1,
+      SOLVER_UNREACHABLE - 1
+    );
+    const spotCount = new Set(after.map((hold) => spotOf[hold])).size;
+
+    for (let limb = 0; limb < limbCount; limb++) {
+      const target = after[limb];
+
+      // Some holds are for hands or feet only
+      const rules = getHoldRules(holds[target]);
+      if (!(limb >= 2 ? rules.legs : rules.arms)) continue;
+
+      // Holds only have room for a limited number of limbs
+      let sharing = 0;
+      for (let other = 0; other < limbCount; other++) {
+        if (other !== limb && after[other] === target) sharing++;
+      }
+      if (sharing >= rules.maxLimbs) continue;
+
+      // Legs may not grab higher than the topmost arm
+      if (
+        limb >= 2 &&
+        holds[target].y < Math.min(holds[after[0]].y, holds[after[1]].y)
+      ) {
+        continue;
+      }
+
+      const jumps = dynos && limb < 2;
+      const others = [0, 1, 2, 3].filter((other) => other !== limb);
+      const [fitsFirst, fitsSecond, fitsThird] = others.map((other) =>
+        jumps && other < 2 ? null : fits[limb][other]
+      );
+      const [first, second, third] = others.map((other) => after[other]);
+
+      for (const from of stepNeighbors[limb][target]) {
+        if (
+          from === target ||
+          (fitsFirst && !fitsFirst[from * holdCount + first]) ||
+          (fitsSecond && !fitsSecond[from * holdCount + second]) ||
+          (fitsThird && !fitsThird[from * holdCount + third])
+        ) {
+          continue;
+        }
+        // Moving to a new spot must leave three different holds in use
+        if (!jumps && spotOf[from] !== spotOf[target] && spotCount < 3) {
+          continue;
+        }
+
+        const armIndex =
+          limb === 0
+            ? from * holdCount + after[1]
+            : limb === 1
+            ? armPair + from - after[1]
+            : armPair;
+        const legIndex =
+          limb === 2
+            ? from * holdCount + after[3]
+            : limb === 3
+            ? legPair + from - after[3]
+            : legPair;
+        const table = getLegTable(armIndex);
+        if (table[legIndex] !== SOLVER_UNREACHABLE) continue;
+
+        const before = after.slice();
+        before[limb] = from;
+
+        table[legIndex] = grabs;
+        queue.push(before);
+      }
+    }
+  }
+
+  return { holdCount, grabsToTop, canHangFromTorso, dynos };
+}
+
+/**
+ * Lower bound on the number of moves from a state to victory:
+ * Infinity when no sequence of grabs can ever get both arms to the top
+ * @param {ClimbState} state
+ * @param {SolverHeuristic} heuristic
+ * @returns {number}
+ */
+function estimateMovesToTop(state, heuristic) {
+  const limbs = LIMB_NAMES.map((limb) => state.limbs[limb]);
+  if (limbs.includes(null)) return 0; // Not enough holds to tell
+
+  const config = /** @type {number[]} */ (limbs);
+  const { holdCount } = heuristic;
+  const grabs =
+    heuristic.grabsToTop[config[0] * holdCount + config[1]]?.[
+      config[2] * holdCount + config[3]
+    ] ?? SOLVER_UNREACHABLE;
+  // A dyno with both arms makes two of the relaxed grabs at once
+  if (grabs !== SOLVER_UNREACHABLE) {
+    return heuristic.dynos ? Math.ceil(grabs / 2) : grabs;
+  }
+  // Only a starting position can have limbs spread wider than one torso allows
+  return heuristic.canHangFromTorso(config) ? Infinity : 0;
+}
+
+/** @type {{ holdsKey: string, heuristic: SolverHeuristic }[]} */
+let cachedSolverHeuristics = [];
+
+/**
+ * Get the heuristic for a level, reusing the last ones for the same holds
+ * @param {Hold[]} holds
+ * @param {number} topIndex
+ * @param {boolean} [dynos]
+ * @returns {SolverHeuristic}
+ */
+function getSolverHeuristic(holds, topIndex, dynos = false) {
+  const holdsKey = JSON.stringify(holds);
+  if (cachedSolverHeuristics[0]?.holdsKey !== holdsKey) {
+    cachedSolverHeuristics = [];
+  }
+  const cached = cachedSolverHeuristics.find(
+    ({ heuristic }) => heuristic.dynos === dynos
+  );
+  if (cached) return cached.heuristic;
+
+  const heuristic = createSolverHeuristic(holds, topIndex, dynos);
+  cachedSolverHeuristics.push({ holdsKey, heuristic });
+  return heuristic;
+}
+
+/**
+ * Best-first search from a state to victory, ordered by moves made plus
+ * weight times the estimated moves left. With weight 1 the first win found
+ * is optimal. When the queue runs dry every state that could still reach the
+ * top has been visited, which proves the level impossible. Dynos are
+ * searched if the heuristic allows them.
+ * @param {Hold[]} holds
+ * @param {ClimbState} startState
+ * @param {SolverHeuristic} heuristic
+ * @param {number} weight
+ * @param {number} maxStates
+ * @returns {SolverResult}
+ */
+function searchClimb(holds, startState, heuristic, weight, maxStates) {
+  /** @type {ClimbState[]} */
+  const states = [startState];
+  /** @type {number[]} */
+  const costs = [0];
+  /** @type {number[]} */
+  const parents = [-1];
+  /** @type {(SolverMove | null)[]} */
+  const moves = [null];
+  /** @type {Map<string, number>} Fewest moves found so far per state */
+  const bestCosts = new Map([[getClimbStateKey(startState), 0]]);
+
+  // Bucket queue indexed by priority, newest entries taken first
+  /** @type {number[][]} */
+  const buckets = [[0]];
+  let current = 0;
+
+  while (current < buckets.length) {
+    const bucket = buckets[current];
+    if (!bucket || !bucket.length) {
+      current++;
+      continue;
+    }
+
+    const index = /** @type {number} */ (bucket.pop());
+    const state = states[index];
+    if (
+      /** @type {number} */ (bestCosts.get(getClimbStateKey(state))) <
+      costs[index]
+    ) {
+      continue; // A shorter way here was found after this entry was queued
+    }
+
+    if (isVictory(holds, state)) {
+      /** @type {SolverMove[]} */
+      const path = [];
+      for (let i = index; parents[i] !== -1; i = parents[i]) {
+        path.unshift(/** @type {SolverMove} */ (moves[i]));
+      }
+      return {
+        status: "solved",
+        moves: path.length,
+        optimal: weight === 1,
+        path,
+        statesExplored: bestCosts.size,
+      };
+    }
+
+    for (const successor of getSolverSuccessors(
+      holds,
+      state,
+      heuristic.dynos
+    )) {
+      const key = getClimbStateKey(successor.state);
+      const cost = costs[index] + 1;
+      const bestCost = bestCosts.get(key);
+      if (bestCost !== undefined && bestCost <= cost) continue;
+
+      const estimate = estimateMovesToTop(successor.state, heuristic);
+      if (estimate === Infinity) continue; // Can never reach the top from here
+
+      if (bestCost === undefined && bestCosts.size >= maxStates) {
+        return {
+          status: "unknown",
+          moves: null,
+          optimal: false,
+          path: [],
+          statesExplored: bestCosts.size,
+        };
+      }
+
+      bestCosts.set(key, cost);
+      states.push(successor.state);
+      costs.push(cost);
+      parents.push(index);
+      moves.push(successor.move);
+
+      const priority = cost + weight * estimate;
+      (buckets[priority] = buckets[priority] || []).push(states.length - 1);
+      current = Math.min(current, priority);
+    }
+  }
+
+  return {
+    status: "impossible",
+    moves: null,
+    optimal: true,
+    path: [],
+    statesExplored: bestCosts.size,
+  };
+}
+
+/**
+ * Search with SOLVER_FALLBACK_WEIGHTS until a search finishes
+ * @param {Hold[]} holds
+ * @param {ClimbState} startState
+ * @param {SolverHeuristic} heuristic
+ * @param {number} maxStates
+ * @returns {SolverResult}
+ */
+function searchClimbWithFallbacks(holds, startState, heuristic, maxStates) {
+  let result = searchClimb(holds, startState, heuristic, 1, maxStates);
+  for (const weight of SOLVER_FALLBACK_WEIGHTS) {
+    if (result.status !== "unknown") break;
+    result = searchClimb(holds, startState, heuristic, weight, maxStates);
+  }
+  return result;
+}
+
+/**
+ * Find the fewest moves from a state to victory, or prove there is no way up.
+ * Dynos are only used when no way up without them turns up.
+ * @param {Hold[]} holds
+ * @param {ClimbState} [startState] - Where to start, defaults to the starting holds
+ * @param {number} [maxStates] - How many states each search may visit
+ * @returns {SolverResult}
+ */
+function solveLevel(
+  holds,
+  startState = createClimbState(holds),
+  maxStates = SOLVER_MAX_STATES
+) {
+  const topIndex = getTopHoldIndex(holds);
+  if (topIndex === -1) {
+    return {
+      status: "impossible",
+      moves: null,
+      optimal: true,
+      path: [],
+      statesExplored: 0,
+    };
+  }
+
+  const result = searchClimbWithFallbacks(
+    holds,
+    startState,
+    getSolverHeuristic(holds, topIndex),
+    maxStates
+  );
+  if (result.status === "solved") return result;
+
+  // A dyno way up is only known to be the shortest if no static one exists.
+  // Without a way up even with dynos the level is impossible either way.
+  const withDynos = searchClimbWithFallbacks(
+    holds,
+    startState,
+    getSolverHeuristic(holds, topIndex, true),
+    maxStates
+  );
+  if (withDynos.status !== "solved") return withDynos;
+  return {
+    ...withDynos,
+    optimal: withDynos.optimal && result.status === "impossible",
+  };
+}
+
+/**
+ * Quickly find some way to the top without dynos, not necessarily the
+ * shortest, e.g. to check that a generated wall can be climbed
+ * @param {Hold[]} holds
+ * @param {number} [maxStates]
+ * @returns {SolverResult} "unknown" if no way up turned up within maxStates
+ */
+function findWayUp(holds, maxStates = SOLVER_QUICK_MAX_STATES) {
+  const topIndex = getTopHoldIndex(holds);
+  if (topIndex === -1) {
+    return {
+      status: "impossible",
+      moves: null,
+      optimal: true,
+      path: [],
+      statesExplored: 0,
+    };
+  }
+
+  const heuristic = getSolverHeuristic(holds, topIndex);
+  const weight = SOLVER_FALLBACK_WEIGHTS[SOLVER_FALLBACK_WEIGHTS.length - 1];
+  return searchClimb(
+    holds,
+    createClimbState(holds),
+    heuristic,
+    weight,
+    maxStates
+  );
+}
+
+/**
+ * The way from the starting holds to the top hold whose biggest gap between
+ * two holds is smallest, ignoring all other move rules
+ * @param {Hold[]} holds
+ * @returns {number[] | null} Indices of the holds along the way, from a starting hold to the top hold, or null without starting or top holds
+ */
+function findEasiestLine(holds) {
+  const topIndex = getTopHoldIndex(holds);
+  const startIndices = getStartingHoldIndices(holds);
+  if (topIndex === -1 || !startIndices.length) return null;
+
+  // Dijkstra's algorithm, with the biggest gap instead of the length of a way
+  const gaps = holds.map(() => Infinity);
+  const previous = holds.map(() => -1);
+  const done = holds.map(() => false);
+  for (const index of startIndices) gaps[index] = 0;
+
+  for (;;) {
+    let current = -1;
+    for (let i = 0; i < holds.length; i++) {
+      if (!done[i] && (current === -1 || gaps[i] < gaps[current])) current = i;
+    }
+    if (current === -1 || gaps[current] === Infinity) return null;
+    if (current === topIndex) break;
+
+    done[current] = true;
+    for (let i = 0; i < holds.length; i++) {
+      if (done[i]) continue;
+      const gap = Math.max(
+        gaps[current],
+        distanceBetween(holds[current], holds[i])
+      );
+      if (gap < gaps[i]) {
+        gaps[i] = gap;
+        previous[i] = current;
+      }
+    }
+  }
+
+  const line = [];
+  for (let index = topIndex; index !== -1; index = previous[index]) {
+    line.unshift(index);
+  }
+  return line;
+}
+
+/**
+ * @typedef {Object} SolverWorker
+ * @property {(holds: Hold[], startState?: ClimbState, maxStates?: number) => Promise<SolverResult>} solve - Queue a solveLevel call
+ * @property {(seed: string, options: GeneratorOptions) => Promise<GeneratedWall>} generate - Queue a generateClimbableLevel call
+ * @property {(reason?: Error) => void} stop - Abort all pending calls
+ */
+
+/**
+ * Create a solver that runs in a Web Worker so the page stays responsive.
+ * Calls are answered one after another. The worker starts on the first call
+ * and again on the next call after stop().
+ * @returns {SolverWorker}
+ */
+function createSolverWorker() {
+  /** @type {Worker | null} */
+  let worker = null;
+  let requestId = 0;
+  /** @type {Map<number, { resolve: (result: any) => void, reject: (error: Error) => void }>} */
+  const pendingRequests = new Map();
+
+  /**
+   * @param {Error} [reason]
+   */
+  const stop = (reason = new Error("Solver stopped")) => {
+    worker?.terminate();
+    worker = null;
+    for (const request of pendingRequests.values()) {
+      request.reject(reason);
+    }
+    pendingRequests.clear();
+  };
+
+  /**
+   * @param {Object} message - Request for the worker, without its id
+   * @returns {Promise<any>}
+   */
+  const request = (message) =>
+    new Promise((resolve, reject) => {
+      if (!worker) {
+        worker = new Worker("./js/solver-worker.js");
+        worker.onmessage = (event) => {
+          const request = pendingRequests.get(event.data.id);
+          pendingRequests.delete(event.data.id);
+          request?.resolve(event.data.result);
+        };
+        worker.onerror = (event) => stop(new Error(event.message));
+      }
+
+      const id = ++requestId;
+      pendingRequests.set(id, { resolve, reject });
+      worker.postMessage({ id, ...message });
+    });
+
+  /**
+   * @param {Hold[]} holds
+   * @param {ClimbState} [startState]
+   * @param {number} [maxStates]
+   * @returns {Promise<SolverResult>}
+   */
+  const solve = (holds, startState, maxStates) =>
+    request({ type: "solve", holds, startState, maxStates });
+
+  /**
+   * @param {string} seed
+   * @param {GeneratorOptions} options
+   * @returns {Promise<GeneratedWall>}
+   */
+  const generate = (seed, options) =>
+    request({ type: "generate", seed, options });
+
+  return { solve, generate, stop };
+}
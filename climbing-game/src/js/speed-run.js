@@ -0,0 +1,92 @@
+//@ts-check
+
+/**
+ * Speed runs
+ *
+ * In speed mode a run is timed from the first move to the top. On the way it
+ * takes a split every SPEED_SPLIT_HEIGHT pixels of height (2 m), the first
+ * time the climber gets there. The fastest run of every level is kept in
+ * localStorage as its personal best, together with its splits, so later runs
+ * can be compared split by split.
+ */
+
+/**
+ * @typedef {Object} SpeedRun
+ * @property {number} time - Milliseconds from the first move to the top
+ * @property {number[]} splits - Milliseconds at which each height milestone was first reached
+ */
+
+const SPEED_SPLIT_HEIGHT = 200; // Pixels between splits, 100px is 1 m
+const SPEED_BESTS_STORAGE_KEY = "speedPersonalBests";
+
+/**
+ * @returns {Record<string, SpeedRun>}
+ */
+function loadAllPersonalBests() {
+  try {
+    return JSON.parse(localStorage.getItem(SPEED_BESTS_STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.error("Failed to load personal bests:", error);
+    return {};
+  }
+}
+
+/**
+ * @param {string} levelKey
+ * @returns {SpeedRun | null}
+ */
+function loadPersonalBest(levelKey) {
+  return loadAllPersonalBests()[levelKey] || null;
+}
+
+/**
+ * Keep a run as the personal best of a level if it is faster
+ * @param {string} levelKey
+ * @param {SpeedRun} run
+ * @returns {boolean} Whether the run is a new personal best
+ */
+function savePersonalBest(levelKey, run) {
+  const bests = loadAllPersonalBests();
+  const best = bests[levelKey];
+  if (best && best.time <= run.time) return false;
+
+  bests[levelKey] = run;
+  try {
+    localStorage.setItem(SPEED_BESTS_STORAGE_KEY, JSON.stringify(bests));
+  } catch (error) {
+    // Still a personal best for this session
+    console.error("Failed to store personal bests:", error);
+  }
+  return true;
+}
+
+/**
+ * Height of a split in meters, for labels
+ * @param {number} splitIndex
+ * @returns {number}
+ */
+function getSplitMeters(splitIndex) {
+  return ((splitIndex + 1) * SPEED_SPLIT_HEIGHT) / 100;
+}
+
+/**
+ * Format a run time as "12.34" or "1:02.34"
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+function formatRunTime(milliseconds) {
+  const totalSeconds = Math.max(0, milliseconds) / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toFixed(2);
+  return minutes > 0 ? `${minutes}:${seconds.padStart(5, "0")}` : seconds;
+}
+
+/**
+ * Format the difference to the personal best as "+1.23" or "-0.40"
+ * @param {number} milliseconds - Positive when slower than the best
+ * @returns {string}
+ */
+function formatTimeDelta(milliseconds) {
+  const sign = milliseconds < 0 ? "-" : "+";
+  return sign + formatRunTime(Math.abs(milliseconds));
+}
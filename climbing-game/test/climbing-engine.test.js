@@ -0,0 +1,251 @@
+//@ts-check
+
+/**
+ * Rules engine tests: climbs on a small test wall, without a browser
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadGameScripts } = require("../tools/load-game-scripts");
+
+loadGameScripts("climbing-engine.js");
+
+/** @type {Hold[]} */
+const holds = [
+  { x: 180, y: 600 }, // 0: left arm
+  { x: 220, y: 600 }, // 1: right arm
+  { x: 175, y: 720 }, // 2: left leg
+  { x: 225, y: 720 }, // 3: right leg
+  { x: 215, y: 560 }, // 4: in reach of the right arm
+  { x: 200, y: 520 }, // 5: beyond static reach, in reach of a dyno
+  { x: 150, y: 700, type: "pinch" }, // 6
+  { x: 230, y: 610, type: "footChip" }, // 7
+  { x: 235, y: 590 }, // 8: in reach of the right leg, but above the arms
+  { x: 200, y: 100, top: true }, // 9
+];
+const TOP = 9;
+
+describe("createClimbState", () => {
+  it("puts the limbs on the starting holds and the torso on their centroid", () => {
+    const state = createClimbState(holds);
+    assert.deepEqual(state.limbs, {
+      leftArm: 0,
+      rightArm: 1,
+      leftLeg: 2,
+      rightLeg: 3,
+    });
+    assert.deepEqual(state.torso, { x: 200, y: 660 });
+    assert.equal(state.torsoPushed, false);
+    assert.equal(state.moves, 0);
+  });
+});
+
+describe("applyGrab", () => {
+  it("moves a limb to a hold in reach and the torso to the new centroid", () => {
+    const state = applyGrab(holds, createClimbState(holds), "rightArm", 4);
+    assert.ok(state);
+    assert.equal(state.limbs.rightArm, 4);
+    assert.deepEqual(state.torso, getHoldCentroid(holds, state.limbs));
+    assert.equal(state.moves, 1);
+  });
+
+  it("doesn't count grabbing the hold the limb is already on", () => {
+    const state = applyGrab(holds, createClimbState(holds), "leftArm", 0);
+    assert.equal(state?.moves, 0);
+  });
+
+  it("refuses holds out of reach", () => {
+    assert.equal(
+      applyGrab(holds, createClimbState(holds), "rightArm", 5),
+      null
+    );
+    assert.equal(
+      applyGrab(holds, createClimbState(holds), "rightArm", TOP),
+      null
+    );
+  });
+
+  it("refuses feet on pinches and hands on foot chips", () => {
+    const start = createClimbState(holds);
+    assert.equal(applyGrab(holds, start, "leftLeg", 6), null);
+    assert.equal(applyGrab(holds, start, "rightArm", 7), null);
+    assert.ok(applyGrab(holds, start, "rightLeg", 7));
+  });
+
+  it("refuses feet above the highest hand", () => {
+    assert.equal(
+      applyGrab(holds, createClimbState(holds), "rightLeg", 8),
+      null
+    );
+  });
+});
+
+describe("applyPush", () => {
+  it("pushes the torso up and keeps every limb in reach", () => {
+    const start = createClimbState(holds);
+    const state = applyPush(holds, start);
+    assert.ok(state);
+    assert.ok(state.torso.y < start.torso.y);
+    assert.equal(state.torso.x, start.torso.x);
+    assert.equal(state.torsoPushed, true);
+    assert.equal(state.moves, 1);
+    assert.ok(isPossibleClimbState(holds, state));
+  });
+
+  it("can't push a torso that is already as high as it goes", () => {
+    const state = applyPush(holds, createClimbState(holds));
+    assert.ok(state);
+    assert.equal(applyPush(holds, state), null);
+  });
+});
+
+describe("applyStrafe", () => {
+  it("moves the torso sideways in both directions", () => {
+    const start = createClimbState(holds);
+    const left = applyStrafe(holds, start, "left");
+    const right = applyStrafe(holds, start, "right");
+    assert.ok(left && right);
+    assert.ok(left.torso.x < start.torso.x);
+    assert.ok(right.torso.x > start.torso.x);
+    assert.equal(left.torsoPushed, true);
+    assert.equal(right.moves, 1);
+    assert.ok(isPossibleClimbState(holds, left));
+    assert.ok(isPossibleClimbState(holds, right));
+  });
+});
+
+describe("applyRelax", () => {
+  it("brings a pushed torso back to the centroid", () => {
+    const start = createClimbState(holds);
+    const pushed = applyPush(holds, start);
+    assert.ok(pushed);
+    const relaxed = applyRelax(holds, pushed);
+    assert.ok(relaxed);
+    assert.deepEqual(relaxed.torso, start.torso);
+    assert.equal(relaxed.torsoPushed, false);
+    assert.equal(relaxed.moves, 2);
+  });
+
+  it("does nothing on a relaxed torso", () => {
+    assert.equal(applyRelax(holds, createClimbState(holds)), null);
+  });
+});
+
+describe("applyDyno", () => {
+  it("jumps both arms to a hold beyond their static reach", () => {
+    const state = applyDyno(holds, createClimbState(holds), "bothArms", 5);
+    assert.ok(state);
+    assert.equal(state.limbs.leftArm, 5);
+    assert.equal(state.limbs.rightArm, 5);
+    assert.equal(state.torsoPushed, false);
+    assert.equal(state.moves, 1);
+  });
+
+  it("needs both feet on holds to push off", () => {
+    const start = createClimbState(holds);
+    const oneFoot = { ...start, limbs: { ...start.limbs, leftLeg: null } };
+    assert.equal(applyDyno(holds, oneFoot, "bothArms", 5), null);
+  });
+
+  it("can't reach the top hold from the start", () => {
+    assert.equal(
+      applyDyno(holds, createClimbState(holds), "bothArms", TOP),
+      null
+    );
+  });
+
+  it("always catches holds in static reach with the right charge", () => {
+    const start = createClimbState(holds);
+    const power = getDynoPower(holds, start, "rightArm", 4);
+    assert.equal(getDynoChance(holds, start, "rightArm", 4, power), 1);
+    assert.equal(getDynoChance(holds, start, "rightArm", 4, 1), 0);
+  });
+
+  it("catches holds beyond static reach less often", () => {
+    const start = createClimbState(holds);
+    const power = getDynoPower(holds, start, "bothArms", 5);
+    const chance = getDynoChance(holds, start, "bothArms", 5, power);
+    assert.ok(chance > 0 && chance < 1);
+  });
+
+  it("counts a missed dyno as a move that leaves the climber in place", () => {
+    const start = createClimbState(holds);
+    const missed = applyClimbMove(holds, start, {
+      type: "dyno",
+      arms: "bothArms",
+      hold: 5,
+      caught: false,
+    });
+    assert.deepEqual(missed, { ...start, moves: 1 });
+  });
+});
+
+describe("applyClimbMove", () => {
+  it("applies the same moves as the move functions", () => {
+    const start = createClimbState(holds);
+    assert.deepEqual(
+      applyClimbMove(holds, start, { type: "grab", limb: "rightArm", hold: 4 }),
+      applyGrab(holds, start, "rightArm", 4)
+    );
+    assert.deepEqual(
+      applyClimbMove(holds, start, { type: "strafeLeft" }),
+      applyStrafe(holds, start, "left")
+    );
+    assert.equal(applyClimbMove(holds, start, { type: "relax" }), null);
+  });
+});
+
+describe("applyFall", () => {
+  it("drops the climber onto the starting holds and keeps the moves", () => {
+    const pushed = applyPush(holds, createClimbState(holds));
+    assert.ok(pushed);
+    assert.deepEqual(applyFall(holds, { ...pushed, moves: 7 }), {
+      ...createClimbState(holds),
+      moves: 7,
+    });
+  });
+});
+
+describe("isVictory", () => {
+  it("needs both hands on the top hold", () => {
+    const start = createClimbState(holds);
+    assert.equal(isVictory(holds, start), false);
+    const oneHand = { ...start, limbs: { ...start.limbs, rightArm: TOP } };
+    assert.equal(isVictory(holds, oneHand), false);
+    const topped = { ...oneHand, limbs: { ...oneHand.limbs, leftArm: TOP } };
+    assert.equal(isVictory(holds, topped), true);
+  });
+});
+
+describe("getStaminaRate", () => {
+  it("recovers only while resting relaxed on all four holds", () => {
+    const start = createClimbState(holds);
+    assert.equal(getStaminaRate(holds, start, true), STAMINA_RECOVERY);
+    assert.ok(getStaminaRate(holds, start, false) <= 0);
+
+    const threeLimbs = { ...start, limbs: { ...start.limbs, leftLeg: null } };
+    assert.ok(getStaminaRate(holds, threeLimbs, true) <= 0);
+  });
+
+  it("drains while the torso is locked off", () => {
+    const pushed = applyPush(holds, createClimbState(holds));
+    assert.ok(pushed);
+    assert.ok(getStaminaRate(holds, pushed, true) <= -STAMINA_LOCKOFF_DRAIN);
+  });
+});
+
+describe("isPossibleClimbState", () => {
+  it("rejects a torso away from where the moves leave it", () => {
+    const start = createClimbState(holds);
+    assert.ok(isPossibleClimbState(holds, start));
+    assert.equal(
+      isPossibleClimbState(holds, { ...start, torso: { x: 200, y: 600 } }),
+      false
+    );
+  });
+
+  it("rejects limbs on holds they can't use", () => {
+    const start = createClimbState(holds);
+    const handOnChip = { ...start, limbs: { ...start.limbs, rightArm: 7 } };
+    assert.equal(isPossibleClimbState(holds, handOnChip), false);
+  });
+});
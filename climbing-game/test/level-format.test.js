@@ -0,0 +1,141 @@
+//@ts-check
+
+/**
+ * Level format tests: share link round trips and upgrades of older levels
+ */
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadGameScripts } = require("../tools/load-game-scripts");
+
+loadGameScripts("levels.js", "climbing-engine.js", "level-format.js");
+
+/**
+ * The holds the way a share link keeps them: whole pixels, `top` only on the
+ * top hold and no type on jugs
+ * @param {any[]} holds
+ * @returns {any[]}
+ */
+function normalizeHolds(holds) {
+  return holds.map((hold) => ({
+    x: Math.round(hold.x),
+    y: Math.round(hold.y),
+    ...(hold.top ? { top: true } : {}),
+    ...(isHoldType(hold.type) && hold.type !== "jug"
+      ? { type: hold.type }
+      : {}),
+  }));
+}
+
+const builtInLevels = Object.entries(gameLevels).filter(
+  ([, level]) => level.holds.length
+);
+
+describe("compressLevelData", () => {
+  for (const [id, level] of builtInLevels) {
+    it(`keeps the level ${id} through a round trip`, () => {
+      const parsed = parseLevelData(compressLevelData(level));
+      assert.equal(parsed.version, LEVEL_FORMAT_VERSION);
+      assert.equal(parsed.name, level.name);
+      assert.equal(parsed.author, level.author);
+      assert.equal(parsed.wallHeight, Math.round(level.wallHeight));
+      assert.equal(parsed.hints, level.hints !== false);
+      assert.equal(parsed.stamina, !!level.stamina);
+      assert.deepEqual(parsed.holds, normalizeHolds(level.holds));
+    });
+  }
+
+  it("keeps hold types, hints and stamina", () => {
+    const level = {
+      name: "Typed",
+      author: "Test",
+      wallHeight: 1400,
+      hints: false,
+      stamina: true,
+      holds: [
+        { x: 180, y: 600, type: "crimp" },
+        { x: 220, y: 600 },
+        { x: 175, y: 720, type: "footChip" },
+        { x: 225, y: 720, type: "pocket" },
+        { x: 200, y: 300, type: "sloper" },
+        { x: 200, y: 100, top: true },
+      ],
+    };
+    const parsed = parseLevelData(compressLevelData(level));
+    assert.equal(parsed.hints, false);
+    assert.equal(parsed.stamina, true);
+    assert.deepEqual(parsed.holds, level.holds);
+  });
+
+  it("writes unknown hold types as jugs", () => {
+    const level = {
+      name: "Unknown",
+      author: "Test",
+      wallHeight: 1400,
+      holds: [{ x: 100, y: 600, type: "constructor" }],
+    };
+    assert.deepEqual(parseLevelData(compressLevelData(level)).holds, [
+      { x: 100, y: 600 },
+    ]);
+  });
+});
+
+describe("parseLevelData", () => {
+  it("reads level JSON from files", () => {
+    const { grade, order, ...level } = gameLevels.default;
+    const parsed = parseLevelData(JSON.stringify({ ...level, version: 2 }));
+    assert.deepEqual(parsed, { ...level, version: 2 });
+  });
+
+  it("upgrades version 1 levels", () => {
+    const parsed = parseLevelData(
+      JSON.stringify({
+        holds: [
+          { x: 180, y: 600, top: false },
+          { x: 200, y: 100, top: true },
+        ],
+      })
+    );
+    assert.equal(parsed.version, LEVEL_FORMAT_VERSION);
+    assert.equal(parsed.name, "Custom Level");
+    assert.equal(parsed.author, "Anonymous");
+    assert.equal(parsed.wallHeight, 3000);
+    assert.deepEqual(parsed.holds, [
+      { x: 180, y: 600 },
+      { x: 200, y: 100, top: true },
+    ]);
+  });
+
+  it("reads the JSON form with short keys of older links", () => {
+    const parsed = parseLevelData(
+      JSON.stringify({
+        n: "Short",
+        a: "Test",
+        h: 1500,
+        nh: 1,
+        d: [
+          [180, 600, 0, 1],
+          [200, 100, 1],
+        ],
+      })
+    );
+    assert.equal(parsed.name, "Short");
+    assert.equal(parsed.wallHeight, 1500);
+    assert.equal(parsed.hints, false);
+    assert.deepEqual(parsed.holds, [
+      { x: 180, y: 600, type: "crimp" },
+      { x: 200, y: 100, top: true },
+    ]);
+  });
+
+  it("returns null for text that isn't a level", () => {
+    mock.method(console, "error", () => {});
+    assert.equal(parseLevelData("{not json"), null);
+    assert.equal(parseLevelData("AAAA"), null);
+    mock.restoreAll();
+  });
+
+  it("leaves levels of a newer version as they are", () => {
+    const level = { version: LEVEL_FORMAT_VERSION + 1, holds: [] };
+    assert.deepEqual(parseLevelData(JSON.stringify(level)), level);
+  });
+});
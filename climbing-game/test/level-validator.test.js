@@ -0,0 +1,133 @@
+//@ts-check
+
+/**
+ * Level validator tests: every built-in level loads, broken levels are
+ * reported in words a level author can act on
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadGameScripts } = require("../tools/load-game-scripts");
+
+loadGameScripts(
+  "levels.js",
+  "climbing-engine.js",
+  "level-format.js",
+  "level-validator.js"
+);
+
+/**
+ * A valid level to break in the tests
+ * @returns {any}
+ */
+function createTestLevel() {
+  return {
+    version: LEVEL_FORMAT_VERSION,
+    name: "Test",
+    author: "Test",
+    wallHeight: 1400,
+    holds: [
+      { x: 180, y: 600 },
+      { x: 220, y: 600 },
+      { x: 175, y: 720 },
+      { x: 225, y: 720 },
+      { x: 200, y: 400 },
+      { x: 200, y: 100, top: true },
+    ],
+  };
+}
+
+describe("validateLevel", () => {
+  for (const [id, level] of Object.entries(gameLevels)) {
+    if (!level.holds.length) continue; // Generated walls get their holds later
+    it(`accepts the built-in level ${id}`, () => {
+      assert.deepEqual(validateLevel(migrateLevel(level)), []);
+    });
+  }
+
+  it("accepts the test level", () => {
+    assert.deepEqual(validateLevel(createTestLevel()), []);
+  });
+
+  it("rejects data that isn't a level", () => {
+    assert.equal(validateLevel(null).length, 1);
+    assert.equal(validateLevel("level").length, 1);
+  });
+
+  it("reports levels of a newer version", () => {
+    const level = { ...createTestLevel(), version: LEVEL_FORMAT_VERSION + 1 };
+    assert.match(validateLevel(level)[0], /newer version/);
+  });
+
+  it("reports a missing or wrong wall height", () => {
+    const level = createTestLevel();
+    delete level.wallHeight;
+    assert.deepEqual(validateLevel(level), ["The wall height is missing."]);
+    assert.match(
+      validateLevel({ ...createTestLevel(), wallHeight: 10 })[0],
+      /wall height is 10/
+    );
+  });
+
+  it("reports holds off the wall", () => {
+    const level = createTestLevel();
+    level.holds[4].x = -5;
+    assert.deepEqual(validateLevel(level), [
+      "Hold 5 is off the wall: x is -5, it must be between 0 and 400.",
+    ]);
+  });
+
+  it("reports unknown hold types, prototype keys included", () => {
+    for (const type of ["boulder", "constructor", "toString"]) {
+      const level = createTestLevel();
+      level.holds[0].type = type;
+      assert.deepEqual(validateLevel(level), [
+        `Hold 1 has an unknown type "${type}".`,
+      ]);
+    }
+  });
+
+  it("reports levels without exactly one top hold", () => {
+    const level = createTestLevel();
+    delete level.holds[5].top;
+    assert.deepEqual(validateLevel(level), ["The level has no top hold."]);
+    level.holds[4].top = level.holds[5].top = true;
+    assert.deepEqual(validateLevel(level), [
+      "The level has 2 top holds, it needs exactly one.",
+    ]);
+  });
+
+  it("reports starting holds a limb can't use", () => {
+    const level = createTestLevel();
+    level.holds[0].type = "footChip";
+    assert.deepEqual(validateLevel(level), [
+      "Starting hold 1 (left arm) is a foot chip, which hands can't use.",
+    ]);
+  });
+
+  it("reports starting holds out of reach", () => {
+    const level = createTestLevel();
+    level.holds[0].x = 20;
+    assert.match(validateLevel(level).join("\n"), /out of reach/);
+  });
+
+  it("reports a top hold below the starting holds", () => {
+    const level = createTestLevel();
+    level.holds[5].y = 650;
+    assert.deepEqual(validateLevel(level), [
+      "The top hold must be above the starting holds.",
+    ]);
+  });
+});
+
+describe("getFixableLevel", () => {
+  it("drops unknown types and holds without coordinates", () => {
+    const level = createTestLevel();
+    level.holds[0].type = "constructor";
+    level.holds[1].type = "crimp";
+    level.holds.push({ x: "left" });
+    const fixable = getFixableLevel(level);
+    assert.equal(fixable.holds.length, 6);
+    assert.deepEqual(fixable.holds[0], { x: 180, y: 600 });
+    assert.deepEqual(fixable.holds[1], { x: 220, y: 600, type: "crimp" });
+  });
+});
@@ -0,0 +1,363 @@
+//@ts-check
+
+/**
+ * Work with level files from the command line
+ *
+ *   node tools/level-tool.js validate <level>...
+ *   node tools/level-tool.js convert <level> --to raw|compressed|url [--base-url <url>]
+ *   node tools/level-tool.js stats <level>...
+ *   node tools/level-tool.js add <level> [--key <key>]
+ *   node tools/level-tool.js topo <level> [--out <file>] [--solution]
+ *
+ * A level can be a JSON file exported from the editor, a level id from
+ * levels.js, a share link or the compressed level data of one. The level
+ * format, its compression and the checks are the game's own, loaded from
+ * src/js. Exits with code 1 if a level can't be read or is invalid.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { loadGameScripts } = require("./load-game-scripts");
+
+loadGameScripts(
+  "levels.js",
+  "climbing-engine.js",
+  "level-validator.js",
+  "level-format.js",
+  "solver.js",
+  "grading.js",
+  "level-topo.js"
+);
+
+const LEVELS_FILE = path.join(__dirname, "..", "src", "js", "levels.js");
+
+// Share links point here unless --base-url says otherwise, the address of
+// `npm run dev`
+const DEFAULT_BASE_URL = "http://localhost:3000/index.html";
+
+// Options that are switched on by their name alone, without a value
+const FLAG_OPTIONS = ["solution"];
+
+const USAGE = `Usage:
+  node tools/level-tool.js validate <level>...
+  node tools/level-tool.js convert <level> --to raw|compressed|url [--base-url <url>]
+  node tools/level-tool.js stats <level>...
+  node tools/level-tool.js add <level> [--key <key>]
+  node tools/level-tool.js topo <level> [--out <file>] [--solution]
+
+<level> is a level JSON file, a level id from levels.js, a share link or
+compressed level data.`;
+
+/**
+ * Split arguments into positional ones, --options with a value and the
+ * options of FLAG_OPTIONS
+ * @param {string[]} args
+ * @returns {{ positional: string[], options: Record<string, string> }}
+ */
+function parseArgs(args) {
+  /** @type {string[]} */
+  const positional = [];
+  /** @type {Record<string, string>} */
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].slice(2);
+    if (args[i].startsWith("--") && FLAG_OPTIONS.includes(name)) {
+      options[name] = "yes";
+    } else if (args[i].startsWith("--")) {
+      options[name] = args[++i] ?? "";
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Read a level in any of the forms the game reads, upgraded to the current
+ * format
+ * @param {string} arg - File path, level id, share link or compressed data
+ * @returns {any} The level, or null if it can't be read
+ */
+function readLevel(arg) {
+  if (Object.hasOwn(gameLevels, arg)) return gameLevels[arg];
+  if (fs.existsSync(arg)) return parseLevelData(fs.readFileSync(arg, "utf8"));
+  if (isFilePath(arg)) return null; // A file that isn't there
+
+  let text = arg;
+  if (/^https?:\/\//.test(arg)) {
+    text = new URL(arg).searchParams.get("data") || "";
+  }
+  return text ? parseLevelData(text) : null;
+}
+
+/**
+ * Whether an argument names a file rather than holding a level. Compressed
+ * level data has no dots or slashes, level JSON starts with a brace.
+ * @param {string} arg
+ * @returns {boolean}
+ */
+function isFilePath(arg) {
+  return (
+    !/^https?:\/\//.test(arg) &&
+    !arg.trim().startsWith("{") &&
+    /[./\\]/.test(arg)
+  );
+}
+
+/**
+ * Read a level and report it if it can't be read
+ * @param {string} arg
+ * @returns {any} The level, or null after printing the error
+ */
+function readLevelOrReport(arg) {
+  const level = readLevel(arg);
+  if (!level) {
+    console.error(
+      isFilePath(arg) && !fs.existsSync(arg)
+        ? `${arg}: file not found`
+        : `${arg}: can't be read as a level`
+    );
+    process.exitCode = 1;
+  }
+  return level;
+}
+
+/**
+ * @param {string[]} args
+ */
+function validateCommand(args) {
+  for (const arg of args) {
+    const level = readLevelOrReport(arg);
+    if (!level) continue;
+
+    const problems = validateLevel(level);
+    if (problems.length) {
+      console.log(`${arg}: INVALID`);
+      for (const problem of problems) console.log(`  - ${problem}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${arg}: OK`);
+    }
+  }
+}
+
+/**
+ * @param {string[]} args
+ * @param {Record<string, string>} options
+ */
+function convertCommand(args, options) {
+  const level = readLevelOrReport(args[0]);
+  if (!level) return;
+
+  switch (options.to) {
+    case "raw":
+      console.log(JSON.stringify(level, null, 2));
+      break;
+    case "compressed":
+      console.log(compressLevelData(level));
+      break;
+    case "url": {
+      const url = new URL(options["base-url"] || DEFAULT_BASE_URL);
+      url.searchParams.set("level", "custom");
+      url.searchParams.set("data", compressLevelData(level));
+      console.log(url.toString());
+      break;
+    }
+    default:
+      console.error("convert needs --to raw, --to compressed or --to url");
+      process.exitCode = 1;
+  }
+}
+
+/**
+ * @param {string[]} args
+ */
+function statsCommand(args) {
+  for (const arg of args) {
+    const level = readLevelOrReport(arg);
+    if (!level) continue;
+
+    /** @type {Hold[]} */
+    const holds = Array.isArray(level.holds) ? level.holds : [];
+    const start = getStartingHoldIndices(holds);
+    const startProblems =
+      start.length < 4
+        ? ["There are fewer than four starting holds below the top hold."]
+        : getStartingHoldProblems(holds);
+
+    console.log(`${arg}: ${level.name} by ${level.author}`);
+    console.log(`  holds: ${holds.length}`);
+    console.log(`  height: ~${getClimbingHeight(level)}m`);
+    if (level.grade) console.log(`  grade: ${level.grade}`);
+    console.log(
+      `  starting holds: ${startProblems.length ? "INVALID" : "valid"}`
+    );
+    for (const problem of startProblems) console.log(`    - ${problem}`);
+    if (startProblems.length) process.exitCode = 1;
+  }
+}
+
+/**
+ * Turn a level name into an unused key for levels.js, in camelCase like the
+ * keys there
+ * @param {string} name
+ * @returns {string}
+ */
+function getNewLevelKey(name) {
+  const words = name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // Accents, "Mättu" becomes "mattu"
+    .replace(/['’]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const camelCase = words
+    .map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word))
+    .join("");
+  // Keys start with a letter, a level named "42" gets "level42"
+  const key = /^[a-z]/.test(camelCase) ? camelCase : `level${camelCase}`;
+
+  let unusedKey = key;
+  for (let i = 2; Object.hasOwn(gameLevels, unusedKey); i++)
+    unusedKey = `${key}${i}`;
+  return unusedKey;
+}
+
+/**
+ * Write a level as source code for levels.js
+ * @param {string} key
+ * @param {number} order
+ * @param {any} level
+ * @returns {string}
+ */
+function formatLevelSource(key, order, level) {
+  const lines = [
+    `  ${key}: {`,
+    `    order: ${order},`,
+    `    name: ${JSON.stringify(level.name)},`,
+    `    author: ${JSON.stringify(level.author)},`,
+    `    wallHeight: ${level.wallHeight},`,
+  ];
+  if (level.hints === false) lines.push("    hints: false,");
+  if (level.stamina) lines.push("    stamina: true,");
+  lines.push("    holds: [");
+  for (const hold of level.holds) {
+    const top = hold.top ? ", top: true" : "";
+    const type =
+      hold.type && hold.type !== "jug" ? `, type: "${hold.type}"` : "";
+    lines.push(`      { x: ${hold.x}, y: ${hold.y}${top}${type} },`);
+  }
+  lines.push("    ],", "  },");
+  return lines.join("\n");
+}
+
+/**
+ * @param {string[]} args
+ * @param {Record<string, string>} options
+ */
+function addCommand(args, options) {
+  const level = readLevelOrReport(args[0]);
+  if (!level) return;
+
+  const problems = validateLevel(level);
+  if (problems.length) {
+    console.error(`${args[0]}: INVALID, not added`);
+    for (const problem of problems) console.error(`  - ${problem}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const key = options.key || getNewLevelKey(level.name);
+  if (!/^[A-Za-z_$][\w$]*$/.test(key) || Object.hasOwn(gameLevels, key)) {
+    console.error(`"${key}" is taken or not a valid key`);
+    process.exitCode = 1;
+    return;
+  }
+  const order =
+    Math.max(
+      ...Object.values(gameLevels).map((existing) =>
+        typeof existing.order === "number" ? existing.order : -1
+      )
+    ) + 1;
+
+  // The new level goes last, before the closing brace of gameLevels
+  const source = fs.readFileSync(LEVELS_FILE, "utf8");
+  const end = source.lastIndexOf("\n};");
+  const updated = `${source.slice(0, end)}\n${formatLevelSource(
+    key,
+    order,
+    level
+  )}${source.slice(end)}`;
+
+  // Make sure the file still defines the levels before writing it
+  const added = vm.runInNewContext(`${updated}\ngameLevels`)[key];
+  if (!added || validateLevel(added).length) {
+    console.error("Failed to add the level to levels.js");
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(LEVELS_FILE, updated);
+  console.log(`Added "${level.name}" to levels.js as ${key} (order ${order})`);
+  console.log(
+    `Run npm run solve -- ${key} to work out its grade and set it as the level's grade in levels.js.`
+  );
+}
+
+/**
+ * Write the printable topo of a level, with the solver's way up numbered on
+ * it if asked for
+ * @param {string[]} args
+ * @param {Record<string, string>} options
+ */
+function topoCommand(args, options) {
+  const level = readLevelOrReport(args[0]);
+  if (!level) return;
+
+  const problems = validateLevel(level);
+  if (problems.length) {
+    console.error(`${args[0]}: INVALID, no topo written`);
+    for (const problem of problems) console.error(`  - ${problem}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  /** @type {TopoOptions} */
+  const topoOptions = { grade: level.grade };
+  if (options.solution) {
+    const result = solveLevel(level.holds);
+    if (result.status !== "solved") {
+      console.error(`${args[0]}: the solver found no way up to number`);
+      process.exitCode = 1;
+      return;
+    }
+    topoOptions.solution = result.path;
+    topoOptions.grade = gradeLevel(level.holds, result)?.grade || level.grade;
+  }
+
+  const file =
+    options.out ||
+    `${(level.name || "Custom Level")
+      .replace(/\s+/g, "_")
+      .toLowerCase()}_topo.svg`;
+  fs.writeFileSync(file, createLevelTopo(level, topoOptions));
+  console.log(`Wrote the topo of "${level.name}" to ${file}`);
+}
+
+const [command, ...rest] = process.argv.slice(2);
+const { positional, options } = parseArgs(rest);
+
+if (command === "validate" && positional.length) {
+  validateCommand(positional);
+} else if (command === "convert" && positional.length === 1) {
+  convertCommand(positional, options);
+} else if (command === "stats" && positional.length) {
+  statsCommand(positional);
+} else if (command === "add" && positional.length === 1) {
+  addCommand(positional, options);
+} else if (command === "topo" && positional.length === 1) {
+  topoCommand(positional, options);
+} else {
+  console.error(USAGE);
+  process.exitCode = 1;
+}
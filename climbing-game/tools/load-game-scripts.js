@@ -0,0 +1,40 @@
+//@ts-check
+
+/**
+ * Load the game's browser scripts into the current Node context
+ *
+ * The game is made of plain scripts that share one global scope in the browser.
+ * Running them with vm.runInThisContext gives Node scripts that same scope, so
+ * the rules engine can be used without p5 or a DOM:
+ *
+ *   const { loadGameScripts } = require("./load-game-scripts");
+ *   loadGameScripts("levels.js", "climbing-engine.js");
+ *   const state = createClimbState(gameLevels.default.holds);
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SCRIPTS_DIR = path.join(__dirname, "..", "src", "js");
+
+/** @type {Set<string>} */
+const loadedScripts = new Set();
+
+/**
+ * Run scripts from src/js in the global scope, in the given order.
+ * Scripts that were already loaded are skipped.
+ * @param {...string} fileNames - Script file names relative to src/js
+ */
+function loadGameScripts(...fileNames) {
+  for (const fileName of fileNames) {
+    const filePath = path.join(SCRIPTS_DIR, fileName);
+    if (loadedScripts.has(filePath)) continue;
+
+    vm.runInThisContext(fs.readFileSync(filePath, "utf8"), {
+      filename: filePath,
+    });
+    loadedScripts.add(filePath);
+  }
+}
+
+module.exports = { loadGameScripts };
@@ -0,0 +1,119 @@
+//@ts-check
+
+/**
+ * Compute the par (fewest moves to the top) and the grade of levels
+ *
+ *   node tools/solve-levels.js                 all levels in levels.js
+ *   node tools/solve-levels.js default v17     levels by id
+ *   node tools/solve-levels.js my-level.json   exported custom levels
+ *
+ * Levels are checked with the level validator first. Exits with code 1 if any
+ * level is invalid or turns out to be impossible, or if the `grade` a level
+ * has in levels.js or its par in campaign.js isn't the one worked out now.
+ */
+const fs = require("fs");
+const { loadGameScripts } = require("./load-game-scripts");
+
+loadGameScripts(
+  "levels.js",
+  "campaign.js",
+  "campaign-progress.js",
+  "climbing-engine.js",
+  "level-validator.js",
+  "level-format.js",
+  "solver.js",
+  "grading.js"
+);
+
+/**
+ * @param {string} arg - Level id or path to a level JSON file
+ * @returns {{ name: string, holds: Hold[], grade?: string }}
+ */
+function readLevel(arg) {
+  if (Object.hasOwn(gameLevels, arg)) return gameLevels[arg];
+  return parseLevelData(fs.readFileSync(arg, "utf8"));
+}
+
+/**
+ * @param {SolverResult} result
+ * @returns {string}
+ */
+function describeResult(result) {
+  if (result.status === "impossible") return "IMPOSSIBLE";
+  if (result.status === "unknown") return "unknown (search limit reached)";
+  return result.optimal
+    ? `par ${result.moves}`
+    : `${result.moves} moves (best found, may not be optimal)`;
+}
+
+const args = process.argv.slice(2);
+const levelArgs = args.length
+  ? args
+  : // The generated level gets its holds in the browser
+    Object.keys(gameLevels).filter((id) => gameLevels[id].holds.length);
+
+let impossibleCount = 0;
+let invalidCount = 0;
+let gradeMismatchCount = 0;
+let parMismatchCount = 0;
+for (const arg of levelArgs) {
+  const level = readLevel(arg);
+  const problems = validateLevel(level);
+  if (problems.length) {
+    console.log(`${arg}: INVALID`);
+    for (const problem of problems) console.log(`  - ${problem}`);
+    invalidCount++;
+    continue;
+  }
+
+  const startTime = Date.now();
+  const result = solveLevel(level.holds);
+  const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+  const grade = gradeLevel(level.holds, result);
+
+  console.log(
+    `${arg} (${level.name}): ${describeResult(result)}, ` +
+      (grade ? `grade ${grade.grade}, ` : "") +
+      `${result.statesExplored} states in ${seconds}s`
+  );
+  if (result.status === "impossible") impossibleCount++;
+
+  // The dropdown shows the grade from levels.js, which has to be kept up to date
+  const storedGrade = Object.hasOwn(gameLevels, arg)
+    ? gameLevels[arg].grade
+    : undefined;
+  if (storedGrade && storedGrade !== grade?.grade) {
+    console.log(`  - levels.js still says grade ${storedGrade}`);
+    gradeMismatchCount++;
+  }
+
+  // So does the campaign with the par, and whether it's proven the fewest moves
+  const campaignEntry = findCampaignLevel(arg)?.entry;
+  if (
+    campaignEntry &&
+    (campaignEntry.par !== result.moves ||
+      !!campaignEntry.bestKnown !== !result.optimal)
+  ) {
+    console.log(
+      `  - campaign.js still says ${formatCampaignPar(campaignEntry)}`
+    );
+    parMismatchCount++;
+  }
+}
+
+if (invalidCount) {
+  console.error(`${invalidCount} level(s) are invalid`);
+  process.exitCode = 1;
+}
+if (impossibleCount) {
+  console.error(`${impossibleCount} level(s) can't be climbed`);
+  process.exitCode = 1;
+}
+if (gradeMismatchCount) {
+  console.error(`${gradeMismatchCount} level(s) have an outdated grade`);
+  process.exitCode = 1;
+}
+if (parMismatchCount) {
+  console.error(`${parMismatchCount} level(s) have an outdated campaign par`);
+  process.exitCode = 1;
+}